@@ -0,0 +1,130 @@
+/**
+ * Não linearidades do atuador entre a saída do controlador e a entrada da planta
+ * Ordem: zona morta → posicionador (primeira ordem) → limite de taxa → folga → agarramento.
+ * Todos os parâmetros estão em unidades da MV (%), tempos em segundos.
+ */
+
+export const ACTUATOR_PARAMETERS = {
+    positionerTimeConstant: 0, // s (0 = posicionador ideal)
+    rateLimit: 0,              // %/s (0 = sem limite)
+    deadzone: 0,               // % total em torno de zero
+    backlash: 0,               // % de folga total
+    stictionS: 0,              // % banda morta + banda de agarramento (Choudhury)
+    stictionJ: 0               // % salto de deslizamento (Choudhury)
+};
+
+// Perfis típicos de campo para comparação rápida
+export const ACTUATOR_PRESETS = {
+    ideal: { name: 'Ideal', params: {} },
+    slowPositioner: { name: 'Posicionador lento', params: { positionerTimeConstant: 1.5, rateLimit: 20 } },
+    wornLinkage: { name: 'Folga na articulação', params: { backlash: 4 } },
+    stickyValve: { name: 'Válvula com agarramento', params: { stictionS: 5, stictionJ: 2 } },
+    deadzoneDrive: { name: 'Acionamento com zona morta', params: { deadzone: 6 } }
+};
+
+export class ActuatorModel {
+    constructor(params = {}) {
+        this.params = { ...ACTUATOR_PARAMETERS, ...params };
+        this.reset();
+    }
+
+    setParams(params) {
+        this.params = { ...this.params, ...params };
+    }
+
+    isActive() {
+        return Object.values(this.params).some(value => value > 0);
+    }
+
+    /**
+     * @param {number} command MV calculada pelo controlador.
+     * @param {number} dt Passo de tempo (s); dt = 0 apenas lê a posição.
+     * @returns {number} Posição real do atuador.
+     */
+    update(command, dt) {
+        const input = this.applyDeadzone(command);
+
+        // Primeira chamada: atuador parte em repouso na posição comandada
+        if (this.state.position === null) {
+            this.state = {
+                positioner: input,
+                rateLimited: input,
+                backlash: input,
+                stiction: { lastInput: input, stuck: true, stuckInput: input, direction: 0, stuckDirection: 0 },
+                position: input
+            };
+            return input;
+        }
+        if (dt <= 0) return this.state.position;
+
+        const { positionerTimeConstant, rateLimit } = this.params;
+        this.state.positioner = positionerTimeConstant > 0
+            ? this.state.positioner + (input - this.state.positioner) * (1 - Math.exp(-dt / positionerTimeConstant))
+            : input;
+
+        if (rateLimit > 0) {
+            const maxStep = rateLimit * dt;
+            this.state.rateLimited += Math.max(-maxStep, Math.min(maxStep, this.state.positioner - this.state.rateLimited));
+        } else {
+            this.state.rateLimited = this.state.positioner;
+        }
+
+        this.state.backlash = this.applyBacklash(this.state.rateLimited);
+        this.state.position = this.applyStiction(this.state.backlash);
+        return this.state.position;
+    }
+
+    // Zona morta estática: comandos com |u| < d/2 não movem o atuador
+    applyDeadzone(command) {
+        const half = this.params.deadzone / 2;
+        if (Math.abs(command) <= half) return 0;
+        return command - Math.sign(command) * half;
+    }
+
+    // Folga: a saída só acompanha a entrada depois de atravessar metade da folga
+    applyBacklash(input) {
+        const half = this.params.backlash / 2;
+        if (input > this.state.backlash + half) return input - half;
+        if (input < this.state.backlash - half) return input + half;
+        return this.state.backlash;
+    }
+
+    /**
+     * Modelo de agarramento de dois parâmetros de Choudhury, Thornhill e Shah (2005).
+     * A haste gruda quando a entrada para ou inverte; volta a deslizar quando a entrada se
+     * afasta do ponto de agarramento mais que S (após inversão) ou J (mesmo sentido).
+     */
+    applyStiction(input) {
+        const { stictionS: S, stictionJ: J } = this.params;
+        const stiction = this.state.stiction;
+        const velocity = Math.sign(input - stiction.lastInput);
+        let position = this.state.position;
+
+        if (!stiction.stuck && (velocity === 0 || velocity !== stiction.direction)) {
+            stiction.stuck = true;
+            stiction.stuckInput = stiction.lastInput;
+            stiction.stuckDirection = stiction.direction;
+        }
+
+        if (stiction.stuck && velocity !== 0) {
+            const band = velocity === stiction.stuckDirection ? J : S;
+            if (Math.abs(input - stiction.stuckInput) > band) {
+                stiction.stuck = false;
+                stiction.direction = velocity;
+            }
+        }
+
+        if (!stiction.stuck) position = input - stiction.direction * (S - J) / 2;
+
+        stiction.lastInput = input;
+        return position;
+    }
+
+    getPosition() {
+        return this.state.position;
+    }
+
+    reset() {
+        this.state = { position: null };
+    }
+}
@@ -3,6 +3,10 @@
  * Baseado no PRD - Seção 3.2
  */
 
+function pickGains(point) {
+    return { kp: point.kp, ki: point.ki, kd: point.kd };
+}
+
 export class AdvancedPIDController {
     constructor(Kp = 1, Ki = 0, Kd = 0, options = {}) {
         // Ganhos principais
@@ -18,7 +22,17 @@ export class AdvancedPIDController {
             setpointWeightP: options.setpointWeightP || 1.0,
             setpointWeightD: options.setpointWeightD || 0.0,
             integralMode: options.integralMode || 'standard', // 'standard' ou 'conditional'
-            antiWindupMethod: options.antiWindupMethod || 'clamping' // 'clamping' ou 'back-calculation'
+            antiWindupMethod: options.antiWindupMethod || 'clamping', // 'clamping' ou 'back-calculation'
+            action: options.action || 'direct', // 'direct' (PV sobe com a MV) ou 'reverse'
+            algorithm: options.algorithm || 'positional', // 'positional' ou 'velocity' (incremental)
+            discretization: options.discretization || 'backward', // 'forward', 'backward' ou 'tustin'
+            prewarpFrequency: options.prewarpFrequency || null, // rad/s (Tustin com pré-distorção)
+            derivativeFilterTime: options.derivativeFilterTime ?? null, // Tf (s); null = derivado de derivativeFilter
+            feedforwardEnabled: options.feedforwardEnabled || false,
+            feedforwardGain: options.feedforwardGain || 0,
+            feedforwardLead: options.feedforwardLead || 0, // s
+            feedforwardLag: options.feedforwardLag || 0, // s
+            gainSchedule: null // { variable: 'setpoint' | 'pv' | 'external', breakpoints: [{ value, kp, ki, kd }] }
         };
         
         // Estado interno
@@ -26,10 +40,22 @@ export class AdvancedPIDController {
             lastError: 0,
             lastPV: 0,
             integralSum: 0,
+            integralBias: 0,   // Parcela integral congelada quando o escalonamento zera Ki
             derivativeFiltered: 0,
             lastOutput: 0,
             isManual: false,
-            manualOutput: 0
+            manualOutput: 0,
+            isInitialized: false,
+            integratorHold: null, // Bloqueio externo da integração: 'up', 'down', 'both' ou null
+            lastDisturbance: null,
+            feedforwardFiltered: 0,
+            scheduleInput: 0,  // Variável de escalonamento externa (saída da planta)
+            scheduleStatus: null,
+            // Memória da forma incremental (sinais internos da amostra anterior)
+            lastProportionalError: 0,
+            lastDerivativeState: 0,
+            lastFeedforward: 0,
+            isVelocityPrimed: true
         };
         
         // Termos para análise
@@ -37,6 +63,7 @@ export class AdvancedPIDController {
             proportional: 0,
             integral: 0,
             derivative: 0,
+            feedforward: 0,
             total: 0
         };
         
@@ -53,13 +80,39 @@ export class AdvancedPIDController {
         this.simulationTime = 0;
     }
     
-    update(setpoint, processVariable, deltaTime) {
+    /**
+     * @param {number} setpoint
+     * @param {number} processVariable
+     * @param {number} deltaTime Passo de tempo (s).
+     * @param {number} disturbance Perturbação medida para o feedforward (opcional).
+     */
+    update(setpoint, processVariable, deltaTime, disturbance = 0) {
         this.simulationTime += deltaTime;
         
         if (deltaTime <= 0) return this.state.lastOutput;
         
-        // Modo manual
+        // O filtro do feedforward acompanha a perturbação mesmo em manual
+        this.terms.feedforward = this.updateFeedforward(disturbance, deltaTime);
+        
+        // Escalonamento usa SP e PV em unidades de engenharia, antes da inversão da ação reversa
+        const previousGains = this.config.gainSchedule ? this.applyGainSchedule(setpoint, processVariable) : null;
+        
+        // Ação reversa: inverter SP e PV equivale a inverter o sinal de todos os termos
+        if (this.config.action === 'reverse') {
+            setpoint = -setpoint;
+            processVariable = -processVariable;
+        }
+        
+        // Primeira amostra após reset: sem PV anterior, a derivada seria um pulso espúrio
+        if (!this.state.isInitialized) {
+            this.state.lastPV = processVariable;
+            this.state.isInitialized = true;
+        }
+        
+        // Modo manual (acompanha a PV para o retorno ao automático sem pulso derivativo)
         if (this.state.isManual) {
+            this.state.lastPV = processVariable;
+            this.state.lastError = setpoint - processVariable;
             this.state.lastOutput = this.state.manualOutput;
             return this.state.lastOutput;
         }
@@ -71,44 +124,57 @@ export class AdvancedPIDController {
         const proportionalError = (this.config.setpointWeightP * setpoint) - processVariable;
         this.terms.proportional = this._Kp * proportionalError;
         
+        const isVelocity = this.config.algorithm === 'velocity';
+        if (previousGains && !isVelocity) this.transferScheduledGains(previousGains, proportionalError);
+        
         // === TERMO INTEGRAL ===
-        // Integral condicional (só integra se não saturado)
-        if (this.config.integralMode === 'conditional') {
+        // Bloqueio externo (ex.: malha escrava saturada em cascata) impede integrar no sentido da saturação
+        const hold = this.state.integratorHold;
+        const isHeld = hold === 'both' || (hold === 'up' && error > 0) || (hold === 'down' && error < 0);
+        
+        let shouldIntegrate = !isHeld;
+        if (shouldIntegrate && !isVelocity && this.config.integralMode === 'conditional') {
+            // Integral condicional (só integra se não saturado)
             const wouldSaturate = Math.abs(this.state.lastOutput) >= Math.abs(this.config.outputMax * 0.95);
-            if (!wouldSaturate || (error * this.state.integralSum < 0)) {
-                this.state.integralSum += error * deltaTime;
-            }
-        } else {
-            this.state.integralSum += error * deltaTime;
+            shouldIntegrate = !wouldSaturate || (error * this.state.integralSum < 0);
         }
         
-        this.terms.integral = this._Ki * this.state.integralSum;
+        if (!isVelocity) {
+            if (shouldIntegrate) this.state.integralSum += this.integralIncrement(error, deltaTime);
+            this.terms.integral = this._Ki * this.state.integralSum + this.state.integralBias;
+        }
         
         // === TERMO DERIVATIVO ===
-        // Derivada da PV (não do erro) para evitar derivative kick
-        const pvDerivative = (processVariable - this.state.lastPV) / deltaTime;
-        
-        // Filtro passa-baixa no termo derivativo
-        const alpha = this.config.derivativeFilter;
-        this.state.derivativeFiltered = alpha * (-pvDerivative) + (1 - alpha) * this.state.derivativeFiltered;
+        // Derivada filtrada da PV (não do erro) para evitar derivative kick
+        this.state.derivativeFiltered = this.filteredDerivative(processVariable, deltaTime);
         
         // Com setpoint weighting
         const derivativeSetpointEffect = this.config.setpointWeightD * (setpoint - this.state.lastPV) / deltaTime;
-        this.terms.derivative = this._Kd * (this.state.derivativeFiltered + derivativeSetpointEffect);
+        const derivativeState = this.state.derivativeFiltered + derivativeSetpointEffect;
+        this.terms.derivative = this._Kd * derivativeState;
         
         // === SAÍDA TOTAL ===
-        let output = this.terms.proportional + this.terms.integral + this.terms.derivative;
+        let output;
+        if (isVelocity) {
+            output = this.computeVelocityOutput(error, proportionalError, derivativeState, shouldIntegrate, deltaTime);
+        } else {
+            output = this.terms.proportional + this.terms.integral + this.terms.derivative + this.terms.feedforward;
+        }
         
         // === ANTI-WINDUP ===
-        if (this.config.antiWindupMethod === 'clamping') {
+        if (isVelocity) {
+            // A forma incremental parte da saída anterior já saturada: não há integrador para carregar
+        } else if (this.config.antiWindupMethod === 'clamping') {
             // Método de clamping
             const saturatedOutput = Math.max(this.config.outputMin, Math.min(this.config.outputMax, output));
             
             // Se saturou, ajusta o termo integral
             if (saturatedOutput !== output) {
-                const excessOutput = output - saturatedOutput;
-                this.state.integralSum -= excessOutput / this._Ki;
-                this.terms.integral = this._Ki * this.state.integralSum;
+                if (this._Ki !== 0) {
+                    const excessOutput = output - saturatedOutput;
+                    this.state.integralSum -= excessOutput / this._Ki;
+                    this.terms.integral = this._Ki * this.state.integralSum + this.state.integralBias;
+                }
                 output = saturatedOutput;
             }
         } else if (this.config.antiWindupMethod === 'back-calculation') {
@@ -119,7 +185,7 @@ export class AdvancedPIDController {
                 const Tt = 1.0; // Constante de tempo de tracking
                 const backCalcError = (saturatedOutput - output) / Tt;
                 this.state.integralSum += backCalcError * deltaTime;
-                this.terms.integral = this._Ki * this.state.integralSum;
+                this.terms.integral = this._Ki * this.state.integralSum + this.state.integralBias;
             }
             
             output = saturatedOutput;
@@ -137,6 +203,198 @@ export class AdvancedPIDController {
         return output;
     }
     
+    // === DISCRETIZAÇÃO ===
+    // Constante do Tustin: 2/T, ou ω/tan(ωT/2) com pré-distorção para casar a resposta em ω
+    tustinConstant(deltaTime) {
+        const omega = this.config.prewarpFrequency;
+        if (omega > 0 && omega * deltaTime / 2 < Math.PI / 2) {
+            return omega / Math.tan(omega * deltaTime / 2);
+        }
+        return 2 / deltaTime;
+    }
+    
+    // Incremento de ∫e·dt em uma amostra segundo o método escolhido
+    integralIncrement(error, deltaTime) {
+        switch (this.config.discretization) {
+            case 'forward':
+                return this.state.lastError * deltaTime;
+            case 'tustin':
+                return (error + this.state.lastError) / this.tustinConstant(deltaTime);
+            default:
+                return error * deltaTime;
+        }
+    }
+    
+    /**
+     * Derivada filtrada s/(Tf·s + 1) aplicada a −PV. Sem Tf explícito, usa-se
+     * Tf = T·(1 − α)/α, que reproduz o filtro exponencial original (α = derivativeFilter).
+     */
+    filteredDerivative(processVariable, deltaTime) {
+        const alpha = this.config.derivativeFilter;
+        const Tf = this.config.derivativeFilterTime ?? deltaTime * (1 - alpha) / alpha;
+        const previous = this.state.derivativeFiltered;
+        const delta = -(processVariable - this.state.lastPV);
+        
+        switch (this.config.discretization) {
+            case 'forward':
+                // Instável para T > 2·Tf: justamente o efeito que se quer mostrar
+                if (Tf > 0) return (1 - deltaTime / Tf) * previous + delta / Tf;
+                return delta / deltaTime;
+            case 'tustin': {
+                const c = this.tustinConstant(deltaTime);
+                return ((c * Tf - 1) * previous + c * delta) / (c * Tf + 1);
+            }
+            default:
+                return (Tf * previous + delta) / (Tf + deltaTime);
+        }
+    }
+    
+    setDiscretization(method, prewarpFrequency = null) {
+        this.config.discretization = method;
+        this.config.prewarpFrequency = prewarpFrequency;
+    }
+    
+    setDerivativeFilterTime(filterTime) {
+        this.config.derivativeFilterTime = filterTime;
+    }
+    
+    // === FORMA INCREMENTAL (VELOCIDADE) ===
+    /**
+     * u(k) = sat(u(k−1) + Kp·Δe_p + Ki·e·Δt + Kd·Δd + Δff).
+     * Como a saída anterior já está saturada, o algoritmo tem anti-windup inerente
+     * e mudanças de ganho não causam salto. Sem ação integral a saída não retorna
+     * a um valor de referência: na prática a forma incremental pressupõe Ki > 0.
+     */
+    computeVelocityOutput(error, proportionalError, derivativeState, shouldIntegrate, deltaTime) {
+        const state = this.state;
+        
+        // Após manual ou troca de algoritmo, a primeira amostra só estabelece a referência
+        if (!state.isVelocityPrimed) {
+            state.lastProportionalError = proportionalError;
+            state.lastDerivativeState = derivativeState;
+            state.lastFeedforward = this.terms.feedforward;
+            state.isVelocityPrimed = true;
+        }
+        
+        const deltaOutput = this._Kp * (proportionalError - state.lastProportionalError) +
+            (shouldIntegrate ? this._Ki * this.integralIncrement(error, deltaTime) : 0) +
+            this._Kd * (derivativeState - state.lastDerivativeState) +
+            (this.terms.feedforward - state.lastFeedforward);
+        
+        state.lastProportionalError = proportionalError;
+        state.lastDerivativeState = derivativeState;
+        state.lastFeedforward = this.terms.feedforward;
+        
+        const output = Math.max(this.config.outputMin, Math.min(this.config.outputMax, state.lastOutput + deltaOutput));
+        
+        // Parcela integral implícita, mantida para a análise dos termos
+        this.terms.integral = output - this.terms.proportional - this.terms.derivative - this.terms.feedforward;
+        return output;
+    }
+    
+    setAlgorithm(algorithm) {
+        if (algorithm === this.config.algorithm) return;
+        
+        // Troca sem salto: a posicional herda a parcela integral implícita da incremental
+        if (algorithm === 'positional') {
+            this.state.integralSum = this._Ki !== 0 ? this.terms.integral / this._Ki : 0;
+            this.state.integralBias = 0;
+        }
+        this.state.isVelocityPrimed = false;
+        this.config.algorithm = algorithm;
+    }
+    
+    // === FEEDFORWARD ===
+    // Ganho estático com avanço-atraso (T_lead·s + 1)/(T_lag·s + 1), discretizado por Euler implícito
+    updateFeedforward(disturbance, deltaTime) {
+        if (this.state.lastDisturbance === null) {
+            this.state.lastDisturbance = disturbance;
+            this.state.feedforwardFiltered = disturbance;
+        }
+        
+        const lead = this.config.feedforwardLead;
+        const lag = this.config.feedforwardLag;
+        this.state.feedforwardFiltered = (lag * this.state.feedforwardFiltered +
+            (lead + deltaTime) * disturbance - lead * this.state.lastDisturbance) / (lag + deltaTime);
+        this.state.lastDisturbance = disturbance;
+        
+        return this.config.feedforwardEnabled ? this.config.feedforwardGain * this.state.feedforwardFiltered : 0;
+    }
+    
+    // === ESCALONAMENTO DE GANHOS ===
+    /**
+     * Interpola linearmente os ganhos da tabela; fora dela vale o ponto extremo.
+     * @returns {{ kp: number, ki: number, kd: number, value: number, lower: number, upper: number }}
+     *   lower/upper são os índices dos pontos que delimitam a região ativa.
+     */
+    getScheduledGains(value) {
+        const points = this.config.gainSchedule.breakpoints;
+        const last = points.length - 1;
+        
+        if (value <= points[0].value) return { ...pickGains(points[0]), value, lower: 0, upper: 0 };
+        if (value >= points[last].value) return { ...pickGains(points[last]), value, lower: last, upper: last };
+        
+        const upper = points.findIndex(point => point.value > value);
+        const lower = upper - 1;
+        const fraction = (value - points[lower].value) / (points[upper].value - points[lower].value);
+        const lerp = (key) => points[lower][key] + fraction * (points[upper][key] - points[lower][key]);
+        return { kp: lerp('kp'), ki: lerp('ki'), kd: lerp('kd'), value, lower, upper };
+    }
+    
+    applyGainSchedule(setpoint, processVariable) {
+        const { variable } = this.config.gainSchedule;
+        const value = variable === 'setpoint' ? setpoint : variable === 'pv' ? processVariable : this.state.scheduleInput;
+        const scheduled = this.getScheduledGains(value);
+        const previous = { kp: this._Kp, ki: this._Ki, kd: this._Kd };
+        
+        this._Kp = scheduled.kp;
+        this._Ki = scheduled.ki;
+        this._Kd = scheduled.kd;
+        this.state.scheduleStatus = scheduled;
+        return previous;
+    }
+    
+    /**
+     * Transferência sem salto na troca de ganhos do escalonamento: a parcela integral
+     * (Ki·Σe) é preservada e absorve a variação de Kp·e, de modo que a MV não pula ao
+     * cruzar um ponto da tabela. Com Ki = 0 a parcela fica congelada como bias até o
+     * integrador voltar a atuar. A forma incremental dispensa a compensação.
+     */
+    transferScheduledGains(previous, proportionalError) {
+        if (previous.kp === this._Kp && previous.ki === this._Ki) return;
+        
+        const integralTerm = previous.ki * this.state.integralSum + this.state.integralBias -
+            (this._Kp - previous.kp) * proportionalError;
+        if (this._Ki !== 0) {
+            this.state.integralSum = integralTerm / this._Ki;
+            this.state.integralBias = 0;
+        } else {
+            this.state.integralSum = 0;
+            this.state.integralBias = integralTerm;
+        }
+    }
+    
+    /**
+     * @param {object|null} schedule { variable, breakpoints }; null desliga o escalonamento.
+     */
+    setGainSchedule(schedule) {
+        const breakpoints = schedule ? schedule.breakpoints.filter(point =>
+            [point.value, point.kp, point.ki, point.kd].every(Number.isFinite)) : [];
+        
+        this.config.gainSchedule = breakpoints.length > 0
+            ? { variable: schedule.variable, breakpoints: [...breakpoints].sort((a, b) => a.value - b.value) }
+            : null;
+        this.state.scheduleStatus = null;
+    }
+    
+    setScheduleInput(value) {
+        this.state.scheduleInput = value;
+    }
+    
+    getScheduleStatus() {
+        return this.state.scheduleStatus ? { ...this.state.scheduleStatus } : null;
+    }
+    
     updateMetrics(error, output, deltaTime) {
         // IAE - Integral Absolute Error
         this.metrics.integralAbsoluteError += Math.abs(error) * deltaTime;
@@ -185,15 +443,64 @@ export class AdvancedPIDController {
         this.config.derivativeFilter = alpha;
     }
     
+    setFeedforward(gain, leadTime = 0, lagTime = 0) {
+        this.config.feedforwardGain = gain;
+        this.config.feedforwardLead = leadTime;
+        this.config.feedforwardLag = lagTime;
+    }
+    
+    enableFeedforward(enabled) {
+        if (enabled === this.config.feedforwardEnabled) return;
+        this.config.feedforwardEnabled = enabled;
+        
+        // Transferência sem salto: a integral absorve a parcela que o feedforward assume ou libera
+        const newTerm = enabled ? this.config.feedforwardGain * this.state.feedforwardFiltered : 0;
+        if (this._Ki !== 0 && this.state.isInitialized && !this.state.isManual) {
+            this.state.integralSum -= (newTerm - this.terms.feedforward) / this._Ki;
+            this.terms.integral = this._Ki * this.state.integralSum + this.state.integralBias;
+        }
+        this.terms.feedforward = newTerm;
+        this.state.lastFeedforward = newTerm;
+    }
+    
+    setAction(action) {
+        if (action === this.config.action) return;
+        // Mantém a saída contínua: a soma integral é guardada no sinal interno
+        this.state.lastPV = -this.state.lastPV;
+        this.state.isVelocityPrimed = false;
+        this.config.action = action;
+    }
+    
+    setIntegratorHold(direction) {
+        this.state.integratorHold = direction;
+    }
+    
+    /**
+     * Indica se a última saída ficou presa em um limite, no sentido do setpoint:
+     * 'up' quando o setpoint está alto demais para ser atingido, 'down' no caso oposto
+     * e 'both' em modo manual (o setpoint não tem efeito).
+     */
+    getSaturation() {
+        if (this.state.isManual) return 'both';
+        
+        const reverse = this.config.action === 'reverse';
+        if (this.state.lastOutput >= this.config.outputMax) return reverse ? 'down' : 'up';
+        if (this.state.lastOutput <= this.config.outputMin) return reverse ? 'up' : 'down';
+        return null;
+    }
+    
     // === MODO MANUAL/AUTOMÁTICO ===
     setManualMode(isManual, manualOutput = 0) {
         if (isManual && !this.state.isManual) {
             // Transição para manual - bumpless transfer
             this.state.manualOutput = this.state.lastOutput;
+            this.state.isVelocityPrimed = false;
         } else if (!isManual && this.state.isManual) {
             // Transição para automático - bumpless transfer
-            this.state.integralSum = this.state.manualOutput / this._Ki;
-            this.terms.integral = this.state.manualOutput;
+            const integralTarget = this.state.manualOutput - this.terms.feedforward;
+            this.state.integralSum = this._Ki !== 0 ? integralTarget / this._Ki : 0;
+            this.state.integralBias = 0;
+            this.terms.integral = integralTarget;
         }
         
         this.state.isManual = isManual;
@@ -264,14 +571,25 @@ export class AdvancedPIDController {
         this.state.lastError = 0;
         this.state.lastPV = 0;
         this.state.integralSum = 0;
+        this.state.integralBias = 0;
         this.state.derivativeFiltered = 0;
         this.state.lastOutput = 0;
         this.state.isManual = false;
         this.state.manualOutput = 0;
+        this.state.isInitialized = false;
+        this.state.integratorHold = null;
+        this.state.scheduleStatus = null;
+        this.state.lastDisturbance = null;
+        this.state.feedforwardFiltered = 0;
+        this.state.lastProportionalError = 0;
+        this.state.lastDerivativeState = 0;
+        this.state.lastFeedforward = 0;
+        this.state.isVelocityPrimed = true;
         
         this.terms.proportional = 0;
         this.terms.integral = 0;
         this.terms.derivative = 0;
+        this.terms.feedforward = 0;
         this.terms.total = 0;
         
         this.metrics.integralAbsoluteError = 0;
@@ -0,0 +1,58 @@
+/**
+ * Controle em cascata com dois AdvancedPIDController
+ * A saída do mestre (malha externa) é o setpoint do escravo (malha interna).
+ */
+
+export class CascadeController {
+    /**
+     * @param {AdvancedPIDController} outer Controlador mestre (variável principal).
+     * @param {AdvancedPIDController} inner Controlador escravo (medição interna).
+     */
+    constructor(outer, inner) {
+        this.outer = outer;
+        this.inner = inner;
+        this.innerSetpoint = 0;
+        this.isOuterTracking = false;
+    }
+
+    /**
+     * @param {number} setpoint Setpoint da malha externa.
+     * @param {number} outerPV Variável principal medida.
+     * @param {number} innerPV Medição interna (vazão, corrente, potência...).
+     * @param {number} deltaTime Passo de tempo (s).
+     * @param {number} disturbance Perturbação medida, aplicada ao feedforward do mestre.
+     * @returns {number} MV aplicada à planta.
+     */
+    update(setpoint, outerPV, innerPV, deltaTime, disturbance = 0) {
+        // Com o escravo em manual, o mestre rastreia a medição interna e
+        // retorna ao automático sem salto quando o escravo volta
+        const innerIsManual = this.inner.getConfiguration().state.isManual;
+        const outerIsManual = this.outer.getConfiguration().state.isManual;
+        if (innerIsManual && (!outerIsManual || this.isOuterTracking)) {
+            this.outer.setManualMode(true, innerPV);
+            this.isOuterTracking = true;
+        } else if (!innerIsManual && this.isOuterTracking) {
+            this.outer.setManualMode(false);
+            this.isOuterTracking = false;
+        }
+
+        this.innerSetpoint = this.outer.update(setpoint, outerPV, deltaTime, disturbance);
+        const output = this.inner.update(this.innerSetpoint, innerPV, deltaTime);
+
+        // Anti-windup propagado: se o escravo satura, o mestre não integra no mesmo sentido
+        this.outer.setIntegratorHold(this.inner.getSaturation());
+
+        return output;
+    }
+
+    getInnerSetpoint() {
+        return this.innerSetpoint;
+    }
+
+    reset() {
+        this.outer.reset();
+        this.inner.reset();
+        this.innerSetpoint = 0;
+        this.isOuterTracking = false;
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * Simulação em malha fechada sem interface (headless)
+ * Usada para comparar sintonias sem interferir na simulação ao vivo
+ */
+
+import { PerformanceAnalyzer } from './performance-analyzer.js';
+
+/**
+ * Aplica um degrau de setpoint a partir do estado inicial da planta
+ * e retorna o relatório do PerformanceAnalyzer.
+ * @param {object} plant Planta nova (será reiniciada).
+ * @param {object} controller Objeto com update(setpoint, pv, dt) e reset().
+ * @param {object} options setpoint, duration (s), dt (s), maxSamples e
+ *   sampleSteps (controlador recalculado a cada N passos da planta, MV retida entre amostras).
+ * @returns {{ report: object, trace: { time: number[], pv: number[], mv: number[] }, maxOutputRate: number, diverged: boolean }}
+ */
+export function simulateClosedLoop(plant, controller, options = {}) {
+    const dt = options.dt ?? 0.04;
+    const duration = options.duration ?? 30;
+    const steps = Math.ceil(duration / dt);
+    const sampleSteps = Math.max(1, Math.round(options.sampleSteps ?? 1));
+    const sampleTime = sampleSteps * dt;
+
+    // Amostragem reduzida mantém o histórico do analisador dentro do limite
+    const maxSamples = options.maxSamples ?? 1000;
+    const sampleEvery = Math.max(1, Math.ceil(steps / maxSamples));
+    const analyzer = new PerformanceAnalyzer({ maxPoints: maxSamples + 1 });
+
+    plant.reset();
+    controller.reset();
+
+    let plantState = plant.update(0, 0);
+    const readPV = (state) => state.processVariable ?? state.position;
+    const initialPV = readPV(plantState);
+    const trace = { time: [], pv: [], mv: [] };
+
+    // Primeira amostra no valor inicial para que o analisador detecte o degrau
+    analyzer.update(0, initialPV, initialPV, 0);
+
+    let diverged = false;
+    let lastMV = null;
+    let mv = 0;
+    let maxOutputRate = 0;
+    for (let i = 1; i <= steps; i++) {
+        const time = i * dt;
+        const pv = readPV(plantState);
+        // Mesmo esquema da malha ao vivo: amostra no primeiro passo e retenção (ZOH) até a próxima
+        const isSample = (i - 1) % sampleSteps === 0;
+        if (isSample) mv = controller.update(options.setpoint, pv, sampleTime);
+        plantState = plant.update(mv, dt);
+
+        // Falha física (pêndulo caído, bola fora da viga) conta como divergência
+        if (!Number.isFinite(pv) || !Number.isFinite(mv) || (plant.getFailure && plant.getFailure())) {
+            diverged = true;
+            break;
+        }
+
+        // Taxa de variação da MV medida entre amostras do controlador
+        if (isSample) {
+            if (lastMV !== null) maxOutputRate = Math.max(maxOutputRate, Math.abs(mv - lastMV) / sampleTime);
+            lastMV = mv;
+        }
+
+        if (i % sampleEvery === 0) {
+            analyzer.update(time, options.setpoint, pv, mv);
+            trace.time.push(time);
+            trace.pv.push(pv);
+            trace.mv.push(mv);
+        }
+    }
+
+    return { report: analyzer.generateReport(), trace, maxOutputRate, diverged };
+}
@@ -0,0 +1,129 @@
+/**
+ * Agenda de perturbações temporizadas aplicadas aos canais de setDisturbance das plantas
+ * Cada evento atua em um canal dentro da janela [início, início + duração] com um formato;
+ * duração 0 mantém o evento ativo até o reinício. Eventos no mesmo canal se somam.
+ */
+
+import { SeededRandom } from './noise-models.js';
+
+// Formatos disponíveis: valor do evento em função do tempo desde o início (τ)
+export const DISTURBANCE_SHAPES = {
+    step: { name: 'Degrau', periodic: false },
+    ramp: { name: 'Rampa', periodic: false },
+    sine: { name: 'Senoide', periodic: true },
+    pulse: { name: 'Trem de pulsos', periodic: true },
+    random: { name: 'Aleatório', periodic: true }
+};
+
+export class DisturbanceScheduler {
+    /**
+     * @param {object} options
+     *   seed: semente dos eventos aleatórios (a mesma semente repete os mesmos níveis).
+     */
+    constructor(options = {}) {
+        this.seed = (options.seed ?? SeededRandom.randomSeed()) >>> 0;
+        this.events = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * @param {object} event { channel, shape, start, duration, amplitude, period, source }
+     * @returns {object} Evento armazenado, com id.
+     */
+    addEvent(event) {
+        const stored = {
+            shape: 'step',
+            start: 0,
+            duration: 0,
+            amplitude: 0,
+            period: 2,
+            source: 'user',
+            ...event,
+            id: this.nextId++
+        };
+        this.events.push(stored);
+        this.sortEvents();
+        return stored;
+    }
+
+    updateEvent(id, changes) {
+        const event = this.events.find(item => item.id === id);
+        if (!event) return;
+        Object.assign(event, changes);
+        this.sortEvents();
+    }
+
+    removeEvent(id) {
+        this.events = this.events.filter(event => event.id !== id);
+    }
+
+    reseed(seed) {
+        this.seed = seed >>> 0;
+    }
+
+    // Sem origem remove tudo; com origem remove só os eventos dela (ex.: os de um cenário)
+    clear(source = null) {
+        this.events = source === null ? [] : this.events.filter(event => event.source !== source);
+    }
+
+    getEvents() {
+        return this.events;
+    }
+
+    hasEvents() {
+        return this.events.length > 0;
+    }
+
+    getEnd(event) {
+        return event.duration > 0 ? event.start + event.duration : Infinity;
+    }
+
+    isActive(event, time) {
+        return time >= event.start && time < this.getEnd(event);
+    }
+
+    /**
+     * Soma dos eventos por canal no instante dado.
+     * Só aparecem os canais que têm eventos, ativos ou não, para que o chamador
+     * saiba quais canais a agenda controla.
+     * @returns {object} canal → valor.
+     */
+    evaluate(time) {
+        const values = {};
+        this.events.forEach(event => {
+            values[event.channel] = (values[event.channel] || 0) +
+                (this.isActive(event, time) ? this.shapeValue(event, time - event.start) : 0);
+        });
+        return values;
+    }
+
+    shapeValue(event, elapsed) {
+        const { shape, amplitude, duration } = event;
+        const period = Math.max(event.period, 1e-3);
+
+        switch (shape) {
+            case 'ramp':
+                // Sem duração definida a rampa cresce por um período e mantém o patamar
+                return amplitude * Math.min(1, elapsed / (duration > 0 ? duration : period));
+            case 'sine':
+                return amplitude * Math.sin(2 * Math.PI * elapsed / period);
+            case 'pulse':
+                // Ciclo de trabalho de 50%: ativo na primeira metade de cada período
+                return elapsed % period < period / 2 ? amplitude : 0;
+            case 'random':
+                return amplitude * this.randomLevel(event, Math.floor(elapsed / period));
+            default:
+                return amplitude;
+        }
+    }
+
+    // Nível uniforme em [−1, 1] por intervalo, função só da semente: o reinício repete a sequência
+    randomLevel(event, interval) {
+        const random = new SeededRandom(this.seed + event.id * 0x9e3779b1 + interval * 0x85ebca6b);
+        return 2 * random.next() - 1;
+    }
+
+    sortEvents() {
+        this.events.sort((a, b) => a.start - b.start || a.id - b.id);
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Otimização numérica dos ganhos PID
+ * Minimiza um critério de desempenho (IAE, ITAE, ...) ponderado com o esforço
+ * de controle, sujeito a restrições de overshoot e de taxa da MV, usando
+ * simulações headless da planta e da configuração atual do controlador.
+ */
+
+import { AdvancedPIDController } from './advanced-pid.js';
+import { NelderMeadOptimizer } from './nelder-mead.js';
+import { simulateClosedLoop } from './closed-loop-simulation.js';
+
+export const OPTIMIZATION_CRITERIA = {
+    iae: 'IAE',
+    ise: 'ISE',
+    itae: 'ITAE',
+    itse: 'ITSE'
+};
+
+// Penalidade por unidade de violação relativa de uma restrição
+const CONSTRAINT_PENALTY = 100;
+
+// Menor ganho representável na escala logarítmica da busca
+const MIN_GAIN = 1e-4;
+
+// Piso da normalização das violações: um limite nulo não pode zerar o denominador
+const MIN_LIMIT = 1e-6;
+
+export class GainOptimizer {
+    /**
+     * @param {object} options
+     *   plantFactory: () => planta nova (com o pipeline de atuador, atraso e sensor),
+     *   controllerConfig: configuração de AdvancedPIDController,
+     *   initialGains: { kp, ki, kd },
+     *   structure: 'PI' | 'PID',
+     *   criterion: chave de OPTIMIZATION_CRITERIA,
+     *   effortWeight: peso do esforço de controle (normalizado),
+     *   maxOvershoot: % (null = sem restrição),
+     *   maxOutputRate: %/s (null = sem restrição),
+     *   setpoint, duration, dt, sampleSteps (período do controlador em passos), maxIterations
+     */
+    constructor(options) {
+        this.options = {
+            structure: 'PID',
+            criterion: 'itae',
+            effortWeight: 0,
+            maxOvershoot: null,
+            maxOutputRate: null,
+            duration: 30,
+            dt: 0.04,
+            sampleSteps: 1,
+            maxIterations: 120,
+            iterationsPerFrame: 2,
+            ...options
+        };
+
+        this.status = 'idle'; // 'idle' | 'running' | 'complete' | 'stopped'
+        this.history = [];    // Melhor custo por iteração
+        this.initialCost = null; // Custo dos ganhos iniciais, calculado em start()
+        this.timer = null;
+        this.callbacks = { onProgress: null, onComplete: null };
+
+        // Valores de referência normalizam o custo pelos ganhos iniciais
+        const reference = this.simulate(this.options.initialGains);
+        this.reference = {
+            error: this.getErrorMetric(reference) || 1,
+            effort: reference.report.controlMetrics.controlEffort || 1
+        };
+    }
+
+    simulate(gains) {
+        const controller = new AdvancedPIDController(gains.kp, gains.ki, gains.kd, { ...this.options.controllerConfig });
+        return simulateClosedLoop(this.options.plantFactory(), controller, {
+            setpoint: this.options.setpoint,
+            duration: this.options.duration,
+            dt: this.options.dt,
+            sampleSteps: this.options.sampleSteps
+        });
+    }
+
+    getErrorMetric(simulation) {
+        return simulation.report.errorMetrics[this.options.criterion];
+    }
+
+    // Busca em escala logarítmica mantém os ganhos positivos
+    toGains(point) {
+        const [kp, ki, kd] = point.map(x => Math.exp(x));
+        return { kp, ki, kd: this.options.structure === 'PID' ? kd : 0 };
+    }
+
+    toPoint(gains) {
+        const values = this.options.structure === 'PID' ? [gains.kp, gains.ki, gains.kd] : [gains.kp, gains.ki];
+        return values.map(value => Math.log(Math.max(MIN_GAIN, value)));
+    }
+
+    /**
+     * Custo normalizado de um conjunto de ganhos, com penalidades de restrição.
+     */
+    evaluate(gains) {
+        const simulation = this.simulate(gains);
+        if (simulation.diverged) return { cost: Infinity, simulation, feasible: false };
+
+        const { responseMetrics, controlMetrics } = simulation.report;
+        let cost = this.getErrorMetric(simulation) / this.reference.error +
+            this.options.effortWeight * controlMetrics.controlEffort / this.reference.effort;
+
+        let feasible = true;
+        const overshoot = Math.max(responseMetrics.overshoot, responseMetrics.undershoot);
+        if (this.options.maxOvershoot !== null && overshoot > this.options.maxOvershoot) {
+            cost += CONSTRAINT_PENALTY * (overshoot - this.options.maxOvershoot) / Math.max(1, this.options.maxOvershoot);
+            feasible = false;
+        }
+        if (this.options.maxOutputRate !== null && simulation.maxOutputRate > this.options.maxOutputRate) {
+            cost += CONSTRAINT_PENALTY * (simulation.maxOutputRate - this.options.maxOutputRate) / Math.max(this.options.maxOutputRate, MIN_LIMIT);
+            feasible = false;
+        }
+
+        return { cost, simulation, feasible };
+    }
+
+    /**
+     * Inicia a otimização em fatias, liberando a interface entre iterações.
+     * @param {object} callbacks onProgress(progress), onComplete(result)
+     */
+    start(callbacks = {}) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+        this.status = 'running';
+        this.history = [];
+        // Custo dos ganhos de partida (como a busca os representa): base do antes/depois exibido
+        this.initialCost = this.evaluate(this.toGains(this.toPoint(this.options.initialGains))).cost;
+
+        const n = this.options.structure === 'PID' ? 3 : 2;
+        this.optimizer = new NelderMeadOptimizer(
+            (point) => this.evaluate(this.toGains(point)).cost,
+            this.toPoint(this.options.initialGains),
+            { step: new Array(n).fill(0.5), maxIterations: this.options.maxIterations, tolerance: 1e-4 }
+        );
+
+        this.scheduleNextBatch();
+    }
+
+    scheduleNextBatch() {
+        this.timer = setTimeout(() => this.runBatch(), 0);
+    }
+
+    runBatch() {
+        if (this.status !== 'running') return;
+
+        let hasMore = true;
+        for (let i = 0; i < this.options.iterationsPerFrame && hasMore; i++) {
+            hasMore = this.optimizer.iterate();
+            this.history.push(this.optimizer.getBest().value);
+        }
+
+        if (this.callbacks.onProgress) this.callbacks.onProgress(this.getProgress());
+
+        if (hasMore) {
+            this.scheduleNextBatch();
+        } else {
+            this.status = 'complete';
+            if (this.callbacks.onComplete) this.callbacks.onComplete(this.getResult());
+        }
+    }
+
+    stop() {
+        if (this.status !== 'running') return;
+        clearTimeout(this.timer);
+        this.status = 'stopped';
+        if (this.callbacks.onProgress) this.callbacks.onProgress(this.getProgress());
+        if (this.callbacks.onComplete) this.callbacks.onComplete(this.getResult());
+    }
+
+    isRunning() {
+        return this.status === 'running';
+    }
+
+    getProgress() {
+        const best = this.optimizer.getBest();
+        return {
+            iteration: this.optimizer.iterations,
+            maxIterations: this.options.maxIterations,
+            evaluations: this.optimizer.evaluations,
+            initialCost: this.initialCost,
+            bestCost: best.value,
+            bestGains: this.toGains(best.point),
+            history: [...this.history]
+        };
+    }
+
+    getResult() {
+        const best = this.optimizer.getBest();
+        const gains = this.toGains(best.point);
+        const { cost, simulation, feasible } = this.evaluate(gains);
+        return {
+            gains,
+            cost,
+            feasible,
+            report: simulation.report,
+            maxOutputRate: simulation.maxOutputRate,
+            iterations: this.optimizer.iterations,
+            initialCost: this.initialCost,
+            status: this.status
+        };
+    }
+}
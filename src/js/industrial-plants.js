@@ -1,21 +1,35 @@
 /**
  * Modelos de plantas industriais realísticas para simulação PID
  * Baseado no PRD - Seção 3.1
+ * Cada planta descreve sua dinâmica em derivatives() e delega a integração ao OdeSolver.
  */
 
+import { OdeSolver } from './ode-solver.js';
+
 export class TemperatureControlSystem {
+    static parameterSchema = [
+        { key: 'thermalCapacity', label: 'Capacidade térmica', units: 'J/K', min: 0, exclusiveMin: true, default: 500, description: 'Energia para aquecer o forno em 1 K; com a resistência define τ = C⋅R' },
+        { key: 'thermalResistance', label: 'Resistência térmica', units: 'K/W', min: 0, exclusiveMin: true, default: 0.1, description: 'Isolamento entre o forno e o ambiente' },
+        { key: 'ambientTemp', label: 'Temperatura ambiente', units: '°C', min: -273.15, exclusiveMin: true, default: 25, description: 'Temperatura de partida e de equilíbrio com o aquecedor desligado' },
+        { key: 'maxHeatingPower', label: 'Potência máxima', units: 'W', min: 0, exclusiveMin: true, default: 2000, description: 'Potência da resistência com a MV em 100%' },
+        { key: 'heaterTimeConstant', label: 'Inércia da resistência', units: 's', min: 0, default: 0, description: 'Atraso da potência entregue em relação à comandada (0 = imediata)' }
+    ];
+
     constructor(params = {}) {
         // Parâmetros físicos do sistema térmico
         this.thermalCapacity = params.thermalCapacity || 500; // J/K
         this.thermalResistance = params.thermalResistance || 0.1; // K/W
-        this.ambientTemp = params.ambientTemp || 25; // °C
+        this.ambientTemp = params.ambientTemp ?? 25; // °C
         this.maxHeatingPower = params.maxHeatingPower || 2000; // W
+        this.heaterTimeConstant = params.heaterTimeConstant ?? 0; // s (inércia da resistência)
         this.timeConstant = this.thermalCapacity * this.thermalResistance;
+        this.solver = params.solver || new OdeSolver();
         
         // Estado do sistema
         this.state = {
             temperature: this.ambientTemp,
-            heatFlow: 0
+            heatFlow: 0,
+            heaterPower: 0
         };
         
         // Perturbações
@@ -32,30 +46,48 @@ export class TemperatureControlSystem {
         this.simulationTime += dt;
         
         // Satura a potência de aquecimento
-        const actualPower = Math.max(0, Math.min(this.maxHeatingPower, heatingPower));
-        
-        // Calcula perdas térmicas para o ambiente
-        const currentAmbient = this.ambientTemp + this.disturbances.ambientTempChange;
-        const thermalLoss = (this.state.temperature - currentAmbient) / this.thermalResistance;
+        const commandedPower = Math.max(0, Math.min(this.maxHeatingPower, heatingPower));
         
-        // Efeito da abertura de porta (perturbação)
-        const doorEffect = this.disturbances.doorOpening ? this.disturbances.doorOpeningEffect : 0;
-        
-        // Balanço energético: dT/dt = (Pin - Ploss) / C
-        const netHeatFlow = actualPower - thermalLoss + doorEffect;
-        const tempChange = netHeatFlow / this.thermalCapacity;
+        // Sem inércia da resistência a potência entregue é o próprio comando
+        if (this.heaterTimeConstant <= 0) this.state.heaterPower = commandedPower;
+        [this.state.temperature, this.state.heaterPower] = this.solver.integrate(
+            x => this.derivatives(x, commandedPower),
+            [this.state.temperature, this.state.heaterPower],
+            dt
+        );
+        const actualPower = this.state.heaterPower;
         
-        this.state.temperature += tempChange * dt;
+        const { thermalLoss, doorEffect, netHeatFlow } = this.getHeatFlows(this.state.temperature, actualPower);
         this.state.heatFlow = netHeatFlow;
         
         return {
             processVariable: this.state.temperature,
             actualOutput: actualPower,
+            heaterPower: actualPower,
             disturbanceEffect: doorEffect,
+            ambientTempChange: this.disturbances.ambientTempChange,
             thermalLoss: thermalLoss
         };
     }
     
+    getHeatFlows(temperature, power) {
+        // Calcula perdas térmicas para o ambiente
+        const currentAmbient = this.ambientTemp + this.disturbances.ambientTempChange;
+        const thermalLoss = (temperature - currentAmbient) / this.thermalResistance;
+        
+        // Efeito da abertura de porta (perturbação)
+        const doorEffect = this.disturbances.doorOpening ? this.disturbances.doorOpeningEffect : 0;
+        
+        return { thermalLoss, doorEffect, netHeatFlow: power - thermalLoss + doorEffect };
+    }
+    
+    // Balanço energético: dT/dt = (Pin - Ploss) / C; potência segue o comando com atraso de primeira ordem
+    derivatives([temperature, power], commandedPower) {
+        const { netHeatFlow } = this.getHeatFlows(temperature, power);
+        const powerRate = this.heaterTimeConstant > 0 ? (commandedPower - power) / this.heaterTimeConstant : 0;
+        return [netHeatFlow / this.thermalCapacity, powerRate];
+    }
+    
     setDisturbance(type, value) {
         if (type === 'ambient') {
             this.disturbances.ambientTempChange = value;
@@ -67,6 +99,7 @@ export class TemperatureControlSystem {
     reset() {
         this.state.temperature = this.ambientTemp;
         this.state.heatFlow = 0;
+        this.state.heaterPower = 0;
         this.disturbances.ambientTempChange = 0;
         this.disturbances.doorOpening = false;
         this.simulationTime = 0;
@@ -74,12 +107,19 @@ export class TemperatureControlSystem {
 }
 
 export class TankLevelSystem {
+    static parameterSchema = [
+        { key: 'tankArea', label: 'Área do tanque', units: 'm²', min: 0, exclusiveMin: true, default: 2.0, description: 'Seção transversal: tanques largos respondem mais devagar' },
+        { key: 'maxOutletFlow', label: 'Coeficiente da saída', units: 'm³/(s⋅√m)', min: 0, exclusiveMin: true, default: 0.05, description: 'Vazão da válvula toda aberta por raiz da altura de líquido' },
+        { key: 'maxLevel', label: 'Altura do tanque', units: 'm', min: 0, exclusiveMin: true, default: 5.0, description: 'Acima dela o tanque transborda e o nível não sobe mais' }
+    ];
+
     constructor(params = {}) {
         // Parâmetros do tanque
         this.tankArea = params.tankArea || 2.0; // m²
         this.maxOutletFlow = params.maxOutletFlow || 0.05; // m³/s
         this.outletCoefficient = params.outletCoefficient || 0.1;
         this.maxLevel = params.maxLevel || 5.0; // m
+        this.solver = params.solver || new OdeSolver();
         
         // Estado do sistema
         this.state = {
@@ -103,34 +143,43 @@ export class TankLevelSystem {
         // Satura abertura da válvula (0-100%)
         const actualValveOpening = Math.max(0, Math.min(100, valveOpening)) / 100;
         
-        // Vazão de saída (não-linear com a altura)
-        const pressureHead = Math.max(0, this.state.level);
-        this.state.outletFlow = actualValveOpening * this.maxOutletFlow * Math.sqrt(pressureHead);
-        
-        // Vazão de entrada com perturbação
-        const actualInletFlow = this.state.inletFlow + this.disturbances.inletFlowVariation;
-        
-        // Vazamento (perturbação)
-        const leakageFlow = this.disturbances.leakage;
-        
-        // Balanço de massa: dh/dt = (Qin - Qout - Qleak) / A
-        const netFlow = actualInletFlow - this.state.outletFlow - leakageFlow;
-        const levelChange = netFlow / this.tankArea;
-        
-        this.state.level += levelChange * dt;
+        [this.state.level] = this.solver.integrate(x => this.derivatives(x, actualValveOpening), [this.state.level], dt);
         
         // Limita o nível (não pode ser negativo ou exceder o tanque)
         this.state.level = Math.max(0, Math.min(this.maxLevel, this.state.level));
         
+        const { actualInletFlow, outletFlow, leakageFlow, netFlow } = this.getFlows(this.state.level, actualValveOpening);
+        this.state.outletFlow = outletFlow;
+        
         return {
             processVariable: this.state.level,
             actualOutput: actualValveOpening * 100,
             inletFlow: actualInletFlow,
             outletFlow: this.state.outletFlow,
+            leakageFlow: leakageFlow,
             netFlow: netFlow
         };
     }
     
+    getFlows(level, valveOpening) {
+        // Vazão de saída (não-linear com a altura)
+        const pressureHead = Math.max(0, level);
+        const outletFlow = valveOpening * this.maxOutletFlow * Math.sqrt(pressureHead);
+        
+        // Vazão de entrada com perturbação
+        const actualInletFlow = this.state.inletFlow + this.disturbances.inletFlowVariation;
+        
+        // Vazamento (perturbação)
+        const leakageFlow = this.disturbances.leakage;
+        
+        return { actualInletFlow, outletFlow, leakageFlow, netFlow: actualInletFlow - outletFlow - leakageFlow };
+    }
+    
+    // Balanço de massa: dh/dt = (Qin - Qout - Qleak) / A
+    derivatives([level], valveOpening) {
+        return [this.getFlows(level, valveOpening).netFlow / this.tankArea];
+    }
+    
     setDisturbance(type, value) {
         if (type === 'inlet') {
             this.disturbances.inletFlowVariation = value;
@@ -149,19 +198,31 @@ export class TankLevelSystem {
 }
 
 export class MotorSpeedSystem {
+    static parameterSchema = [
+        { key: 'inertia', label: 'Inércia', units: 'kg⋅m²', min: 0, exclusiveMin: true, default: 0.01, description: 'Inércia do rotor e da carga refletida no eixo' },
+        { key: 'friction', label: 'Atrito viscoso', units: 'N⋅m⋅s/rad', min: 0, default: 0.1, description: 'Torque de atrito por unidade de velocidade' },
+        { key: 'torqueConstant', label: 'Constante de torque', units: 'N⋅m/A', min: 0, exclusiveMin: true, default: 0.5, description: 'Torque produzido por ampère de armadura' },
+        { key: 'maxCurrent', label: 'Corrente máxima', units: 'A', min: 0, exclusiveMin: true, default: 10, description: 'Corrente do acionamento com a MV em 100%' },
+        { key: 'gearRatio', label: 'Relação de redução', units: '', min: 0, exclusiveMin: true, default: 10, description: 'Multiplica o torque do motor e divide a velocidade' },
+        { key: 'electricalTimeConstant', label: 'Constante elétrica (L/R)', units: 's', min: 0, default: 0, description: 'Atraso da corrente de armadura (0 = corrente imediata)' }
+    ];
+
     constructor(params = {}) {
         // Parâmetros do motor
         this.inertia = params.inertia || 0.01; // kg⋅m²
-        this.friction = params.friction || 0.1; // N⋅m⋅s/rad
+        this.friction = params.friction ?? 0.1; // N⋅m⋅s/rad
         this.torqueConstant = params.torqueConstant || 0.5; // N⋅m/A
         this.maxCurrent = params.maxCurrent || 10; // A
         this.gearRatio = params.gearRatio || 10;
+        this.electricalTimeConstant = params.electricalTimeConstant ?? 0; // s (L/R da armadura)
+        this.solver = params.solver || new OdeSolver();
         
         // Estado do sistema
         this.state = {
             angularVelocity: 0, // rad/s
             rpm: 0,
-            torque: 0
+            torque: 0,
+            current: 0 // A
         };
         
         // Perturbações
@@ -177,34 +238,52 @@ export class MotorSpeedSystem {
         this.simulationTime += dt;
         
         // Satura a corrente
-        const actualCurrent = Math.max(-this.maxCurrent, Math.min(this.maxCurrent, currentCommand));
-        
-        // Torque do motor
-        const motorTorque = this.torqueConstant * actualCurrent;
-        
-        // Torque de atrito (com variação)
-        const frictionTorque = this.friction * this.disturbances.frictionVariation * this.state.angularVelocity;
+        const commandedCurrent = Math.max(-this.maxCurrent, Math.min(this.maxCurrent, currentCommand));
         
-        // Torque de carga (perturbação)
-        const loadTorque = this.disturbances.loadTorque;
+        // Sem indutância a corrente de armadura é o próprio comando
+        if (this.electricalTimeConstant <= 0) this.state.current = commandedCurrent;
+        [this.state.angularVelocity, this.state.current] = this.solver.integrate(
+            x => this.derivatives(x, commandedCurrent),
+            [this.state.angularVelocity, this.state.current],
+            dt
+        );
+        const actualCurrent = this.state.current;
         
-        // Equação dinâmica: J⋅dω/dt = Tm - Tf - Tl
-        const netTorque = motorTorque - frictionTorque - loadTorque;
-        const acceleration = netTorque / this.inertia;
+        const { motorTorque, frictionTorque, loadTorque } = this.getTorques(this.state.angularVelocity, actualCurrent);
         
-        this.state.angularVelocity += acceleration * dt;
         this.state.rpm = (this.state.angularVelocity * 60) / (2 * Math.PI) * this.gearRatio;
         this.state.torque = motorTorque;
         
         return {
             processVariable: this.state.rpm,
             actualOutput: actualCurrent,
+            current: actualCurrent,
             motorTorque: motorTorque,
             frictionTorque: frictionTorque,
             loadTorque: loadTorque
         };
     }
     
+    getTorques(angularVelocity, current) {
+        // Torque do motor
+        const motorTorque = this.torqueConstant * current;
+        
+        // Torque de atrito (com variação)
+        const frictionTorque = this.friction * this.disturbances.frictionVariation * angularVelocity;
+        
+        // Torque de carga (perturbação)
+        const loadTorque = this.disturbances.loadTorque;
+        
+        return { motorTorque, frictionTorque, loadTorque, netTorque: motorTorque - frictionTorque - loadTorque };
+    }
+    
+    // Equação dinâmica: J⋅dω/dt = Tm - Tf - Tl; corrente segue o comando com a constante elétrica L/R
+    derivatives([angularVelocity, current], commandedCurrent) {
+        const { netTorque } = this.getTorques(angularVelocity, current);
+        const currentRate = this.electricalTimeConstant > 0 ? (commandedCurrent - current) / this.electricalTimeConstant : 0;
+        return [netTorque / this.inertia, currentRate];
+    }
+    
     setDisturbance(type, value) {
         if (type === 'load') {
             this.disturbances.loadTorque = value;
@@ -217,6 +296,7 @@ export class MotorSpeedSystem {
         this.state.angularVelocity = 0;
         this.state.rpm = 0;
         this.state.torque = 0;
+        this.state.current = 0;
         this.disturbances.loadTorque = 0;
         this.disturbances.frictionVariation = 1.0;
         this.simulationTime = 0;
@@ -224,6 +304,13 @@ export class MotorSpeedSystem {
 }
 
 export class PressureControlSystem {
+    static parameterSchema = [
+        { key: 'volume', label: 'Volume do vaso', units: 'm³', min: 0, exclusiveMin: true, default: 0.1, description: 'Vasos maiores acumulam mais massa para a mesma pressão' },
+        { key: 'temperature', label: 'Temperatura do gás', units: 'K', min: 0, exclusiveMin: true, default: 293, description: 'Temperatura absoluta do ar no vaso (lei dos gases ideais)' },
+        { key: 'maxInletFlow', label: 'Vazão máxima de entrada', units: 'kg/s', min: 0, exclusiveMin: true, default: 0.01, description: 'Vazão mássica da válvula de entrada toda aberta' },
+        { key: 'outletCoefficient', label: 'Coeficiente da saída', units: 'kg/(s⋅√Pa)', min: 0, default: 0.0001, description: 'Vazão de consumo por raiz da pressão manométrica' }
+    ];
+
     constructor(params = {}) {
         // Parâmetros do sistema pneumático
         this.volume = params.volume || 0.1; // m³
@@ -231,7 +318,8 @@ export class PressureControlSystem {
         this.temperature = params.temperature || 293; // K (20°C)
         this.atmosphericPressure = 101325; // Pa
         this.maxInletFlow = params.maxInletFlow || 0.01; // kg/s
-        this.outletCoefficient = params.outletCoefficient || 0.0001;
+        this.outletCoefficient = params.outletCoefficient ?? 0.0001;
+        this.solver = params.solver || new OdeSolver();
         
         // Estado do sistema
         this.state = {
@@ -258,38 +346,51 @@ export class PressureControlSystem {
         // Satura abertura da válvula (0-100%)
         const actualValveOpening = Math.max(0, Math.min(100, valveOpening)) / 100;
         
-        // Vazão mássica de entrada
-        const inletMassFlow = actualValveOpening * this.maxInletFlow;
-        
-        // Vazão mássica de saída (dependente da pressão)
-        const pressureDiff = Math.max(0, this.state.pressure - this.atmosphericPressure);
-        const outletMassFlow = this.outletCoefficient * this.disturbances.outletFlowVariation * Math.sqrt(pressureDiff);
-        
-        // Vazamento (perturbação)
-        const leakageMassFlow = this.disturbances.leakage;
-        
-        // Balanço de massa: dm/dt = min - mout - mleak
-        const netMassFlow = inletMassFlow - outletMassFlow - leakageMassFlow;
-        this.state.mass += netMassFlow * dt;
+        [this.state.mass] = this.solver.integrate(x => this.derivatives(x, actualValveOpening), [this.state.mass], dt);
         
         // Evita massa negativa
         this.state.mass = Math.max(0.001, this.state.mass);
+        this.state.pressure = this.getPressure(this.state.mass);
         
-        // Temperatura atual (com perturbação)
-        const currentTemp = this.temperature + this.disturbances.temperatureChange;
-        
-        // Lei dos gases ideais: P = (m⋅R⋅T) / V
-        this.state.pressure = (this.state.mass * this.gasConstant * currentTemp) / this.volume;
+        const { inletMassFlow, outletMassFlow, leakageMassFlow, netMassFlow } = this.getMassFlows(this.state.mass, actualValveOpening);
         
         return {
             processVariable: (this.state.pressure - this.atmosphericPressure) / 1000, // kPa gauge
             actualOutput: actualValveOpening * 100,
             inletFlow: inletMassFlow,
             outletFlow: outletMassFlow,
+            leakageFlow: leakageMassFlow,
             netFlow: netMassFlow
         };
     }
     
+    getPressure(mass) {
+        // Temperatura atual (com perturbação)
+        const currentTemp = this.temperature + this.disturbances.temperatureChange;
+        
+        // Lei dos gases ideais: P = (m⋅R⋅T) / V
+        return (mass * this.gasConstant * currentTemp) / this.volume;
+    }
+    
+    getMassFlows(mass, valveOpening) {
+        // Vazão mássica de entrada
+        const inletMassFlow = valveOpening * this.maxInletFlow;
+        
+        // Vazão mássica de saída (dependente da pressão)
+        const pressureDiff = Math.max(0, this.getPressure(mass) - this.atmosphericPressure);
+        const outletMassFlow = this.outletCoefficient * this.disturbances.outletFlowVariation * Math.sqrt(pressureDiff);
+        
+        // Vazamento (perturbação)
+        const leakageMassFlow = this.disturbances.leakage;
+        
+        return { inletMassFlow, outletMassFlow, leakageMassFlow, netMassFlow: inletMassFlow - outletMassFlow - leakageMassFlow };
+    }
+    
+    // Balanço de massa: dm/dt = min - mout - mleak
+    derivatives([mass], valveOpening) {
+        return [this.getMassFlows(mass, valveOpening).netMassFlow];
+    }
+    
     setDisturbance(type, value) {
         if (type === 'outlet') {
             this.disturbances.outletFlowVariation = value;
@@ -308,4 +409,755 @@ export class PressureControlSystem {
         this.disturbances.temperatureChange = 0;
         this.simulationTime = 0;
     }
-}
\ No newline at end of file
+}
+/**
+ * Processo de quatro tanques de Johansson (2000): duas bombas, dois níveis medidos (tanques 1 e 2).
+ * A bomba 1 alimenta o tanque 1 (fração γ1) e o tanque 4 (1 − γ1); a bomba 2, o tanque 2 (γ2) e o tanque 3.
+ * Os tanques superiores 3 e 4 escoam para os inferiores 1 e 2. Com γ1 + γ2 < 1 o sistema tem zero
+ * multivariável no semiplano direito (fase não mínima).
+ * A MV principal é a bomba 1; a bomba 2 é a entrada secundária da segunda malha.
+ */
+export class QuadrupleTankSystem {
+    static parameterSchema = [
+        ...[28, 32, 28, 32].map((area, i) => ({ key: 'tankAreas', index: i, label: `Área do tanque ${i + 1}`, units: 'cm²', min: 0, exclusiveMin: true, default: area, description: 'Seção transversal do tanque' })),
+        ...[0.071, 0.057, 0.071, 0.057].map((area, i) => ({ key: 'outletAreas', index: i, label: `Orifício do tanque ${i + 1}`, units: 'cm²', min: 0, exclusiveMin: true, default: area, description: 'Área do furo de descarga no fundo do tanque' })),
+        ...[3.33, 3.35].map((gain, i) => ({ key: 'pumpGains', index: i, label: `Ganho da bomba ${i + 1}`, units: 'cm³/(V⋅s)', min: 0, exclusiveMin: true, default: gain, description: 'Vazão bombeada por volt aplicado' })),
+        { key: 'maxVoltage', label: 'Tensão máxima', units: 'V', min: 0, exclusiveMin: true, default: 10, description: 'Tensão nas bombas com a MV em 100%' },
+        { key: 'maxLevel', label: 'Altura dos tanques', units: 'cm', min: 0, exclusiveMin: true, default: 20, description: 'Acima dela o tanque transborda' },
+        ...[30, 30].map((input, i) => ({ key: 'nominalInputs', index: i, label: `Bomba ${i + 1} nominal`, units: '%', min: 0, max: 100, default: input, apply: 'reset', description: 'Entrada do ponto de operação em que os níveis partem em equilíbrio' }))
+    ];
+
+    static validateParameters(values) {
+        const errors = {};
+        values.outletAreas.forEach((area, i) => {
+            if (area >= values.tankAreas[i]) errors[`outletAreas[${i}]`] = 'deve ser menor que a área do tanque';
+        });
+        return errors;
+    }
+
+    constructor(params = {}) {
+        // Parâmetros físicos (cm, s) da bancada original
+        this.tankAreas = params.tankAreas || [28, 32, 28, 32];             // cm²
+        this.outletAreas = params.outletAreas || [0.071, 0.057, 0.071, 0.057]; // cm²
+        this.pumpGains = params.pumpGains || [3.33, 3.35];                 // cm³/(V⋅s)
+        this.maxVoltage = params.maxVoltage || 10;                         // V (MV de 100%)
+        this.maxLevel = params.maxLevel || 20;                             // cm
+        this.gravity = 981;                                                // cm/s²
+        this.flowSplit = params.flowSplit || [0.7, 0.6];                   // γ1, γ2
+        this.nominalInputs = params.nominalInputs || [30, 30];             // % (ponto de operação inicial)
+        this.solver = params.solver || new OdeSolver();
+
+        this.disturbances = {
+            leakage: 0 // cm³/s retirados do tanque 1
+        };
+
+        this.reset();
+    }
+
+    update(pump1, dt) {
+        this.simulationTime += dt;
+
+        const inputs = [pump1, this.secondaryInput].map(u => Math.max(0, Math.min(100, u)));
+
+        this.state.levels = this.solver.integrate(x => this.derivatives(x, inputs), this.state.levels, dt)
+            .map(level => Math.max(0, Math.min(this.maxLevel, level)));
+
+        const [level1, level2, level3, level4] = this.state.levels;
+        const [pump1Flow, pump2Flow] = this.getPumpFlows(inputs);
+
+        return {
+            processVariable: level1,
+            secondaryProcessVariable: level2,
+            actualOutput: inputs[0],
+            secondaryOutput: inputs[1],
+            level3,
+            level4,
+            pump1Flow,
+            pump2Flow,
+            leakageFlow: this.disturbances.leakage
+        };
+    }
+
+    getPumpFlows(inputs) {
+        return inputs.map((u, i) => this.pumpGains[i] * this.maxVoltage * u / 100);
+    }
+
+    // Torricelli: q = a⋅√(2⋅g⋅h)
+    getOutletFlows(levels) {
+        return levels.map((h, i) => this.outletAreas[i] * Math.sqrt(2 * this.gravity * Math.max(0, h)));
+    }
+
+    // Balanço de massa dos quatro tanques
+    derivatives(levels, inputs) {
+        const [q1, q2, q3, q4] = this.getOutletFlows(levels);
+        const [pump1Flow, pump2Flow] = this.getPumpFlows(inputs);
+        const [gamma1, gamma2] = this.flowSplit;
+        const [A1, A2, A3, A4] = this.tankAreas;
+        const leak = levels[0] > 0 ? this.disturbances.leakage : 0;
+
+        return [
+            (q3 + gamma1 * pump1Flow - q1 - leak) / A1,
+            (q4 + gamma2 * pump2Flow - q2) / A2,
+            ((1 - gamma2) * pump2Flow - q3) / A3,
+            ((1 - gamma1) * pump1Flow - q4) / A4
+        ];
+    }
+
+    // Níveis de regime para entradas constantes (%), invertendo a lei de Torricelli
+    getEquilibrium(inputs) {
+        const [pump1Flow, pump2Flow] = this.getPumpFlows(inputs);
+        const [gamma1, gamma2] = this.flowSplit;
+        const levelFor = (flow, i) => (Math.max(0, flow) / this.outletAreas[i]) ** 2 / (2 * this.gravity);
+
+        const q3 = (1 - gamma2) * pump2Flow;
+        const q4 = (1 - gamma1) * pump1Flow;
+        return [
+            levelFor(gamma1 * pump1Flow + q3 - this.disturbances.leakage, 0),
+            levelFor(gamma2 * pump2Flow + q4, 1),
+            levelFor(q3, 2),
+            levelFor(q4, 3)
+        ].map(level => Math.min(this.maxLevel, level));
+    }
+
+    /**
+     * Linearização no nível atual: Ti = Ai/ai⋅√(2⋅hi/g) e ganhos estáticos (cm/%) das bombas para h1 e h2.
+     * G11 = γ1⋅c1/(1+sT1), G12 = (1−γ2)⋅c1'/((1+sT1)(1+sT3)), G21 = (1−γ1)⋅c2'/((1+sT2)(1+sT4)), G22 = γ2⋅c2/(1+sT2)
+     */
+    getLinearization() {
+        const timeConstants = this.state.levels.map((h, i) =>
+            this.tankAreas[i] / this.outletAreas[i] * Math.sqrt(2 * Math.max(h, 0.1) / this.gravity));
+        const [T1, T2] = timeConstants;
+        const [k1, k2] = this.pumpGains.map(k => k * this.maxVoltage / 100);
+        const [gamma1, gamma2] = this.flowSplit;
+        const [A1, A2] = this.tankAreas;
+
+        return {
+            timeConstants,
+            gain: [
+                [gamma1 * k1 * T1 / A1, (1 - gamma2) * k2 * T1 / A1],
+                [(1 - gamma1) * k1 * T2 / A2, gamma2 * k2 * T2 / A2]
+            ]
+        };
+    }
+
+    setFlowSplit(gamma1, gamma2) {
+        this.flowSplit = [gamma1, gamma2];
+    }
+
+    // Bomba 2 (%), comandada pela segunda malha
+    setSecondaryInput(value) {
+        this.secondaryInput = value;
+    }
+
+    setDisturbance(type, value) {
+        if (type === 'leak') {
+            this.disturbances.leakage = value;
+        }
+    }
+
+    reset() {
+        this.disturbances.leakage = 0;
+        this.secondaryInput = this.nominalInputs[1];
+        this.state = { levels: this.getEquilibrium(this.nominalInputs) };
+        this.simulationTime = 0;
+    }
+}
+
+/**
+ * Reator contínuo de tanque agitado (CSTR) com reação exotérmica A → B e camisa de resfriamento.
+ * Parâmetros do exemplo clássico de Seborg et al., com tempos em minutos (convertidos para segundos).
+ * A MV define a temperatura do fluido da camisa; no ponto nominal (350 K) o reator está no estado
+ * estacionário intermediário, instável em malha aberta: sem controle ele dispara ou se extingue.
+ */
+export class ExothermicReactorSystem {
+    static parameterSchema = [
+        { key: 'volume', label: 'Volume', units: 'L', min: 0, exclusiveMin: true, default: 100, description: 'Volume reacional; com a vazão define o tempo de residência' },
+        { key: 'feedFlow', label: 'Vazão de alimentação', units: 'L/min', min: 0, exclusiveMin: true, default: 100, description: 'Vazão de carga (igual à de saída)' },
+        { key: 'heatCapacity', label: 'Capacidade calorífica', units: 'J/(L⋅K)', min: 0, exclusiveMin: true, default: 239, description: 'ρ⋅Cp da mistura' },
+        { key: 'reactionEnthalpy', label: 'Entalpia de reação', units: 'J/mol', default: -5e4, description: 'Negativa: reação exotérmica, que pode disparar sem refrigeração' },
+        { key: 'activationTemperature', label: 'Energia de ativação (E/R)', units: 'K', min: 0, exclusiveMin: true, default: 8750, description: 'Sensibilidade da velocidade de reação à temperatura' },
+        { key: 'preExponential', label: 'Fator pré-exponencial', units: '1/min', min: 0, exclusiveMin: true, default: 7.2e10, description: 'Constante de Arrhenius' },
+        { key: 'heatTransfer', label: 'UA da camisa', units: 'J/(min⋅K)', min: 0, default: 5e4, description: 'Troca de calor com o refrigerante (0 = reator adiabático)' },
+        { key: 'feedConcentration', label: 'Concentração da carga', units: 'mol/L', min: 0, default: 1, description: 'Concentração do reagente na alimentação' },
+        { key: 'feedTemperature', label: 'Temperatura da carga', units: 'K', min: 0, exclusiveMin: true, default: 350, description: 'Temperatura da alimentação' },
+        { key: 'coolantRange', index: 0, label: 'Refrigerante com MV em 0%', units: 'K', min: 0, exclusiveMin: true, default: 280, description: 'Temperatura da camisa com a MV no mínimo' },
+        { key: 'coolantRange', index: 1, label: 'Refrigerante com MV em 100%', units: 'K', min: 0, exclusiveMin: true, default: 320, description: 'Temperatura da camisa com a MV no máximo' }
+    ];
+
+    static validateParameters(values) {
+        const [minCoolant, maxCoolant] = values.coolantRange;
+        return minCoolant < maxCoolant ? {} : { 'coolantRange[1]': 'deve ficar acima da temperatura com a MV em 0%' };
+    }
+
+    constructor(params = {}) {
+        this.volume = params.volume || 100;                     // L
+        this.feedFlow = params.feedFlow || 100;                 // L/min
+        this.heatCapacity = params.heatCapacity || 239;         // J/(L⋅K) (ρ⋅Cp)
+        this.reactionEnthalpy = params.reactionEnthalpy ?? -5e4; // J/mol
+        this.activationTemperature = params.activationTemperature || 8750; // K (E/R)
+        this.preExponential = params.preExponential || 7.2e10; // 1/min
+        this.heatTransfer = params.heatTransfer ?? 5e4;         // J/(min⋅K) (UA da camisa)
+        this.feedConcentration = params.feedConcentration ?? 1; // mol/L
+        this.feedTemperature = params.feedTemperature || 350;   // K
+        this.coolantRange = params.coolantRange || [280, 320];  // K para MV de 0 a 100%
+        this.solver = params.solver || new OdeSolver();
+
+        // Estado estacionário nominal (instável) do exemplo
+        this.initialState = params.initialState || { concentration: 0.5, temperature: 350 };
+
+        this.disturbances = {
+            feedConcentrationChange: 0, // mol/L
+            feedTemperatureChange: 0    // K
+        };
+
+        this.reset();
+    }
+
+    update(coolantCommand, dt) {
+        this.simulationTime += dt;
+
+        const coolantSignal = Math.max(0, Math.min(100, coolantCommand));
+        const [minCoolant, maxCoolant] = this.coolantRange;
+        const coolantTemperature = minCoolant + (maxCoolant - minCoolant) * coolantSignal / 100;
+
+        [this.state.concentration, this.state.temperature] = this.solver.integrate(
+            x => this.derivatives(x, coolantTemperature),
+            [this.state.concentration, this.state.temperature],
+            dt
+        );
+        this.state.concentration = Math.max(0, this.state.concentration);
+
+        const { reactionRate, reactionHeat, jacketHeat } = this.getRates(this.state.concentration, this.state.temperature, coolantTemperature);
+
+        return {
+            processVariable: this.state.temperature,
+            actualOutput: coolantSignal,
+            coolantTemperature,
+            concentration: this.state.concentration,
+            reactionRate,
+            reactionHeat,
+            jacketHeat,
+            feedConcentrationChange: this.disturbances.feedConcentrationChange,
+            feedTemperatureChange: this.disturbances.feedTemperatureChange
+        };
+    }
+
+    // Cinética de Arrhenius e calores por minuto: r = k0⋅e^(−E/RT)⋅CA
+    getRates(concentration, temperature, coolantTemperature) {
+        const reactionRate = this.preExponential * Math.exp(-this.activationTemperature / temperature) * concentration; // mol/(L⋅min)
+        const reactionHeat = -this.reactionEnthalpy * reactionRate * this.volume;  // J/min
+        const jacketHeat = this.heatTransfer * (coolantTemperature - temperature); // J/min
+        return { reactionRate, reactionHeat, jacketHeat };
+    }
+
+    /**
+     * Balanços de massa e energia (por minuto, divididos por 60 para o passo em segundos):
+     * dCA/dt = q/V⋅(CAf − CA) − r
+     * dT/dt = q/V⋅(Tf − T) + (Qr + UA⋅(Tc − T)) / (V⋅ρ⋅Cp)
+     */
+    derivatives([concentration, temperature], coolantTemperature) {
+        const { reactionRate, reactionHeat, jacketHeat } = this.getRates(concentration, temperature, coolantTemperature);
+        const dilution = this.feedFlow / this.volume;
+        const feedConcentration = this.feedConcentration + this.disturbances.feedConcentrationChange;
+        const feedTemperature = this.feedTemperature + this.disturbances.feedTemperatureChange;
+
+        const concentrationRate = dilution * (feedConcentration - concentration) - reactionRate;
+        const temperatureRate = dilution * (feedTemperature - temperature) + (reactionHeat + jacketHeat) / (this.volume * this.heatCapacity);
+        return [concentrationRate / 60, temperatureRate / 60];
+    }
+
+    setDisturbance(type, value) {
+        if (type === 'feedConcentration') {
+            this.disturbances.feedConcentrationChange = value;
+        } else if (type === 'feedTemperature') {
+            this.disturbances.feedTemperatureChange = value;
+        }
+    }
+
+    reset() {
+        this.state = { ...this.initialState };
+        this.disturbances.feedConcentrationChange = 0;
+        this.disturbances.feedTemperatureChange = 0;
+        this.simulationTime = 0;
+    }
+}
+
+/**
+ * Trocador de calor em contracorrente discretizado em células de mistura perfeita.
+ * O lado frio (processo) entra na célula 0; o lado quente entra na última célula, e a série
+ * de células produz o atraso distribuído e o tempo morto aparente do trocador real.
+ * A MV abre a válvula do lado quente; a PV é a temperatura de saída do lado frio.
+ * A incrustação cresce assintoticamente com o tempo simulado (modelo de Kern-Seaton),
+ * reduzindo o UA e deixando lentas as sintonias feitas com o trocador limpo.
+ */
+export class HeatExchangerSystem {
+    static parameterSchema = [
+        { key: 'cells', label: 'Células', units: '', min: 1, max: 50, integer: true, default: 10, apply: 'reset', description: 'Divisões de cada lado: mais células aproximam melhor o escoamento, com mais cálculo' },
+        { key: 'coldFlow', label: 'Vazão fria', units: 'kg/s', min: 0, exclusiveMin: true, default: 0.5, description: 'Vazão nominal do fluido aquecido' },
+        { key: 'coldInletTemperature', label: 'Entrada fria', units: '°C', min: -273.15, exclusiveMin: true, default: 20, description: 'Temperatura do fluido frio na entrada' },
+        { key: 'hotInletTemperature', label: 'Entrada quente', units: '°C', min: -273.15, exclusiveMin: true, default: 90, description: 'Temperatura do fluido quente na entrada' },
+        { key: 'maxHotFlow', label: 'Vazão quente máxima', units: 'kg/s', min: 0, exclusiveMin: true, default: 1.0, description: 'Vazão do fluido quente com a válvula toda aberta' },
+        { key: 'coldHoldup', label: 'Massa do lado frio', units: 'kg', min: 0, exclusiveMin: true, default: 20, description: 'Fluido frio contido no trocador' },
+        { key: 'hotHoldup', label: 'Massa do lado quente', units: 'kg', min: 0, exclusiveMin: true, default: 20, description: 'Fluido quente contido no trocador' },
+        { key: 'heatTransfer', property: 'cleanHeatTransfer', label: 'UA limpo', units: 'W/K', min: 0, exclusiveMin: true, default: 5000, description: 'Coeficiente global de troca vezes a área, sem incrustação' },
+        { key: 'foulingResistance', label: 'Resistência de incrustação', units: 'K/W', min: 0, default: 4e-4, description: 'Resistência assintótica somada à do trocador limpo (0 = sem incrustação)' },
+        { key: 'foulingTimeConstant', label: 'Constante da incrustação', units: 's', min: 0, exclusiveMin: true, default: 600, description: 'Tempo para a incrustação chegar a 63% do valor final' }
+    ];
+
+    constructor(params = {}) {
+        this.cells = params.cells || 10;
+        this.specificHeat = 4180;                              // J/(kg⋅K) (água nos dois lados)
+        this.coldFlow = params.coldFlow || 0.5;                // kg/s
+        this.coldInletTemperature = params.coldInletTemperature ?? 20; // °C
+        this.hotInletTemperature = params.hotInletTemperature ?? 90;   // °C
+        this.maxHotFlow = params.maxHotFlow || 1.0;            // kg/s com a válvula toda aberta
+        this.coldHoldup = params.coldHoldup || 20;             // kg de fluido frio no trocador
+        this.hotHoldup = params.hotHoldup || 20;               // kg de fluido quente no trocador
+        this.cleanHeatTransfer = params.heatTransfer || 5000;  // W/K (UA total limpo)
+        this.foulingResistance = params.foulingResistance ?? 4e-4; // K/W assintótico (UA cai a 1/3 do limpo)
+        this.foulingTimeConstant = params.foulingTimeConstant || 600; // s
+        this.solver = params.solver || new OdeSolver();
+
+        this.disturbances = {
+            coldFlowChange: 0,            // fração da vazão nominal
+            coldInletTemperatureChange: 0 // °C
+        };
+
+        this.reset();
+    }
+
+    update(valveOpening, dt) {
+        this.simulationTime += dt;
+
+        const hotFlow = Math.max(0, Math.min(100, valveOpening)) / 100 * this.maxHotFlow;
+        const heatTransfer = this.getHeatTransfer(this.simulationTime);
+
+        const temperatures = this.solver.integrate(
+            x => this.derivatives(x, hotFlow, heatTransfer),
+            [...this.state.coldTemperatures, ...this.state.hotTemperatures],
+            dt
+        );
+        this.state.coldTemperatures = temperatures.slice(0, this.cells);
+        this.state.hotTemperatures = temperatures.slice(this.cells);
+
+        const coldOutlet = this.state.coldTemperatures[this.cells - 1];
+        const coldFlow = this.getColdFlow();
+
+        return {
+            processVariable: coldOutlet,
+            actualOutput: hotFlow / this.maxHotFlow * 100,
+            hotFlow,
+            hotOutletTemperature: this.state.hotTemperatures[0],
+            heatDuty: coldFlow * this.specificHeat * (coldOutlet - this.getColdInletTemperature()),
+            heatTransferCoefficient: heatTransfer,
+            foulingFactor: heatTransfer / this.cleanHeatTransfer,
+            coldFlowChange: this.disturbances.coldFlowChange * this.coldFlow,
+            coldInletTemperatureChange: this.disturbances.coldInletTemperatureChange
+        };
+    }
+
+    getColdFlow() {
+        return Math.max(0, this.coldFlow * (1 + this.disturbances.coldFlowChange));
+    }
+
+    getColdInletTemperature() {
+        return this.coldInletTemperature + this.disturbances.coldInletTemperatureChange;
+    }
+
+    // UA com a resistência de incrustação Rf(t) = Rf∞⋅(1 − e^(−t/τf)) em série com a do trocador limpo
+    getHeatTransfer(time) {
+        const foulingResistance = this.foulingResistance * (1 - Math.exp(-time / this.foulingTimeConstant));
+        return 1 / (1 / this.cleanHeatTransfer + foulingResistance);
+    }
+
+    /**
+     * Balanço de energia por célula (UA e massas divididos igualmente):
+     * mc⋅cp⋅dTc,i/dt = ṁc⋅cp⋅(Tc,i−1 − Tc,i) + UAi⋅(Th,i − Tc,i)
+     * mh⋅cp⋅dTh,i/dt = ṁh⋅cp⋅(Th,i+1 − Th,i) − UAi⋅(Th,i − Tc,i)
+     */
+    derivatives(temperatures, hotFlow, heatTransfer) {
+        const n = this.cells;
+        const cp = this.specificHeat;
+        const cellHeatTransfer = heatTransfer / n;
+        const coldCapacity = this.coldHoldup / n * cp;
+        const hotCapacity = this.hotHoldup / n * cp;
+        const coldFlow = this.getColdFlow();
+        const coldInlet = this.getColdInletTemperature();
+        const rates = new Array(2 * n);
+
+        for (let i = 0; i < n; i++) {
+            const cold = temperatures[i];
+            const hot = temperatures[n + i];
+            const upstreamCold = i === 0 ? coldInlet : temperatures[i - 1];
+            const upstreamHot = i === n - 1 ? this.hotInletTemperature : temperatures[n + i + 1];
+            const exchanged = cellHeatTransfer * (hot - cold);
+
+            rates[i] = (coldFlow * cp * (upstreamCold - cold) + exchanged) / coldCapacity;
+            rates[n + i] = (hotFlow * cp * (upstreamHot - hot) - exchanged) / hotCapacity;
+        }
+        return rates;
+    }
+
+    setDisturbance(type, value) {
+        if (type === 'coldFlow') {
+            this.disturbances.coldFlowChange = value;
+        } else if (type === 'coldInletTemperature') {
+            this.disturbances.coldInletTemperatureChange = value;
+        }
+    }
+
+    // Reinício equivale a um trocador recém-limpo, cheio de fluido na temperatura de entrada fria
+    reset() {
+        this.state = {
+            coldTemperatures: new Array(this.cells).fill(this.coldInletTemperature),
+            hotTemperatures: new Array(this.cells).fill(this.coldInletTemperature)
+        };
+        this.disturbances.coldFlowChange = 0;
+        this.disturbances.coldInletTemperatureChange = 0;
+        this.simulationTime = 0;
+    }
+}
+
+/**
+ * Perfis de estrada prontos: pontos { distance (m), grade (%) } interpolados linearmente.
+ * O percurso se repete ao chegar ao último ponto, como um circuito.
+ */
+export const ROAD_GRADE_PROFILES = {
+    flat: { name: 'Plano', points: [{ distance: 0, grade: 0 }, { distance: 1000, grade: 0 }] },
+    rollingHills: {
+        name: 'Colinas',
+        points: [
+            { distance: 0, grade: 0 }, { distance: 300, grade: 5 }, { distance: 600, grade: 0 },
+            { distance: 900, grade: -5 }, { distance: 1200, grade: 0 }, { distance: 1500, grade: 0 }
+        ]
+    },
+    longClimb: {
+        name: 'Subida longa (serra)',
+        points: [
+            { distance: 0, grade: 0 }, { distance: 200, grade: 0 }, { distance: 300, grade: 12 },
+            { distance: 1800, grade: 12 }, { distance: 1900, grade: 0 }, { distance: 2500, grade: 0 },
+            { distance: 2600, grade: -8 }, { distance: 3600, grade: -8 }, { distance: 3700, grade: 0 },
+            { distance: 4200, grade: 0 }
+        ]
+    }
+};
+
+/**
+ * Dinâmica longitudinal de um automóvel para controle de cruzeiro.
+ * A MV positiva é o acelerador (fração do torque máximo do mapa do motor) e a negativa, o freio.
+ * A PV é a velocidade em km/h; a inclinação da estrada vem do perfil, em função da distância percorrida.
+ */
+export class VehicleCruiseSystem {
+    static parameterSchema = [
+        { key: 'mass', label: 'Massa', units: 'kg', min: 0, exclusiveMin: true, default: 1500, description: 'Massa do veículo com carga' },
+        { key: 'dragArea', label: 'Área de arrasto (Cd⋅A)', units: 'm²', min: 0, default: 0.66, description: 'Arrasto aerodinâmico, que cresce com o quadrado da velocidade' },
+        { key: 'rollingResistance', label: 'Resistência ao rolamento', units: '', min: 0, default: 0.012, description: 'Coeficiente de rolamento dos pneus' },
+        { key: 'wheelRadius', label: 'Raio da roda', units: 'm', min: 0, exclusiveMin: true, default: 0.3, description: 'Raio dinâmico do pneu' },
+        { key: 'gearRatio', label: 'Relação da marcha', units: '', min: 0, exclusiveMin: true, default: 1.0, description: 'Relação da marcha engatada' },
+        { key: 'finalDrive', label: 'Relação do diferencial', units: '', min: 0, exclusiveMin: true, default: 3.7, description: 'Redução final entre a caixa e as rodas' },
+        { key: 'drivelineEfficiency', label: 'Eficiência da transmissão', units: '', min: 0, exclusiveMin: true, max: 1, default: 0.9, description: 'Fração do torque do motor que chega às rodas' },
+        { key: 'maxBrakeForce', label: 'Força máxima de frenagem', units: 'N', min: 0, default: 6000, description: 'Força dos freios com a MV em −100%' },
+        { key: 'idleRpm', label: 'Marcha lenta', units: 'rpm', min: 0, exclusiveMin: true, default: 800, description: 'Rotação mínima do motor' },
+        { key: 'maxRpm', label: 'Corte de giro', units: 'rpm', min: 0, exclusiveMin: true, default: 6500, description: 'Acima dela o motor deixa de entregar torque' },
+        { key: 'initialSpeed', label: 'Velocidade inicial', units: 'km/h', min: 0, default: 100, apply: 'reset', description: 'Velocidade do veículo no início da corrida' }
+    ];
+
+    static validateParameters(values) {
+        return values.idleRpm < values.maxRpm ? {} : { maxRpm: 'deve ficar acima da marcha lenta' };
+    }
+
+    constructor(params = {}) {
+        this.mass = params.mass || 1500;                   // kg
+        this.dragArea = params.dragArea ?? 0.66;           // m² (Cd⋅A)
+        this.airDensity = 1.2;                             // kg/m³
+        this.rollingResistance = params.rollingResistance ?? 0.012;
+        this.wheelRadius = params.wheelRadius || 0.3;      // m
+        this.gearRatio = params.gearRatio || 1.0;          // marcha engatada (5ª)
+        this.finalDrive = params.finalDrive || 3.7;        // diferencial
+        this.drivelineEfficiency = params.drivelineEfficiency || 0.9;
+        this.maxBrakeForce = params.maxBrakeForce ?? 6000; // N
+        this.idleRpm = params.idleRpm || 800;
+        this.maxRpm = params.maxRpm || 6500;               // corte de giro
+        // Mapa de torque máximo do motor: [rpm, N⋅m]
+        this.torqueMap = params.torqueMap || [[1000, 120], [2000, 180], [3000, 200], [4000, 210], [5000, 195], [6000, 170]];
+        this.initialSpeed = params.initialSpeed ?? 100;    // km/h
+        this.gravity = 9.81;
+        this.solver = params.solver || new OdeSolver();
+        // A distância percorrida não tem equilíbrio: o trim a mantém fixa
+        this.driftStates = [0];
+
+        this.setGradeProfile(params.gradeProfile || ROAD_GRADE_PROFILES.flat.points);
+
+        this.disturbances = {
+            headwind: 0 // m/s (vento contrário)
+        };
+
+        this.reset();
+    }
+
+    update(pedal, dt) {
+        this.simulationTime += dt;
+
+        const command = Math.max(-100, Math.min(100, pedal));
+
+        [this.state.distance, this.state.velocity] = this.solver.integrate(
+            x => this.derivatives(x, command),
+            [this.state.distance, this.state.velocity],
+            dt
+        );
+        // Sem marcha à ré: o carro para em vez de descer de costas
+        this.state.velocity = Math.max(0, this.state.velocity);
+
+        const forces = this.getForces(this.state.distance, this.state.velocity, command);
+
+        return {
+            processVariable: this.state.velocity * 3.6,
+            actualOutput: command,
+            distance: this.state.distance,
+            grade: this.getGrade(this.state.distance),
+            engineRpm: forces.engineRpm,
+            engineTorque: forces.engineTorque,
+            tractionForce: forces.tractionForce,
+            gradeForce: forces.gradeForce,
+            dragForce: forces.dragForce,
+            rollingForce: forces.rollingForce
+        };
+    }
+
+    // Pontos ordenados por distância; o percurso se repete a partir do último ponto
+    setGradeProfile(points) {
+        this.gradeProfile = points
+            .filter(point => Number.isFinite(point.distance) && Number.isFinite(point.grade))
+            .map(point => ({ ...point }))
+            .sort((a, b) => a.distance - b.distance);
+        if (this.gradeProfile.length === 0) this.gradeProfile = [{ distance: 0, grade: 0 }];
+    }
+
+    getGrade(distance) {
+        const points = this.gradeProfile;
+        const first = points[0];
+        const last = points[points.length - 1];
+        const length = last.distance - first.distance;
+        if (length <= 0) return first.grade;
+
+        const position = first.distance + ((distance - first.distance) % length + length) % length;
+        const upper = points.findIndex(point => point.distance > position);
+        if (upper <= 0) return last.grade;
+        const lower = points[upper - 1];
+        const fraction = (position - lower.distance) / (points[upper].distance - lower.distance);
+        return lower.grade + fraction * (points[upper].grade - lower.grade);
+    }
+
+    // Interpolação linear do mapa, com corte acima do giro máximo
+    getMaxTorque(rpm) {
+        if (rpm >= this.maxRpm) return 0;
+        const map = this.torqueMap;
+        const speed = Math.max(map[0][0], Math.min(map[map.length - 1][0], rpm));
+        const upper = Math.max(1, map.findIndex(([mapRpm]) => mapRpm >= speed));
+        const [rpm0, torque0] = map[upper - 1];
+        const [rpm1, torque1] = map[upper];
+        return torque0 + (torque1 - torque0) * (speed - rpm0) / (rpm1 - rpm0);
+    }
+
+    getForces(distance, velocity, command) {
+        const ratio = this.gearRatio * this.finalDrive;
+        // Abaixo da marcha lenta a embreagem patina e o motor fica no giro mínimo
+        const engineRpm = Math.max(this.idleRpm, velocity / this.wheelRadius * ratio * 60 / (2 * Math.PI));
+        const engineTorque = Math.max(0, command) / 100 * this.getMaxTorque(engineRpm);
+        const brakeForce = velocity > 0 ? Math.max(0, -command) / 100 * this.maxBrakeForce : 0;
+        const tractionForce = engineTorque * ratio * this.drivelineEfficiency / this.wheelRadius - brakeForce;
+
+        const slope = Math.atan(this.getGrade(distance) / 100);
+        const airSpeed = velocity + this.disturbances.headwind;
+        const gradeForce = this.mass * this.gravity * Math.sin(slope);
+        const dragForce = 0.5 * this.airDensity * this.dragArea * airSpeed * Math.abs(airSpeed);
+        const rollingForce = velocity > 0 ? this.rollingResistance * this.mass * this.gravity * Math.cos(slope) : 0;
+
+        return { engineRpm, engineTorque, tractionForce, gradeForce, dragForce, rollingForce };
+    }
+
+    // m⋅dv/dt = Ftração − Frampa − Faero − Frolamento
+    derivatives([distance, velocity], command) {
+        const { tractionForce, gradeForce, dragForce, rollingForce } = this.getForces(distance, velocity, command);
+        return [velocity, (tractionForce - gradeForce - dragForce - rollingForce) / this.mass];
+    }
+
+    setDisturbance(type, value) {
+        if (type === 'headwind') {
+            this.disturbances.headwind = value;
+        }
+    }
+
+    reset() {
+        this.state = {
+            distance: 0,
+            velocity: this.initialSpeed / 3.6
+        };
+        this.disturbances.headwind = 0;
+        this.simulationTime = 0;
+    }
+}
+
+const DEG = Math.PI / 180; // rad por grau
+
+/**
+ * Servo de posição com motor CC, redutor com folga, encoder incremental e batentes mecânicos.
+ * A MV (±100%) é a tensão de armadura; a PV é o ângulo da carga lido pelo encoder, em graus.
+ * O eixo de saída do redutor é uma mola rígida que só transmite torque depois de vencer a folga;
+ * como essa dinâmica é muito mais rápida que o passo da simulação, a planta se subdivide internamente.
+ */
+export class ServoPositionSystem {
+    // Encoder e folga têm controles próprios no painel do servo
+    static parameterSchema = [
+        { key: 'resistance', label: 'Resistência de armadura', units: 'Ω', min: 0, exclusiveMin: true, default: 2.0, description: 'Resistência do enrolamento do motor' },
+        { key: 'inductance', label: 'Indutância de armadura', units: 'H', min: 0, exclusiveMin: true, default: 0.005, description: 'Com a resistência define a constante elétrica L/R' },
+        { key: 'torqueConstant', label: 'Constante de torque', units: 'N⋅m/A', min: 0, exclusiveMin: true, default: 0.05, description: 'Torque por ampère, igual à constante de força contraeletromotriz' },
+        { key: 'maxVoltage', label: 'Tensão máxima', units: 'V', min: 0, exclusiveMin: true, default: 24, description: 'Tensão de armadura com a MV em ±100%' },
+        { key: 'motorInertia', label: 'Inércia do motor', units: 'kg⋅m²', min: 0, exclusiveMin: true, default: 1e-5, description: 'Inércia do rotor' },
+        { key: 'motorFriction', label: 'Atrito do motor', units: 'N⋅m⋅s/rad', min: 0, default: 1e-5, description: 'Atrito viscoso no eixo do motor' },
+        { key: 'gearRatio', label: 'Relação de redução', units: '', min: 0, exclusiveMin: true, default: 200, description: 'Voltas do motor por volta da carga' },
+        { key: 'shaftStiffness', label: 'Rigidez do eixo', units: 'N⋅m/rad', min: 0, exclusiveMin: true, default: 50, description: 'Rigidez torcional entre a redução e a carga' },
+        { key: 'shaftDamping', label: 'Amortecimento do eixo', units: 'N⋅m⋅s/rad', min: 0, default: 0.05, description: 'Amortecimento torcional do eixo de saída' },
+        { key: 'loadInertia', label: 'Inércia da carga', units: 'kg⋅m²', min: 0, exclusiveMin: true, default: 0.005, description: 'Inércia no eixo de saída' },
+        { key: 'loadFriction', label: 'Atrito da carga', units: 'N⋅m⋅s/rad', min: 0, default: 0.01, description: 'Atrito viscoso no eixo de saída' },
+        { key: 'endStop', label: 'Batentes', units: '°', min: 0, exclusiveMin: true, default: 150, description: 'A carga para em ±batente' }
+    ];
+
+    constructor(params = {}) {
+        // Parte elétrica
+        this.resistance = params.resistance || 2.0;          // Ω
+        this.inductance = params.inductance || 0.005;        // H
+        this.torqueConstant = params.torqueConstant || 0.05; // N⋅m/A (= constante de FCEM em V⋅s/rad)
+        this.maxVoltage = params.maxVoltage || 24;           // V para MV de 100%
+        // Parte mecânica
+        this.motorInertia = params.motorInertia || 1e-5;     // kg⋅m²
+        this.motorFriction = params.motorFriction ?? 1e-5;   // N⋅m⋅s/rad
+        this.gearRatio = params.gearRatio || 200;
+        this.shaftStiffness = params.shaftStiffness || 50;   // N⋅m/rad no eixo de saída
+        this.shaftDamping = params.shaftDamping ?? 0.05;     // N⋅m⋅s/rad
+        this.loadInertia = params.loadInertia || 0.005;      // kg⋅m²
+        this.loadFriction = params.loadFriction ?? 0.01;     // N⋅m⋅s/rad
+        this.endStop = params.endStop ?? 150;                // ° (batentes em ±endStop)
+        this.maxStepSize = params.maxStepSize || 0.002;      // s (subpasso interno)
+        this.solver = params.solver || new OdeSolver();
+        // O encoder quantiza a PV; a linearização deriva o ângulo contínuo da carga
+        this.continuousOutput = 'loadAngle';
+
+        this.setBacklash(params.backlash ?? 0.5);
+        this.setEncoderResolution(params.countsPerRev ?? 1024);
+
+        this.disturbances = {
+            loadTorque: 0 // N⋅m no eixo de saída
+        };
+
+        this.reset();
+    }
+
+    update(voltageCommand, dt) {
+        this.simulationTime += dt;
+
+        const command = Math.max(-100, Math.min(100, voltageCommand));
+        const voltage = command / 100 * this.maxVoltage;
+
+        const steps = Math.max(1, Math.ceil(dt / this.maxStepSize));
+        for (let i = 0; i < steps; i++) {
+            this.state.x = this.solver.integrate(x => this.derivatives(x, voltage), this.state.x, dt / steps);
+            this.applyEndStops();
+        }
+
+        const [current, motorAngle, , loadAngle, loadVelocity] = this.state.x;
+        const deflection = motorAngle / this.gearRatio - loadAngle;
+
+        return {
+            processVariable: this.readEncoder(loadAngle),
+            actualOutput: command,
+            voltage,
+            current,
+            loadAngle: loadAngle / DEG,
+            loadVelocity: loadVelocity / DEG,
+            motorAngle: motorAngle / this.gearRatio / DEG,
+            gearDeflection: deflection / DEG,
+            atEndStop: Math.abs(loadAngle) >= this.endStop * DEG ? 1 : 0,
+            loadTorque: this.disturbances.loadTorque
+        };
+    }
+
+    // Torque no eixo de saída: zona morta da folga seguida de mola e amortecedor
+    getShaftTorque(motorAngle, motorVelocity, loadAngle, loadVelocity) {
+        const deflection = motorAngle / this.gearRatio - loadAngle;
+        const halfGap = this.backlash / 2;
+        if (Math.abs(deflection) <= halfGap) return 0;
+
+        const twist = deflection - Math.sign(deflection) * halfGap;
+        const torque = this.shaftStiffness * twist + this.shaftDamping * (motorVelocity / this.gearRatio - loadVelocity);
+        // Os dentes só empurram: o amortecimento não pode puxar a carga de volta através da folga
+        return Math.sign(twist) === Math.sign(torque) ? torque : 0;
+    }
+
+    /**
+     * Estados: [i, θm, ωm, θL, ωL]
+     * L⋅di/dt = V − R⋅i − Ke⋅ωm
+     * Jm⋅dωm/dt = Kt⋅i − bm⋅ωm − Ts/N
+     * JL⋅dωL/dt = Ts − bL⋅ωL − Tcarga
+     */
+    derivatives([current, motorAngle, motorVelocity, loadAngle, loadVelocity], voltage) {
+        const shaftTorque = this.getShaftTorque(motorAngle, motorVelocity, loadAngle, loadVelocity);
+        return [
+            (voltage - this.resistance * current - this.torqueConstant * motorVelocity) / this.inductance,
+            motorVelocity,
+            (this.torqueConstant * current - this.motorFriction * motorVelocity - shaftTorque / this.gearRatio) / this.motorInertia,
+            loadVelocity,
+            (shaftTorque - this.loadFriction * loadVelocity - this.disturbances.loadTorque) / this.loadInertia
+        ];
+    }
+
+    // Equilíbrio aproximado para o trim: a folga zera o torque numa faixa e o método de
+    // Newton não a atravessa sozinho; aqui os dentes já encostam do lado que segura a carga
+    trimGuess(setpoint) {
+        const loadAngle = setpoint * DEG;
+        const torque = this.disturbances.loadTorque;
+        // Sem carga os dentes encostam num lado da folga; no meio dela a MV não afetaria a PV
+        const deflection = torque / this.shaftStiffness + (torque >= 0 ? 1 : -1) * this.backlash / 2;
+        return [torque / (this.gearRatio * this.torqueConstant), this.gearRatio * (loadAngle + deflection), 0, loadAngle, 0];
+    }
+
+    // Batentes rígidos: a carga para no limite (choque inelástico)
+    applyEndStops() {
+        const limit = this.endStop * DEG;
+        const x = this.state.x;
+        if (Math.abs(x[3]) > limit) {
+            x[3] = Math.sign(x[3]) * limit;
+            if (Math.sign(x[4]) === Math.sign(x[3])) x[4] = 0;
+        }
+    }
+
+    // Encoder incremental na saída: a posição medida avança em contagens inteiras
+    readEncoder(loadAngle) {
+        const degrees = loadAngle / DEG;
+        if (this.countsPerRev <= 0) return degrees;
+        const countAngle = 360 / this.countsPerRev;
+        return Math.floor(degrees / countAngle) * countAngle;
+    }
+
+    // Folga total em graus no eixo de saída
+    setBacklash(degrees) {
+        this.backlash = Math.max(0, degrees) * DEG;
+    }
+
+    // Contagens por volta da saída; 0 desliga a quantização
+    setEncoderResolution(countsPerRev) {
+        this.countsPerRev = Math.max(0, Math.round(countsPerRev));
+    }
+
+    setDisturbance(type, value) {
+        if (type === 'load') {
+            this.disturbances.loadTorque = value;
+        }
+    }
+
+    reset() {
+        this.state = { x: [0, 0, 0, 0, 0] };
+        this.disturbances.loadTorque = 0;
+        this.simulationTime = 0;
+    }
+}
@@ -0,0 +1,287 @@
+/**
+ * Planta linear genérica: função de transferência ou espaço de estados
+ * O modelo contínuo é discretizado exatamente com segurador de ordem zero
+ * (exponencial de matriz), de modo que a precisão não depende do passo.
+ */
+
+// === ÁLGEBRA MATRICIAL (matrizes como arrays de linhas) ===
+export function zeros(rows, cols) {
+    return Array.from({ length: rows }, () => new Array(cols).fill(0));
+}
+
+export function identity(n) {
+    const result = zeros(n, n);
+    for (let i = 0; i < n; i++) result[i][i] = 1;
+    return result;
+}
+
+export function multiply(a, b) {
+    const result = zeros(a.length, b[0].length);
+    for (let i = 0; i < a.length; i++) {
+        for (let k = 0; k < b.length; k++) {
+            if (a[i][k] === 0) continue;
+            for (let j = 0; j < b[0].length; j++) result[i][j] += a[i][k] * b[k][j];
+        }
+    }
+    return result;
+}
+
+function combine(a, b, factorB) {
+    return a.map((row, i) => row.map((value, j) => value + factorB * b[i][j]));
+}
+
+function scale(a, factor) {
+    return a.map(row => row.map(value => value * factor));
+}
+
+function infinityNorm(a) {
+    return Math.max(0, ...a.map(row => row.reduce((sum, value) => sum + Math.abs(value), 0)));
+}
+
+// Resolve X·? = Y por eliminação de Gauss com pivoteamento parcial (X quadrada)
+export function solve(x, y) {
+    const n = x.length;
+    const a = x.map((row, i) => [...row, ...y[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-14) throw new Error('Matriz singular');
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = a[row][col] / a[col][col];
+            if (factor !== 0) a[row] = a[row].map((value, j) => value - factor * a[col][j]);
+        }
+    }
+    return a.map((row, i) => row.slice(n).map(value => value / a[i][i]));
+}
+
+/**
+ * Exponencial de matriz por aproximação de Padé (6,6) com escalonamento e quadratura.
+ */
+export function matrixExponential(m) {
+    const n = m.length;
+    const norm = infinityNorm(m);
+    const squarings = norm > 0.5 ? Math.ceil(Math.log2(norm / 0.5)) : 0;
+    const a = scale(m, 1 / Math.pow(2, squarings));
+
+    const q = 6;
+    let c = 1;
+    let power = identity(n);
+    let numerator = identity(n);
+    let denominator = identity(n);
+    for (let k = 1; k <= q; k++) {
+        c = c * (q - k + 1) / (k * (2 * q - k + 1));
+        power = multiply(a, power);
+        numerator = combine(numerator, power, c);
+        denominator = combine(denominator, power, (k % 2 === 0 ? 1 : -1) * c);
+    }
+
+    let result = solve(denominator, numerator);
+    for (let i = 0; i < squarings; i++) result = multiply(result, result);
+    return result;
+}
+
+// === CONVERSÃO DE MODELOS ===
+/**
+ * Realização na forma canônica controlável de N(s)/D(s).
+ * @param {number[]} numerator Coeficientes em potências decrescentes de s.
+ * @param {number[]} denominator Coeficientes em potências decrescentes de s.
+ */
+export function transferFunctionToStateSpace(numerator, denominator) {
+    const trim = (poly) => {
+        const first = poly.findIndex(value => value !== 0);
+        return first === -1 ? [0] : poly.slice(first);
+    };
+    const num = trim(numerator);
+    const den = trim(denominator);
+
+    if (den.length === 1 && den[0] === 0) throw new Error('Denominador nulo');
+    if (num.length > den.length) throw new Error('Função de transferência imprópria (grau do numerador maior que o do denominador)');
+
+    const n = den.length - 1;
+    const leading = den[0];
+    const a = den.map(value => value / leading);
+    const b = new Array(den.length - num.length).fill(0).concat(num.map(value => value / leading));
+
+    // Parte direta e numerador estritamente próprio: b_i − b_0·a_i
+    const D = [[b[0]]];
+    if (n === 0) return { A: [], B: [], C: [], D };
+
+    const A = zeros(n, n);
+    for (let i = 0; i < n - 1; i++) A[i][i + 1] = 1;
+    for (let j = 0; j < n; j++) A[n - 1][j] = -a[n - j];
+
+    const B = zeros(n, 1);
+    B[n - 1][0] = 1;
+
+    const C = [new Array(n).fill(0).map((_, j) => b[n - j] - b[0] * a[n - j])];
+    return { A, B, C, D };
+}
+
+/**
+ * Converte texto em polinômio: "1 3 3 1" ou "1, 3, 3, 1".
+ */
+export function parsePolynomial(text) {
+    const values = text.trim().split(/[\s,]+/).filter(Boolean).map(Number);
+    if (values.length === 0 || !values.every(Number.isFinite)) throw new Error(`Polinômio inválido: "${text}"`);
+    return values;
+}
+
+/**
+ * Converte texto em matriz: linhas separadas por ";" ou quebra de linha, colunas por espaço ou vírgula.
+ */
+export function parseMatrix(text) {
+    const rows = text.trim().split(/[;\n]+/).map(row => row.trim()).filter(Boolean);
+    const matrix = rows.map(row => row.split(/[\s,]+/).filter(Boolean).map(Number));
+    if (matrix.length === 0 || !matrix.every(row => row.length === matrix[0].length && row.every(Number.isFinite))) {
+        throw new Error(`Matriz inválida: "${text}"`);
+    }
+    return matrix;
+}
+
+// Exemplos clássicos de livro-texto
+export const LINEAR_PLANT_EXAMPLES = {
+    thirdOrder: { name: '1/(s+1)³', numerator: [1], denominator: [1, 3, 3, 1], deadTime: 0 },
+    underdamped: { name: '1/(s² + 0.4s + 1)', numerator: [1], denominator: [1, 0.4, 1], deadTime: 0 },
+    nonMinimumPhase: { name: '(−s+1)/(s+1)²', numerator: [-1, 1], denominator: [1, 2, 1], deadTime: 0 },
+    fopdt: { name: 'e^(−2s)/(5s+1)', numerator: [1], denominator: [5, 1], deadTime: 2 },
+    integrating: { name: '1/(s(s+1))', numerator: [1], denominator: [1, 1, 0], deadTime: 0 }
+};
+
+export class LinearSystemPlant {
+    /**
+     * @param {object} params
+     *   type: 'tf' | 'ss',
+     *   numerator, denominator (type 'tf'), ou A, B, C, D (type 'ss'),
+     *   deadTime: atraso de transporte na entrada (s),
+     *   inputMin, inputMax: saturação da entrada.
+     */
+    constructor(params = {}) {
+        const model = params.type === 'ss'
+            ? { A: params.A, B: params.B, C: params.C, D: params.D }
+            : transferFunctionToStateSpace(params.numerator || [1], params.denominator || [1, 1]);
+        this.validate(model);
+
+        this.A = model.A;
+        this.B = model.B;
+        this.C = model.C;
+        this.D = model.D && model.D.length > 0 ? model.D : [[0]];
+        this.order = this.A.length;
+        this.deadTime = params.deadTime || 0; // s
+        this.inputMin = params.inputMin ?? -100;
+        this.inputMax = params.inputMax ?? 100;
+
+        this.state = {
+            x: new Array(this.order).fill(0)
+        };
+
+        // Perturbações: aditiva na entrada (carga) ou na saída (medição)
+        this.disturbances = {
+            input: 0,
+            output: 0
+        };
+
+        this.delayBuffer = [];
+        this.discretization = null; // { dt, Ad, Bd } em cache
+        this.simulationTime = 0;
+    }
+
+    validate({ A, B, C, D }) {
+        const n = A.length;
+        if (n === 0) return;
+        if (!A.every(row => row.length === n)) throw new Error('A deve ser quadrada');
+        if (B.length !== n || !B.every(row => row.length === 1)) throw new Error(`B deve ser ${n}×1 (uma entrada)`);
+        if (C.length !== 1 || C[0].length !== n) throw new Error(`C deve ser 1×${n} (uma saída)`);
+        if (D && D.length > 0 && (D.length !== 1 || D[0].length !== 1)) throw new Error('D deve ser 1×1');
+    }
+
+    // Ad = e^(A·dt) e Bd = ∫e^(A·τ)dτ·B, obtidas juntas da exponencial da matriz aumentada [A B; 0 0]
+    getDiscretization(dt) {
+        if (this.discretization && this.discretization.dt === dt) return this.discretization;
+
+        const n = this.order;
+        const augmented = zeros(n + 1, n + 1);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) augmented[i][j] = this.A[i][j] * dt;
+            augmented[i][n] = this.B[i][0] * dt;
+        }
+        const exponential = matrixExponential(augmented);
+
+        this.discretization = {
+            dt,
+            Ad: exponential.slice(0, n).map(row => row.slice(0, n)),
+            Bd: exponential.slice(0, n).map(row => row[n])
+        };
+        return this.discretization;
+    }
+
+    applyDeadTime(input, dt) {
+        if (this.deadTime <= 0) return input;
+
+        this.delayBuffer.push(input);
+        const delaySamples = Math.round(this.deadTime / dt);
+        if (this.delayBuffer.length <= delaySamples) return 0;
+        return this.delayBuffer.shift();
+    }
+
+    update(input, dt) {
+        this.simulationTime += dt;
+
+        const actualInput = Math.max(this.inputMin, Math.min(this.inputMax, input));
+        let u = actualInput;
+
+        if (dt > 0) {
+            u = this.applyDeadTime(actualInput, dt) + this.disturbances.input;
+            if (this.order > 0) {
+                const { Ad, Bd } = this.getDiscretization(dt);
+                const x = this.state.x;
+                this.state.x = Ad.map((row, i) => row.reduce((sum, value, j) => sum + value * x[j], 0) + Bd[i] * u);
+            }
+        } else {
+            u = (this.deadTime > 0 ? 0 : actualInput) + this.disturbances.input;
+        }
+
+        const output = (this.order > 0 ? this.C[0].reduce((sum, value, j) => sum + value * this.state.x[j], 0) : 0) +
+            this.D[0][0] * u + this.disturbances.output;
+
+        const result = {
+            processVariable: output,
+            actualOutput: actualInput,
+            inputDisturbance: this.disturbances.input
+        };
+        this.state.x.forEach((value, i) => { result[`x${i + 1}`] = value; });
+        return result;
+    }
+
+    /**
+     * Ganho estático −C·A⁻¹·B + D; Infinity para plantas integradoras.
+     */
+    getSteadyStateGain() {
+        if (this.order === 0) return this.D[0][0];
+        try {
+            const x = solve(this.A, this.B);
+            return -this.C[0].reduce((sum, value, j) => sum + value * x[j][0], 0) + this.D[0][0];
+        } catch (error) {
+            return Infinity;
+        }
+    }
+
+    setDisturbance(type, value) {
+        if (type === 'input') {
+            this.disturbances.input = value;
+        } else if (type === 'output') {
+            this.disturbances.output = value;
+        }
+    }
+
+    reset() {
+        this.state.x = new Array(this.order).fill(0);
+        this.disturbances.input = 0;
+        this.disturbances.output = 0;
+        this.delayBuffer = [];
+        this.simulationTime = 0;
+    }
+}
@@ -0,0 +1,665 @@
+/**
+ * Ponto de operação (trim) e linearização numérica das plantas
+ * O trim procura a MV e o estado em que a planta fica parada com a PV no setpoint;
+ * em torno desse ponto as matrizes A, B, C, D saem de diferenças centrais e dão a função
+ * de transferência (ganho, polos e zeros), o ponto crítico e modelos FOPDT/SOPDT para as regras.
+ */
+
+import { LinearSystemPlant, zeros, identity, multiply, solve } from './linear-plant.js';
+import { fitFOPDT, fitSOPDT } from './system-identification.js';
+
+// Passo da chamada de sondagem: curto o bastante para não mexer em filtros e contadores internos
+const PROBE_DT = 1e-6;
+
+// === SONDAGEM DAS PLANTAS ===
+
+/**
+ * Acesso às equações de uma planta não linear sem reescrevê-la: durante uma chamada de
+ * update() o integrador é trocado por um que só registra a função derivada e devolve o
+ * estado pedido. Propriedades opcionais lidas da planta:
+ *   driftStates: índices de estados sem equilíbrio próprio (posição do carrinho, distância),
+ *   continuousOutput: campo do resultado com a PV antes da quantização do sensor,
+ *   trimGuess(setpoint): estado inicial do trim quando as equações não são suaves (folgas).
+ */
+class PlantProbe {
+    constructor(plant) {
+        this.plant = plant;
+    }
+
+    /**
+     * @param {number} mv Entrada aplicada.
+     * @param {number[]|null} state Estado imposto à planta; null mantém o atual.
+     * @returns {{state: number[], derivative: function(number[]): number[], output: number}}
+     */
+    evaluate(mv, state = null) {
+        const plant = this.plant;
+        const { solver, simulationTime, failure } = plant;
+        let captured = null;
+
+        plant.solver = {
+            integrate: (derivative, x) => {
+                if (!captured) captured = { derivative, state: x.slice() };
+                return state ? state.slice() : x.slice();
+            }
+        };
+        let result;
+        try {
+            result = plant.update(mv, PROBE_DT);
+        } finally {
+            // A sondagem não avança o relógio nem deixa falhas (queda, fim de curso) registradas
+            plant.solver = solver;
+            plant.simulationTime = simulationTime;
+            if (failure !== undefined) plant.failure = failure;
+        }
+        if (!captured) throw new Error('A planta não avançou pelo integrador (falha ativa?)');
+
+        return {
+            state: state ? state.slice() : captured.state,
+            derivative: captured.derivative,
+            output: this.plant.continuousOutput ? result[this.plant.continuousOutput] : (result.processVariable ?? result.position)
+        };
+    }
+
+    // Leva a planta ao estado dado; depois disso update() segue normalmente a partir dele
+    setOperatingPoint(mv, state) {
+        this.evaluate(mv, state);
+    }
+}
+
+// A planta linear é discretizada exatamente e não usa integrador: as equações saem das matrizes
+class LinearPlantProbe {
+    constructor(plant) {
+        this.plant = plant;
+    }
+
+    evaluate(mv, state = null) {
+        const plant = this.plant;
+        const x = state ? state.slice() : plant.state.x.slice();
+        const u = Math.max(plant.inputMin, Math.min(plant.inputMax, mv)) + plant.disturbances.input;
+        const derivative = (z) => plant.A.map((row, i) => row.reduce((sum, value, j) => sum + value * z[j], 0) + plant.B[i][0] * u);
+        const output = (plant.order > 0 ? plant.C[0].reduce((sum, value, j) => sum + value * x[j], 0) : 0) +
+            plant.D[0][0] * u + plant.disturbances.output;
+
+        if (state) plant.state.x = x.slice();
+        return { state: x, derivative, output };
+    }
+
+    /**
+     * Equilíbrio exato: [A B; C D]·[x; u] = [−B·d; SP − D·d − d_saída], com d a perturbação na entrada.
+     * Com a MV fora da faixa, fica no limite e o estado é o equilíbrio com ela (se existir).
+     */
+    findEquilibrium(setpoint, mvMin, mvMax) {
+        const plant = this.plant;
+        const n = plant.order;
+        const d = plant.disturbances.input;
+        const bordered = [...plant.A.map((row, i) => [...row, plant.B[i][0]]), [...(n > 0 ? plant.C[0] : []), plant.D[0][0]]];
+        const rhs = [...plant.B.map(row => [-row[0] * d]), [setpoint - plant.D[0][0] * d - plant.disturbances.output]];
+        const failure = { converged: false, mv: 0, state: plant.state.x.slice(), limitOutput: null, residual: Infinity, iterations: 0 };
+
+        let solution;
+        try {
+            solution = solve(bordered, rhs).map(row => row[0]);
+        } catch (error) {
+            return { ...failure, processVariable: this.evaluate(0).output, saturated: false };
+        }
+
+        const mv = Math.max(mvMin, Math.min(mvMax, solution[n]));
+        const converged = mv === solution[n];
+        let state = solution.slice(0, n);
+        let limitOutput = null;
+        if (!converged) {
+            try {
+                state = solve(plant.A, plant.B.map(row => [-row[0] * (mv + d)])).map(row => row[0]);
+                limitOutput = this.evaluate(mv, state).output;
+            } catch (error) {
+                state = plant.state.x.slice(); // Integradora saturada: não há repouso
+            }
+        }
+        return {
+            converged,
+            mv,
+            state,
+            processVariable: this.evaluate(mv, state).output,
+            saturated: !converged,
+            limitOutput,
+            residual: converged ? 0 : Infinity,
+            iterations: 1
+        };
+    }
+
+    getModel() {
+        const { A, B, C, D } = this.plant;
+        return { A, B, C, D };
+    }
+
+    // O histórico do tempo morto também parte da MV de equilíbrio
+    setOperatingPoint(mv, state, dt) {
+        const plant = this.plant;
+        this.evaluate(mv, state);
+        const input = Math.max(plant.inputMin, Math.min(plant.inputMax, mv));
+        plant.delayBuffer = plant.deadTime > 0 ? new Array(Math.round(plant.deadTime / dt)).fill(input) : [];
+    }
+}
+
+export function createPlantProbe(plant) {
+    return plant instanceof LinearSystemPlant ? new LinearPlantProbe(plant) : new PlantProbe(plant);
+}
+
+// === EQUILÍBRIO (TRIM) ===
+
+/**
+ * Resolve f(x, u) = 0 e h(x, u) = SP por Levenberg–Marquardt, com a MV restrita à faixa.
+ * Os resíduos das derivadas são relativos ao estado (1/s) e o da saída, ao setpoint.
+ * Sem solução com a MV saturada, limitOutput traz a PV de equilíbrio nesse limite (a PV
+ * máxima ou mínima alcançável), ou null quando nem esse equilíbrio é encontrado.
+ * @param {object} plant Planta sem a cadeia de atuação e medição; seu estado é alterado.
+ * @param {number} setpoint PV desejada.
+ * @param {object} options { mvMin, mvMax, initialMV, maxIterations }
+ * @returns {object} { converged, mv, state, processVariable, saturated, limitOutput, residual, iterations }
+ */
+export function findOperatingPoint(plant, setpoint, options = {}) {
+    const { mvMin = -100, mvMax = 100, maxIterations = 200 } = options;
+    const clampMV = (mv) => Math.max(mvMin, Math.min(mvMax, mv));
+    const probe = createPlantProbe(plant);
+    if (probe.findEquilibrium) return probe.findEquilibrium(setpoint, mvMin, mvMax);
+
+    const initialMV = clampMV(options.initialMV ?? 0);
+    const initialState = plant.trimGuess ? plant.trimGuess(setpoint) : probe.evaluate(initialMV).state;
+    const drift = new Set(plant.driftStates || []);
+    const free = initialState.map((_, i) => i).filter(i => !drift.has(i));
+    const stateScale = initialState.map(value => Math.max(1, Math.abs(value)));
+    const outputScale = Math.max(1, Math.abs(setpoint));
+
+    const unpack = (z) => {
+        const state = initialState.slice();
+        free.forEach((index, k) => { state[index] = z[k]; });
+        return state;
+    };
+    const rateResiduals = (point, state) => {
+        const rates = point.derivative(state);
+        return free.map(i => rates[i] / stateScale[i]);
+    };
+
+    // Incógnitas: estados livres seguidos da MV
+    const search = levenbergMarquardt((z) => {
+        const state = unpack(z);
+        const point = probe.evaluate(z[free.length], state);
+        return [...rateResiduals(point, state), (point.output - setpoint) / outputScale];
+    }, [...free.map(i => initialState[i]), initialMV], { maxIterations, bounded: [mvMin, mvMax] });
+
+    const mv = search.z[free.length];
+    let state = unpack(search.z);
+    const converged = search.residual <= 1e-8;
+    const saturated = mv <= mvMin || mv >= mvMax;
+
+    // Setpoint fora do alcance: o ponto de mínimo resíduo não é equilíbrio; com a MV presa no
+    // limite, resolve só f(x, u) = 0, partindo dele e depois do estado inicial
+    let limitOutput = null;
+    if (!converged && saturated) {
+        for (const start of [search.z.slice(0, free.length), free.map(i => initialState[i])]) {
+            const settle = levenbergMarquardt((z) => {
+                const candidate = unpack(z);
+                return rateResiduals(probe.evaluate(mv, candidate), candidate);
+            }, start, { maxIterations });
+            if (settle.residual <= 1e-8) {
+                state = unpack(settle.z);
+                limitOutput = probe.evaluate(mv, state).output;
+                break;
+            }
+        }
+    }
+
+    return {
+        converged,
+        mv,
+        state,
+        processVariable: probe.evaluate(mv, state).output,
+        saturated,
+        limitOutput,
+        residual: search.residual,
+        iterations: search.iterations
+    };
+}
+
+/**
+ * Mínimos quadrados não lineares com amortecimento de Marquardt (diagonal de JᵀJ).
+ * @param {function(number[]): number[]} residualAt Resíduos em função das incógnitas.
+ * @param {number[]} initial Estimativa inicial.
+ * @param {object} options { maxIterations, bounded: [min, max] da última incógnita (opcional) }
+ * @returns {{z: number[], residual: number, iterations: number}} residual é o maior |resíduo|.
+ */
+function levenbergMarquardt(residualAt, initial, options = {}) {
+    const { maxIterations = 200, bounded = null } = options;
+    const n = initial.length;
+    const project = (z) => {
+        if (bounded) z[n - 1] = Math.max(bounded[0], Math.min(bounded[1], z[n - 1]));
+        return z;
+    };
+    const cost = (r) => r.reduce((sum, value) => sum + value * value, 0);
+    const worst = (r) => Math.max(0, ...r.map(Math.abs));
+
+    let z = project(initial.slice());
+    let residual = residualAt(z);
+    let currentCost = cost(residual);
+    let lambda = 1e-3;
+    let iterations = 0;
+
+    while (n > 0 && iterations < maxIterations && worst(residual) > 1e-12) {
+        iterations++;
+        const jacobian = finiteDifferenceJacobian(residualAt, z, residual, bounded ? bounded[1] : Infinity);
+        const normal = zeros(n, n);
+        const gradient = new Array(n).fill(0);
+        jacobian.forEach((row, k) => {
+            for (let i = 0; i < n; i++) {
+                gradient[i] += row[i] * residual[k];
+                for (let j = 0; j < n; j++) normal[i][j] += row[i] * row[j];
+            }
+        });
+        const diagonalFloor = 1e-9 * Math.max(1e-30, ...normal.map((row, i) => row[i]));
+
+        let improved = false;
+        while (lambda < 1e12) {
+            const damped = normal.map((row, i) => row.map((value, j) => (i === j ? value + lambda * Math.max(value, diagonalFloor) : value)));
+            let step;
+            try {
+                step = solve(damped, gradient.map(value => [-value])).map(row => row[0]);
+            } catch (error) {
+                lambda *= 10;
+                continue;
+            }
+            const candidate = project(z.map((value, i) => value + step[i]));
+            const candidateResidual = residualAt(candidate);
+            const candidateCost = cost(candidateResidual);
+            if (candidateCost < currentCost) {
+                z = candidate;
+                residual = candidateResidual;
+                currentCost = candidateCost;
+                lambda = Math.max(lambda / 10, 1e-12);
+                improved = true;
+                break;
+            }
+            lambda *= 10;
+        }
+        if (!improved) break; // Mínimo local: o resíduo não cai mais
+    }
+    return { z, residual: worst(residual), iterations };
+}
+
+// Diferenças progressivas; a última incógnita (MV) no limite superior é perturbada para baixo
+function finiteDifferenceJacobian(residualAt, z, residual, upperBound) {
+    const columns = z.map((value, j) => {
+        let h = 1e-7 * Math.max(1, Math.abs(value));
+        if (j === z.length - 1 && value + h > upperBound) h = -h;
+        const shifted = z.slice();
+        shifted[j] += h;
+        return residualAt(shifted).map((r, k) => (r - residual[k]) / h);
+    });
+    return residual.map((_, k) => columns.map(column => column[k]));
+}
+
+// === LINEARIZAÇÃO ===
+
+/**
+ * Matrizes do modelo linear em torno de (x*, u*) por diferenças centrais.
+ * Com a MV num limite da faixa, a derivada em relação a ela é lateral (para dentro da faixa).
+ * Estados de deriva ficam congelados no ponto e fora do modelo, como no trim.
+ * @param {object} options { mvMin, mvMax }
+ * @returns {{A: number[][], B: number[][], C: number[][], D: number[][]}}
+ */
+export function linearizePlant(plant, mv, state, options = {}) {
+    const { mvMin = -100, mvMax = 100 } = options;
+    const probe = createPlantProbe(plant);
+    if (probe.getModel) return probe.getModel();
+
+    const drift = new Set(plant.driftStates || []);
+    const kept = state.map((_, i) => i).filter(i => !drift.has(i));
+    const n = kept.length;
+    const stepFor = (value) => 1e-5 * Math.max(1, Math.abs(value));
+    const outputAt = (u, x) => probe.evaluate(u, x).output;
+    const { derivative } = probe.evaluate(mv, state);
+
+    const A = zeros(n, n);
+    const C = zeros(1, n);
+    kept.forEach((index, j) => {
+        const h = stepFor(state[index]);
+        const plus = state.slice();
+        const minus = state.slice();
+        plus[index] += h;
+        minus[index] -= h;
+        const ratesPlus = derivative(plus);
+        const ratesMinus = derivative(minus);
+        kept.forEach((row, i) => { A[i][j] = (ratesPlus[row] - ratesMinus[row]) / (2 * h); });
+        C[0][j] = (outputAt(mv, plus) - outputAt(mv, minus)) / (2 * h);
+    });
+
+    const h = stepFor(mv);
+    const upper = Math.min(mv + h, mvMax);
+    const lower = Math.max(mv - h, mvMin);
+    const ratesUpper = probe.evaluate(upper, state).derivative(state);
+    const ratesLower = probe.evaluate(lower, state).derivative(state);
+    const B = kept.map(row => [(ratesUpper[row] - ratesLower[row]) / (upper - lower)]);
+    const D = [[(outputAt(upper, state) - outputAt(lower, state)) / (upper - lower)]];
+
+    probe.evaluate(mv, state); // Devolve a planta ao ponto de operação
+    return { A, B, C, D };
+}
+
+// === FUNÇÃO DE TRANSFERÊNCIA ===
+
+const complex = (re, im = 0) => ({ re, im });
+const add = (a, b) => complex(a.re + b.re, a.im + b.im);
+const subtract = (a, b) => complex(a.re - b.re, a.im - b.im);
+const times = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+const divide = (a, b) => {
+    const denominator = b.re * b.re + b.im * b.im;
+    return complex((a.re * b.re + a.im * b.im) / denominator, (a.im * b.re - a.re * b.im) / denominator);
+};
+const magnitude = (a) => Math.hypot(a.re, a.im);
+
+// Balanceamento diagonal de Parlett–Reinsch (potências de 2): não altera polos nem zeros
+function balance({ A, B, C }) {
+    const a = A.map(row => row.slice());
+    const scale = new Array(a.length).fill(1);
+    let done = false;
+    while (!done) {
+        done = true;
+        for (let i = 0; i < a.length; i++) {
+            let column = 0;
+            let row = 0;
+            for (let j = 0; j < a.length; j++) {
+                if (j === i) continue;
+                column += Math.abs(a[j][i]);
+                row += Math.abs(a[i][j]);
+            }
+            if (column === 0 || row === 0) continue;
+
+            const total = column + row;
+            let factor = 1;
+            while (column < row / 2) { column *= 2; row /= 2; factor *= 2; }
+            while (column >= row * 2) { column /= 2; row *= 2; factor /= 2; }
+            if (column + row < 0.95 * total) {
+                done = false;
+                scale[i] *= factor;
+                for (let j = 0; j < a.length; j++) {
+                    a[i][j] /= factor;
+                    a[j][i] *= factor;
+                }
+            }
+        }
+    }
+    return {
+        A: a,
+        B: B.map((row, i) => [row[0] / scale[i]]),
+        C: [C[0].map((value, j) => value * scale[j])]
+    };
+}
+
+/**
+ * Numerador e denominador de C·(sI − A)⁻¹·B + D pelo algoritmo de Faddeev–LeVerrier.
+ * @returns {{numerator: number[], denominator: number[]}} Potências decrescentes; denominador mônico.
+ */
+function characteristicPolynomials(A, B, C, D) {
+    const n = A.length;
+    const denominator = [1];
+    const numerator = [D];
+    let adjugateTerm = identity(n);
+    for (let k = 1; k <= n; k++) {
+        const product = multiply(A, adjugateTerm);
+        const coefficient = -product.reduce((sum, row, i) => sum + row[i], 0) / k;
+        denominator.push(coefficient);
+        numerator.push(multiply(multiply(C, adjugateTerm), B)[0][0] + D * coefficient);
+        adjugateTerm = product.map((row, i) => row.map((value, j) => (i === j ? value + coefficient : value)));
+    }
+    return { numerator, denominator };
+}
+
+/**
+ * Raízes de um polinômio (potências decrescentes) pelo método de Durand–Kerner.
+ * Partes imaginárias desprezíveis são zeradas.
+ */
+function polynomialRoots(coefficients) {
+    const degree = coefficients.length - 1;
+    if (degree < 1) return [];
+    const monic = coefficients.map(value => value / coefficients[0]);
+    const evaluate = (s) => monic.reduce((acc, value) => add(times(acc, s), complex(value)), complex(0));
+
+    const radius = 1 + Math.max(...monic.slice(1).map(Math.abs));
+    const roots = Array.from({ length: degree }, (_, k) => {
+        const angle = 2 * Math.PI * k / degree + 0.4;
+        return complex(0.5 * radius * Math.cos(angle), 0.5 * radius * Math.sin(angle));
+    });
+
+    for (let iteration = 0; iteration < 5000; iteration++) {
+        let largestChange = 0;
+        for (let i = 0; i < degree; i++) {
+            let product = complex(1);
+            for (let j = 0; j < degree; j++) {
+                if (j !== i) product = times(product, subtract(roots[i], roots[j]));
+            }
+            if (magnitude(product) === 0) product = complex(1e-12);
+            const correction = divide(evaluate(roots[i]), product);
+            roots[i] = subtract(roots[i], correction);
+            largestChange = Math.max(largestChange, magnitude(correction) / Math.max(1, magnitude(roots[i])));
+        }
+        if (largestChange < 1e-15) break;
+    }
+
+    // Uma raiz múltipla se espalha em volta do valor exato; o centroide do grupo é bem mais preciso
+    const groups = [];
+    roots.forEach(root => {
+        const group = groups.find(members => magnitude(subtract(members[0], root)) < 1e-3 * Math.max(magnitude(root), 1e-9));
+        if (group) group.push(root); else groups.push([root]);
+    });
+    const polished = groups.flatMap(members => {
+        const centroid = members.reduce((sum, root) => add(sum, root), complex(0));
+        return members.map(() => complex(centroid.re / members.length, centroid.im / members.length));
+    });
+
+    return polished.map(root => (Math.abs(root.im) < 1e-7 * Math.max(1, magnitude(root)) ? complex(root.re) : root));
+}
+
+// Multiplica os fatores (s − r) e devolve os coeficientes reais
+function polynomialFromRoots(roots, leading) {
+    let coefficients = [complex(leading)];
+    roots.forEach(root => {
+        const next = [...coefficients, complex(0)];
+        for (let i = 1; i < next.length; i++) next[i] = subtract(next[i], times(root, coefficients[i - 1]));
+        coefficients = next;
+    });
+    return coefficients.map(value => value.re);
+}
+
+/**
+ * Função de transferência mínima do modelo linearizado.
+ * Modos não controláveis ou não observáveis aparecem como pares polo/zero coincidentes e
+ * são cancelados; zeros muito além do polo mais rápido (resíduo numérico) viram ganho.
+ * @returns {object} { numerator, denominator, gain, highFrequencyGain, poles, zeros,
+ *   integrators, unstable, decoupled } com ganho estático Infinity para plantas integradoras.
+ */
+export function transferFunctionFromStateSpace(model) {
+    const D = model.D[0][0];
+    if (model.A.length === 0) {
+        return { numerator: [D], denominator: [1], gain: D, highFrequencyGain: D, poles: [], zeros: [], integrators: 0, unstable: false, decoupled: D === 0 };
+    }
+
+    // Escala de frequência s = ω₀·s̃ deixa os coeficientes da mesma ordem de grandeza
+    const balanced = balance(model);
+    const n = balanced.A.length;
+    const frobenius = Math.sqrt(balanced.A.reduce((sum, row) => sum + row.reduce((acc, value) => acc + value * value, 0), 0));
+    const omega0 = frobenius > 0 ? frobenius / Math.sqrt(n) : 1;
+    const scaledA = balanced.A.map(row => row.map(value => value / omega0));
+    const scaledB = balanced.B.map(row => [row[0] / omega0]);
+    const polynomials = characteristicPolynomials(scaledA, scaledB, balanced.C, D);
+
+    const toPlant = (root) => (magnitude(root) < 1e-6 ? complex(0) : complex(root.re * omega0, root.im * omega0));
+
+    const poles = polynomialRoots(polynomials.denominator);
+    const largest = Math.max(...polynomials.numerator.map(Math.abs));
+    const firstSignificant = polynomials.numerator.findIndex(value => Math.abs(value) > 1e-9 * largest);
+    if (firstSignificant === -1) {
+        // A MV não chega à PV no ponto (folga aberta, válvula fechada, saturação)
+        const plantPoles = poles.map(toPlant);
+        return {
+            numerator: [0], denominator: polynomialFromRoots(plantPoles, 1), gain: 0, highFrequencyGain: 0,
+            poles: plantPoles, zeros: [], integrators: plantPoles.filter(pole => pole.re === 0 && pole.im === 0).length,
+            unstable: plantPoles.some(pole => pole.re > 1e-9 * omega0), decoupled: true
+        };
+    }
+    const numerator = polynomials.numerator.slice(firstSignificant);
+    let leading = numerator[0];
+
+    // Cancelamento de pares polo/zero e descarte de zeros distantes (coordenadas escaladas)
+    const remainingPoles = [...poles];
+    const remainingZeros = [];
+    polynomialRoots(numerator).forEach(zero => {
+        const index = remainingPoles.findIndex(pole => magnitude(subtract(pole, zero)) < 1e-4 * Math.max(magnitude(pole), 1e-3));
+        if (index >= 0) {
+            remainingPoles.splice(index, 1);
+        } else {
+            remainingZeros.push(zero);
+        }
+    });
+    const fastest = Math.max(1, ...remainingPoles.map(magnitude));
+    const zerosKept = remainingZeros.filter(zero => {
+        if (magnitude(zero) <= 1e3 * fastest) return true;
+        leading *= -zero.re; // Zeros distantes são reais na prática: (s̃ − z̃) ≈ −z̃
+        return false;
+    });
+
+    const finalPoles = remainingPoles.map(toPlant);
+    const finalZeros = zerosKept.map(toPlant);
+    let highFrequencyGain = leading * Math.pow(omega0, finalPoles.length - finalZeros.length);
+
+    const integrators = finalPoles.filter(pole => pole.re === 0 && pole.im === 0).length;
+    const zeroAtOrigin = finalZeros.some(zero => zero.re === 0 && zero.im === 0);
+    let gain = Infinity;
+    if (integrators === 0) {
+        // Ganho estático direto de −C·A⁻¹·B + D quando A é inversível; senão, pelas raízes
+        try {
+            const x = solve(model.A, model.B);
+            gain = -model.C[0].reduce((sum, value, j) => sum + value * x[j][0], 0) + D;
+        } catch (error) {
+            gain = finalZeros.reduce((acc, zero) => times(acc, complex(-zero.re, -zero.im)), complex(highFrequencyGain)).re /
+                finalPoles.reduce((acc, pole) => times(acc, complex(-pole.re, -pole.im)), complex(1)).re;
+        }
+        if (!zeroAtOrigin && gain !== 0) {
+            const zeroProduct = finalZeros.reduce((acc, zero) => times(acc, complex(-zero.re, -zero.im)), complex(1)).re;
+            const poleProduct = finalPoles.reduce((acc, pole) => times(acc, complex(-pole.re, -pole.im)), complex(1)).re;
+            highFrequencyGain = gain * poleProduct / zeroProduct;
+        }
+    }
+
+    return {
+        numerator: polynomialFromRoots(finalZeros, highFrequencyGain),
+        denominator: polynomialFromRoots(finalPoles, 1),
+        gain,
+        highFrequencyGain,
+        poles: finalPoles,
+        zeros: finalZeros,
+        integrators,
+        unstable: finalPoles.some(pole => pole.re > 1e-9 * omega0),
+        decoupled: false
+    };
+}
+
+// === RESPOSTA EM FREQUÊNCIA ===
+
+/**
+ * G(jω) = C·(jωI − A)⁻¹·B + D, sem o tempo morto, resolvendo o sistema real equivalente
+ * [−A −ωI; ωI −A]·[xr; xi] = [B; 0].
+ * @returns {{re: number, im: number}}
+ */
+function frequencyResponse({ A, B, C, D }, omega) {
+    const n = A.length;
+    const response = complex(D[0][0]);
+    if (n === 0) return response;
+
+    const system = zeros(2 * n, 2 * n);
+    const rhs = zeros(2 * n, 1);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            system[i][j] = -A[i][j];
+            system[n + i][n + j] = -A[i][j];
+        }
+        system[i][n + i] = -omega;
+        system[n + i][i] = omega;
+        rhs[i][0] = B[i][0];
+    }
+    const x = solve(system, rhs);
+    for (let j = 0; j < n; j++) {
+        response.re += C[0][j] * x[j][0];
+        response.im += C[0][j] * x[n + j][0];
+    }
+    return response;
+}
+
+/**
+ * Ponto crítico (Ku, Tu): primeira frequência em que a fase, com o tempo morto, chega a −180°.
+ * Processos de ação reversa são analisados com o sinal trocado, como faz o ensaio de relé.
+ * @param {object} model { A, B, C, D, deadTime }
+ * @param {object} transfer Resultado de transferFunctionFromStateSpace.
+ * @returns {{Ku: number, Tu: number, omega: number}|null} null sem cruzamento ou com planta instável.
+ */
+export function findUltimatePoint(model, transfer) {
+    if (transfer.unstable || transfer.decoupled || transfer.poles.length === 0) return null;
+    const deadTime = model.deadTime || 0;
+
+    const magnitudes = [...transfer.poles, ...transfer.zeros].map(magnitude).filter(value => value > 0);
+    const low = 1e-3 * Math.min(...magnitudes, deadTime > 0 ? 1 / deadTime : Infinity);
+    const high = 1e3 * Math.max(...magnitudes, deadTime > 0 ? 1 / deadTime : 0);
+    if (!Number.isFinite(low) || !Number.isFinite(high)) return null;
+
+    const firstResponse = frequencyResponse(model, low);
+    const sign = Math.abs(firstResponse.re) >= Math.abs(firstResponse.im) ? Math.sign(firstResponse.re) : -Math.sign(firstResponse.im);
+    const angleOf = (response) => Math.atan2(sign * response.im, sign * response.re);
+    const wrap = (angle) => angle - 2 * Math.PI * Math.round(angle / (2 * Math.PI));
+
+    // Fase contínua: variação principal entre frequências vizinhas; o tempo morto entra à parte
+    let previous = { omega: low, response: firstResponse, phase: angleOf(firstResponse) };
+    if (previous.phase - low * deadTime <= -Math.PI) return null;
+
+    const ratio = Math.pow(10, 1 / 50);
+    for (let omega = low * ratio; omega <= high; omega *= ratio) {
+        const response = frequencyResponse(model, omega);
+        const phase = previous.phase + wrap(angleOf(response) - angleOf(previous.response));
+        if (phase - omega * deadTime <= -Math.PI) {
+            const phaseAt = (w) => previous.phase + wrap(angleOf(frequencyResponse(model, w)) - angleOf(previous.response)) - w * deadTime;
+            let lower = previous.omega;
+            let upper = omega;
+            for (let i = 0; i < 60; i++) {
+                const middle = Math.sqrt(lower * upper);
+                if (phaseAt(middle) > -Math.PI) lower = middle; else upper = middle;
+            }
+            const omegaU = Math.sqrt(lower * upper);
+            return { Ku: 1 / magnitude(frequencyResponse(model, omegaU)), Tu: 2 * Math.PI / omegaU, omega: omegaU };
+        }
+        previous = { omega, response, phase };
+    }
+    return null;
+}
+
+// === MODELOS PARA AS REGRAS DE SINTONIA ===
+
+/**
+ * Ajusta FOPDT e SOPDT à resposta ao degrau unitário do modelo linearizado,
+ * como se o ensaio ao degrau fosse feito na planta real sem ruído.
+ * @returns {{fopdt: object, sopdt: object}|null} null para plantas integradoras ou instáveis.
+ */
+export function approximateModels(model, transfer) {
+    if (transfer.unstable || transfer.integrators > 0 || transfer.decoupled || transfer.poles.length === 0) return null;
+
+    const slowest = Math.max(...transfer.poles.map(pole => 1 / Math.abs(pole.re)));
+    const deadTime = model.deadTime || 0;
+    const duration = 8 * slowest + deadTime;
+    const samples = 400;
+    const dt = duration / samples;
+
+    const plant = new LinearSystemPlant({ type: 'ss', A: model.A, B: model.B, C: model.C, D: model.D, deadTime, inputMin: -Infinity, inputMax: Infinity });
+    const response = [];
+    for (let k = 1; k <= samples; k++) {
+        response.push({ t: k * dt, y: plant.update(1, dt).processVariable });
+    }
+
+    const fopdt = fitFOPDT(response, 1);
+    return { fopdt, sopdt: fitSOPDT(response, 1, fopdt) };
+}
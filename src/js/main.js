@@ -1,9 +1,55 @@
 import { AdvancedPIDController } from './advanced-pid.js';
-import { MechanicalSystem } from './plant-models.js';
-import { TemperatureControlSystem, TankLevelSystem, MotorSpeedSystem, PressureControlSystem } from './industrial-plants.js';
+import { MechanicalSystem, InvertedPendulumSystem, BallAndBeamSystem } from './plant-models.js';
+import {
+    TemperatureControlSystem, TankLevelSystem, MotorSpeedSystem, PressureControlSystem,
+    QuadrupleTankSystem, ExothermicReactorSystem, HeatExchangerSystem, VehicleCruiseSystem, ROAD_GRADE_PROFILES,
+    ServoPositionSystem
+} from './industrial-plants.js';
 import { PerformanceAnalyzer } from './performance-analyzer.js';
 import { SmartTipsSystem } from './smart-tips.js';
 import { EducationalScenarios } from './educational-scenarios.js';
+import { RelayAutoTuner } from './relay-autotuner.js';
+import { StepTestExperiment, modelStepResponse } from './system-identification.js';
+import { getApplicableRules, computeRuleGains, getRule } from './tuning-rules.js';
+import { simulateClosedLoop } from './closed-loop-simulation.js';
+import { GainOptimizer } from './gain-optimizer.js';
+import { CascadeController } from './cascade-controller.js';
+import { SmithPredictor } from './smith-predictor.js';
+import { PID_FORMS, fromParallel, toParallel } from './pid-forms.js';
+import { OdeSolver } from './ode-solver.js';
+import { SeededRandom, NOISE_MODELS } from './noise-models.js';
+import { PlantPipeline } from './plant-pipeline.js';
+import { ACTUATOR_PARAMETERS, ACTUATOR_PRESETS } from './actuator-models.js';
+import { Decoupler, relativeGainArray } from './mimo-control.js';
+import { DisturbanceScheduler, DISTURBANCE_SHAPES } from './disturbance-scheduler.js';
+import { SetpointProfile, SETPOINT_SEGMENTS, parseWaveformPoints, formatWaveformPoints } from './setpoint-generator.js';
+import { LinearSystemPlant, LINEAR_PLANT_EXAMPLES, parsePolynomial, parseMatrix } from './linear-plant.js';
+import {
+    createPlantProbe, findOperatingPoint, linearizePlant, transferFunctionFromStateSpace,
+    findUltimatePoint, approximateModels
+} from './linearization.js';
+import {
+    getParameterSchema, parameterId, readParameter, writeParameter, cloneParameters, parameterDefaults,
+    validateParameters, applyParameters, PlantVariantStore
+} from './plant-parameters.js';
+
+// Ganhos pequenos (ex.: RPM → A) precisam de algarismos significativos, não de casas fixas
+function formatGain(value) {
+    return value !== 0 && Math.abs(value) < 0.1 ? value.toPrecision(2) : value.toFixed(2);
+}
+
+// Posiciona sliders em valores calculados, ampliando a faixa e liberando o passo quando necessário
+function setSliderValues(pairs) {
+    pairs.forEach(([slider, value]) => {
+        if (value > parseFloat(slider.max)) slider.max = Math.ceil(value);
+        const step = parseFloat(slider.step);
+        if (Number.isFinite(step) && Math.abs(value / step - Math.round(value / step)) > 1e-6) slider.step = 'any';
+        slider.value = value;
+    });
+}
+
+// Cores das faixas de perturbação no gráfico, uma por canal da planta
+const DISTURBANCE_BAND_COLORS = ['rgba(239, 68, 68, 0.12)', 'rgba(245, 158, 11, 0.12)', 'rgba(59, 130, 246, 0.12)'];
 
 class SimulationApp {
     constructor() {
@@ -16,6 +62,16 @@ class SimulationApp {
             kiValue: document.getElementById('ki-value'),
             kdValue: document.getElementById('kd-value'),
 
+            // Algoritmo e Forma
+            pidAlgorithm: document.getElementById('pid-algorithm'),
+            pidForm: document.getElementById('pid-form'),
+            formGainInputs: [1, 2, 3].map(i => document.getElementById(`form-gain-${i}`)),
+            formGainLabels: [1, 2, 3].map(i => document.getElementById(`form-gain-${i}-label`)),
+            formStatus: document.getElementById('form-status'),
+            formParallel: document.getElementById('form-parallel'),
+            formIdeal: document.getElementById('form-ideal'),
+            formSeries: document.getElementById('form-series'),
+
             // Controles Avançados
             plantSelector: document.getElementById('plant-selector'),
             setpointSlider: document.getElementById('setpoint-slider'),
@@ -30,6 +86,9 @@ class SimulationApp {
             // Controles de Condições Reais
             noiseSlider: document.getElementById('noise-slider'),
             delaySlider: document.getElementById('delay-slider'),
+            sensorLagSlider: document.getElementById('sensor-lag-slider'),
+            sensorLagValue: document.getElementById('sensor-lag-value'),
+            sensorRangeButton: document.getElementById('sensor-range-button'),
             noiseValue: document.getElementById('noise-value'),
             delayValue: document.getElementById('delay-value'),
 
@@ -52,6 +111,7 @@ class SimulationApp {
             // Status e Dicas
             disturbanceStatus: document.getElementById('disturbance-status'),
             controlQuality: document.getElementById('control-quality'),
+            controlModeStatus: document.getElementById('control-mode-status'),
             smartTip: document.getElementById('smart-tip'),
             statusSetpointValue: document.getElementById('status-setpoint-value'), // NOVO: ID adicionado no HTML
 
@@ -62,6 +122,247 @@ class SimulationApp {
             scenariosList: document.getElementById('scenarios-list'),
             scenarioPanel: document.getElementById('scenario-panel'),
             stopScenarioButton: document.getElementById('stop-scenario-button'),
+
+            // Auto-Sintonia por Relé
+            relayAmplitudeSlider: document.getElementById('relay-amplitude-slider'),
+            relayAmplitudeValue: document.getElementById('relay-amplitude-value'),
+            autoTuneButton: document.getElementById('autotune-button'),
+            autoTuneStatus: document.getElementById('autotune-status'),
+            autoTuneResults: document.getElementById('autotune-results'),
+            autoTuneKu: document.getElementById('autotune-ku'),
+            autoTuneTu: document.getElementById('autotune-tu'),
+            autoTuneKp: document.getElementById('autotune-kp'),
+            autoTuneKi: document.getElementById('autotune-ki'),
+            autoTuneKd: document.getElementById('autotune-kd'),
+            autoTuneApplyButton: document.getElementById('autotune-apply-button'),
+
+            // Ensaio ao Degrau e Identificação
+            stepSizeSlider: document.getElementById('step-size-slider'),
+            stepSizeValue: document.getElementById('step-size-value'),
+            stepTestButton: document.getElementById('step-test-button'),
+            stepTestStatus: document.getElementById('step-test-status'),
+            stepTestResults: document.getElementById('step-test-results'),
+            fopdtK: document.getElementById('fopdt-k'),
+            fopdtTau: document.getElementById('fopdt-tau'),
+            fopdtTheta: document.getElementById('fopdt-theta'),
+            fopdtR2: document.getElementById('fopdt-r2'),
+            sopdtK: document.getElementById('sopdt-k'),
+            sopdtTaus: document.getElementById('sopdt-taus'),
+            sopdtTheta: document.getElementById('sopdt-theta'),
+            sopdtR2: document.getElementById('sopdt-r2'),
+            returnAutoButton: document.getElementById('return-auto-button'),
+
+            // Ponto de Operação
+            trimButton: document.getElementById('trim-button'),
+            trimStartButton: document.getElementById('trim-start-button'),
+            trimStatus: document.getElementById('trim-status'),
+            trimResults: document.getElementById('trim-results'),
+            trimMv: document.getElementById('trim-mv'),
+            trimGain: document.getElementById('trim-gain'),
+            trimPoles: document.getElementById('trim-poles'),
+            trimZeros: document.getElementById('trim-zeros'),
+            trimUltimate: document.getElementById('trim-ultimate'),
+            trimFopdt: document.getElementById('trim-fopdt'),
+            trimUseModelsButton: document.getElementById('trim-use-models-button'),
+            trimCopyLinearButton: document.getElementById('trim-copy-linear-button'),
+
+            // Regras de Sintonia
+            tuningModelsStatus: document.getElementById('tuning-models-status'),
+            tuningRuleSelector: document.getElementById('tuning-rule-selector'),
+            applyRuleButton: document.getElementById('apply-rule-button'),
+            compareRulesButton: document.getElementById('compare-rules-button'),
+            comparisonModal: document.getElementById('comparison-modal'),
+            closeComparisonModal: document.getElementById('close-comparison-modal'),
+            comparisonDescription: document.getElementById('comparison-description'),
+            comparisonTableBody: document.getElementById('comparison-table-body'),
+
+            // Otimização de Ganhos
+            optimizerCriterion: document.getElementById('optimizer-criterion'),
+            optimizerStructure: document.getElementById('optimizer-structure'),
+            optimizerEffortSlider: document.getElementById('optimizer-effort-slider'),
+            optimizerEffortValue: document.getElementById('optimizer-effort-value'),
+            optimizerMaxOvershoot: document.getElementById('optimizer-max-overshoot'),
+            optimizerMaxRate: document.getElementById('optimizer-max-rate'),
+            optimizerButton: document.getElementById('optimizer-button'),
+            optimizerStatus: document.getElementById('optimizer-status'),
+            optimizerProgressBar: document.getElementById('optimizer-progress-bar'),
+            optimizerResults: document.getElementById('optimizer-results'),
+            optimizerKp: document.getElementById('optimizer-kp'),
+            optimizerKi: document.getElementById('optimizer-ki'),
+            optimizerKd: document.getElementById('optimizer-kd'),
+            optimizerOvershoot: document.getElementById('optimizer-overshoot'),
+            optimizerFeasible: document.getElementById('optimizer-feasible'),
+            optimizerApplyButton: document.getElementById('optimizer-apply-button'),
+
+            // Controle em Cascata
+            cascadeButton: document.getElementById('cascade-button'),
+            cascadeDescription: document.getElementById('cascade-description'),
+            cascadeControls: document.getElementById('cascade-controls'),
+            innerKpSlider: document.getElementById('inner-kp-slider'),
+            innerKiSlider: document.getElementById('inner-ki-slider'),
+            innerKdSlider: document.getElementById('inner-kd-slider'),
+            innerKpValue: document.getElementById('inner-kp-value'),
+            innerKiValue: document.getElementById('inner-ki-value'),
+            innerKdValue: document.getElementById('inner-kd-value'),
+            outerModeButton: document.getElementById('outer-mode-button'),
+            innerModeButton: document.getElementById('inner-mode-button'),
+            cascadeInnerSp: document.getElementById('cascade-inner-sp'),
+            cascadeInnerPv: document.getElementById('cascade-inner-pv'),
+            cascadeSaturation: document.getElementById('cascade-saturation'),
+
+            // Feedforward
+            feedforwardButton: document.getElementById('feedforward-button'),
+            feedforwardSignal: document.getElementById('feedforward-signal'),
+            feedforwardGain: document.getElementById('feedforward-gain'),
+            feedforwardLead: document.getElementById('feedforward-lead'),
+            feedforwardLag: document.getElementById('feedforward-lag'),
+            feedforwardDisturbance: document.getElementById('feedforward-disturbance'),
+            feedforwardTerm: document.getElementById('feedforward-term'),
+
+            // Amostragem do Controlador
+            samplePeriodSlider: document.getElementById('sample-period-slider'),
+            samplePeriodValue: document.getElementById('sample-period-value'),
+            discretizationMethod: document.getElementById('discretization-method'),
+            prewarpItem: document.getElementById('prewarp-item'),
+            prewarpFrequency: document.getElementById('prewarp-frequency'),
+            derivativeFilterTime: document.getElementById('derivative-filter-time'),
+            plantStepValue: document.getElementById('plant-step-value'),
+            nyquistValue: document.getElementById('nyquist-value'),
+
+            // Integração Numérica
+            integrationMethod: document.getElementById('integration-method'),
+            integrationSubstepsSlider: document.getElementById('integration-substeps-slider'),
+            integrationSubstepsValue: document.getElementById('integration-substeps-value'),
+            integrationToleranceItem: document.getElementById('integration-tolerance-item'),
+            integrationTolerance: document.getElementById('integration-tolerance'),
+            integrationStepValue: document.getElementById('integration-step-value'),
+            integrationStatsValue: document.getElementById('integration-stats-value'),
+
+            // Ruído de Medição
+            noiseSeed: document.getElementById('noise-seed'),
+            noiseNewSeedButton: document.getElementById('noise-new-seed-button'),
+            noiseTableBody: document.getElementById('noise-table-body'),
+
+            // Atuador
+            actuatorPreset: document.getElementById('actuator-preset'),
+            actuatorInputs: {
+                positionerTimeConstant: document.getElementById('actuator-positioner-tau'),
+                rateLimit: document.getElementById('actuator-rate-limit'),
+                deadzone: document.getElementById('actuator-deadzone'),
+                backlash: document.getElementById('actuator-backlash'),
+                stictionS: document.getElementById('actuator-stiction-s'),
+                stictionJ: document.getElementById('actuator-stiction-j')
+            },
+            actuatorPosition: document.getElementById('actuator-position'),
+            actuatorError: document.getElementById('actuator-error'),
+
+            // Preditor de Smith
+            smithButton: document.getElementById('smith-button'),
+            smithModelK: document.getElementById('smith-model-k'),
+            smithModelTau: document.getElementById('smith-model-tau'),
+            smithModelTheta: document.getElementById('smith-model-theta'),
+            smithUseFopdtButton: document.getElementById('smith-use-fopdt-button'),
+            smithMismatchKSlider: document.getElementById('smith-mismatch-k-slider'),
+            smithMismatchTauSlider: document.getElementById('smith-mismatch-tau-slider'),
+            smithMismatchThetaSlider: document.getElementById('smith-mismatch-theta-slider'),
+            smithMismatchKValue: document.getElementById('smith-mismatch-k-value'),
+            smithMismatchTauValue: document.getElementById('smith-mismatch-tau-value'),
+            smithMismatchThetaValue: document.getElementById('smith-mismatch-theta-value'),
+            smithEffectiveModel: document.getElementById('smith-effective-model'),
+            smithPredictedPv: document.getElementById('smith-predicted-pv'),
+
+            // Planta Linear
+            linearPlantCluster: document.getElementById('linear-plant-cluster'),
+            linearExample: document.getElementById('linear-example'),
+            linearModelType: document.getElementById('linear-model-type'),
+            linearTfInputs: document.getElementById('linear-tf-inputs'),
+            linearSsInputs: document.getElementById('linear-ss-inputs'),
+            linearNumerator: document.getElementById('linear-numerator'),
+            linearDenominator: document.getElementById('linear-denominator'),
+            linearMatrixA: document.getElementById('linear-matrix-a'),
+            linearMatrixB: document.getElementById('linear-matrix-b'),
+            linearMatrixC: document.getElementById('linear-matrix-c'),
+            linearMatrixD: document.getElementById('linear-matrix-d'),
+            linearDeadTime: document.getElementById('linear-dead-time'),
+            linearApplyButton: document.getElementById('linear-apply-button'),
+            linearStatus: document.getElementById('linear-status'),
+
+            // Quatro Tanques (MIMO)
+            mimoCluster: document.getElementById('mimo-cluster'),
+            mimoConfiguration: document.getElementById('mimo-configuration'),
+            mimoGamma1: document.getElementById('mimo-gamma-1'),
+            mimoGamma2: document.getElementById('mimo-gamma-2'),
+            mimoSetpointSlider: document.getElementById('mimo-setpoint-slider'),
+            mimoSetpointValue: document.getElementById('mimo-setpoint-value'),
+            mimoKpSlider: document.getElementById('mimo-kp-slider'),
+            mimoKiSlider: document.getElementById('mimo-ki-slider'),
+            mimoKdSlider: document.getElementById('mimo-kd-slider'),
+            mimoKpValue: document.getElementById('mimo-kp-value'),
+            mimoKiValue: document.getElementById('mimo-ki-value'),
+            mimoKdValue: document.getElementById('mimo-kd-value'),
+            mimoDecoupler: document.getElementById('mimo-decoupler'),
+            mimoPv2: document.getElementById('mimo-pv2'),
+            mimoPumps: document.getElementById('mimo-pumps'),
+            mimoRga: document.getElementById('mimo-rga'),
+            mimoPhase: document.getElementById('mimo-phase'),
+
+            // Perfil da Estrada
+            roadProfileCluster: document.getElementById('road-profile-cluster'),
+            roadProfilePreset: document.getElementById('road-profile-preset'),
+            roadProfileBody: document.getElementById('road-profile-body'),
+            roadProfileAddButton: document.getElementById('road-profile-add-button'),
+            roadDistance: document.getElementById('road-distance'),
+            roadGrade: document.getElementById('road-grade'),
+            roadGradeForce: document.getElementById('road-grade-force'),
+            servoCluster: document.getElementById('servo-cluster'),
+            servoEncoderCpr: document.getElementById('servo-encoder-cpr'),
+            servoBacklash: document.getElementById('servo-backlash'),
+            servoCurrent: document.getElementById('servo-current'),
+            servoDeflection: document.getElementById('servo-deflection'),
+            servoEndStop: document.getElementById('servo-end-stop'),
+
+            // Parâmetros da Planta
+            plantParamsCluster: document.getElementById('plant-params-cluster'),
+            plantVariant: document.getElementById('plant-variant'),
+            plantParamsApplyMode: document.getElementById('plant-params-apply-mode'),
+            plantParamsBody: document.getElementById('plant-params-body'),
+            plantParamsResetButton: document.getElementById('plant-params-reset-button'),
+            plantVariantName: document.getElementById('plant-variant-name'),
+            plantVariantSaveButton: document.getElementById('plant-variant-save-button'),
+            plantVariantDeleteButton: document.getElementById('plant-variant-delete-button'),
+            plantParamsStatus: document.getElementById('plant-params-status'),
+
+            // Agenda de Perturbações
+            disturbanceChannel: document.getElementById('disturbance-channel'),
+            disturbanceShape: document.getElementById('disturbance-shape'),
+            disturbanceStart: document.getElementById('disturbance-start'),
+            disturbanceDuration: document.getElementById('disturbance-duration'),
+            disturbanceAmplitude: document.getElementById('disturbance-amplitude'),
+            disturbanceUnits: document.getElementById('disturbance-units'),
+            disturbancePeriod: document.getElementById('disturbance-period'),
+            disturbanceAddButton: document.getElementById('disturbance-add-button'),
+            disturbanceScheduleBody: document.getElementById('disturbance-schedule-body'),
+            disturbanceClearButton: document.getElementById('disturbance-clear-button'),
+
+            // Gerador de Setpoint
+            setpointSegmentType: document.getElementById('setpoint-segment-type'),
+            setpointSegmentParams: document.getElementById('setpoint-segment-params'),
+            setpointSegmentAddButton: document.getElementById('setpoint-segment-add-button'),
+            setpointSegmentBody: document.getElementById('setpoint-segment-body'),
+            setpointRateLimit: document.getElementById('setpoint-rate-limit'),
+            setpointPreviewCanvas: document.getElementById('setpoint-preview-chart'),
+            setpointProfileButton: document.getElementById('setpoint-profile-button'),
+            setpointProfileDuration: document.getElementById('setpoint-profile-duration'),
+            setpointProfileSegment: document.getElementById('setpoint-profile-segment'),
+
+            // Escalonamento de Ganhos
+            scheduleButton: document.getElementById('schedule-button'),
+            scheduleVariable: document.getElementById('schedule-variable'),
+            scheduleTableBody: document.getElementById('schedule-table-body'),
+            scheduleAddButton: document.getElementById('schedule-add-button'),
+            scheduleCurrentValue: document.getElementById('schedule-current-value'),
+            scheduleRegion: document.getElementById('schedule-region'),
+            scheduleGains: document.getElementById('schedule-gains'),
         };
 
         this.config = {
@@ -71,12 +372,108 @@ class SimulationApp {
         };
 
         // ✨ NOVO: Configurações específicas para cada planta
+        // mvUnits: unidade em que a planta interpreta a MV (força, potência, corrente ou % do curso)
         this.plantConfigs = {
-            mechanical: { setpoint: 80, min: 0, max: 120, disturbance: -30, units: '' },
-            temperature: { setpoint: 60, min: 20, max: 120, disturbance: { type: 'door', value: true }, units: '°C' },
-            level: { setpoint: 2.5, min: 0, max: 5, disturbance: { type: 'leak', value: 0.01 }, units: 'm' },
-            motor: { setpoint: 1500, min: 0, max: 3000, disturbance: { type: 'load', value: 0.2 }, units: 'RPM' },
-            pressure: { setpoint: 200, min: 100, max: 500, disturbance: { type: 'leak', value: 0.001 }, units: 'kPa' }
+            mechanical: { setpoint: 80, min: 0, max: 120, disturbance: -30, units: '', mvUnits: 'N' },
+            temperature: { setpoint: 60, min: 20, max: 120, disturbance: { type: 'door', value: true }, units: '°C', mvUnits: 'W' },
+            level: { setpoint: 2.5, min: 0, max: 5, disturbance: { type: 'leak', value: 0.01 }, units: 'm', mvUnits: '%' },
+            motor: { setpoint: 1500, min: 0, max: 3000, disturbance: { type: 'load', value: 0.2 }, units: 'RPM', mvUnits: 'A' },
+            pressure: { setpoint: 200, min: 100, max: 500, disturbance: { type: 'leak', value: 0.001 }, units: 'kPa', mvUnits: '%' },
+            pendulum: { setpoint: 0, min: -45, max: 45, disturbance: { type: 'push', value: 2 }, units: '°', mvUnits: 'N' },
+            ballBeam: { setpoint: 50, min: 0, max: 100, disturbance: { type: 'tilt', value: 1 }, units: 'cm', mvUnits: '%' },
+            quadTank: { setpoint: 12, min: 0, max: 20, disturbance: { type: 'leak', value: 1 }, units: 'cm', mvUnits: '%' },
+            reactor: { setpoint: 350, min: 300, max: 450, disturbance: { type: 'feedTemperature', value: 5 }, units: 'K', mvUnits: '%' },
+            heatExchanger: { setpoint: 50, min: 20, max: 90, disturbance: { type: 'coldFlow', value: 0.2 }, units: '°C', mvUnits: '%' },
+            cruise: { setpoint: 100, min: 0, max: 160, disturbance: { type: 'headwind', value: 10 }, units: 'km/h', mvUnits: '%' },
+            servo: { setpoint: 90, min: -180, max: 180, disturbance: { type: 'load', value: 20 }, units: '°', mvUnits: '%' }
+        };
+
+        // Canais de setDisturbance de cada planta para a agenda; baseline é o valor em repouso
+        // (multiplicadores valem 1) e amplitude o valor sugerido ao escolher o canal
+        this.disturbanceChannels = {
+            mechanical: [{ type: 'load', name: 'Força de carga', units: 'N' }],
+            temperature: [
+                { type: 'door', name: 'Porta aberta', units: 'liga/desliga', binary: true, amplitude: 1 },
+                { type: 'ambient', name: 'Temperatura ambiente', units: '°C', amplitude: -10 }
+            ],
+            level: [
+                { type: 'leak', name: 'Vazamento', units: 'm³/s' },
+                { type: 'inlet', name: 'Variação da vazão de entrada', units: 'm³/s', amplitude: 0.01 }
+            ],
+            motor: [
+                { type: 'load', name: 'Torque de carga', units: 'N⋅m' },
+                { type: 'friction', name: 'Variação do atrito', units: '× nominal', baseline: 1, amplitude: 1 }
+            ],
+            pressure: [
+                { type: 'leak', name: 'Vazamento', units: 'kg/s' },
+                { type: 'outlet', name: 'Variação da vazão de saída', units: '× nominal', baseline: 1, amplitude: 0.5 },
+                { type: 'temperature', name: 'Temperatura do gás', units: 'K', amplitude: 20 }
+            ],
+            pendulum: [{ type: 'push', name: 'Empurrão no carrinho', units: 'N' }],
+            ballBeam: [{ type: 'tilt', name: 'Desnível da base', units: '°' }],
+            quadTank: [{ type: 'leak', name: 'Vazamento do tanque 1', units: 'cm³/s' }],
+            reactor: [
+                { type: 'feedTemperature', name: 'Temperatura da alimentação', units: 'K' },
+                { type: 'feedConcentration', name: 'Concentração da alimentação', units: 'mol/L', amplitude: 0.1 }
+            ],
+            heatExchanger: [
+                { type: 'coldFlow', name: 'Vazão fria', units: 'fração da nominal' },
+                { type: 'coldInletTemperature', name: 'Entrada fria', units: '°C', amplitude: 5 }
+            ],
+            cruise: [{ type: 'headwind', name: 'Vento contrário', units: 'm/s' }],
+            servo: [{ type: 'load', name: 'Torque de carga', units: 'N⋅m' }],
+            linear: [
+                { type: 'input', name: 'Na entrada', units: '%' },
+                { type: 'output', name: 'Na saída', units: 'PV', amplitude: 0 }
+            ]
+        };
+
+        // Plantas com segunda malha: a PV principal fica com this.pid e a secundária com this.secondaryPid
+        this.mimoConfigs = {
+            quadTank: {
+                secondaryKey: 'secondaryProcessVariable', secondaryOutputKey: 'secondaryOutput', secondaryUnits: 'cm',
+                secondarySetpoint: 12.8, secondaryGains: { kp: 10, ki: 0.3, kd: 0 },
+                flowSplits: { minimumPhase: [0.7, 0.6], nonMinimumPhase: [0.43, 0.34] }
+            }
+        };
+
+        // Malhas em cascata disponíveis: innerKey é a medição interna retornada por plant.update()
+        // innerLag: inércia ligada com a cascata quando o parâmetro está no padrão nulo (ver setCascadeInnerLag)
+        this.cascadeConfigs = {
+            temperature: {
+                innerKey: 'heaterPower', innerLabel: 'Potência do aquecedor', innerUnits: 'W',
+                innerSetpointRange: [0, 2000], innerOutputRange: [0, 2000], outerAction: 'direct',
+                outerGains: { kp: 25, ki: 0.5, kd: 0 }, innerGains: { kp: 1, ki: 0.5, kd: 0 },
+                innerLag: { key: 'heaterTimeConstant', value: 2 }
+            },
+            level: {
+                innerKey: 'outletFlow', innerLabel: 'Vazão de saída', innerUnits: 'm³/s',
+                innerSetpointRange: [0, 0.11], innerOutputRange: [0, 100], outerAction: 'reverse',
+                outerGains: { kp: 0.2, ki: 0.005, kd: 0 }, innerGains: { kp: 300, ki: 2500, kd: 0 }
+            },
+            motor: {
+                innerKey: 'current', innerLabel: 'Corrente de armadura', innerUnits: 'A',
+                innerSetpointRange: [-10, 10], innerOutputRange: [-10, 10], outerAction: 'direct',
+                outerGains: { kp: 0.001, ki: 0.01, kd: 0 }, innerGains: { kp: 1, ki: 20, kd: 0 },
+                innerLag: { key: 'electricalTimeConstant', value: 0.05 }
+            }
+        };
+
+        // Sinal de perturbação medida sugerido e ganho que o compensa em regime (unidades da MV por unidade do sinal)
+        this.feedforwardConfigs = {
+            mechanical: { signal: 'disturbanceForce', gain: -1 },
+            temperature: { signal: 'disturbanceEffect', gain: -1 },
+            level: { signal: 'leakageFlow', gain: -1265 },
+            motor: { signal: 'loadTorque', gain: 2 },
+            pressure: { signal: 'leakageFlow', gain: 10000 },
+            pendulum: { signal: 'cartDisturbance', gain: -1 },
+            ballBeam: { signal: 'baseTilt', gain: -6.67 },
+            quadTank: { signal: 'leakageFlow', gain: 4.29 },
+            reactor: { signal: 'feedTemperatureChange', gain: -1.2 },
+            heatExchanger: { signal: 'coldFlowChange', gain: 57 },
+            cruise: { signal: 'gradeForce', gain: 0.045 },
+            servo: { signal: 'loadTorque', gain: 0.83 },
+            linear: { signal: 'inputDisturbance', gain: -1 }
         };
 
         this.presets = {
@@ -88,16 +485,82 @@ class SimulationApp {
             delayed_system: { kp: 2.0, ki: 0.6, kd: 4.0 }
         };
 
-        this.plants = {
-            mechanical: new MechanicalSystem({ inertia: 1.0, friction: 0.2, load: 20.0 }),
-            temperature: new TemperatureControlSystem({ thermalCapacity: 500, thermalResistance: 0.1, ambientTemp: 25, maxHeatingPower: 2000 }),
-            level: new TankLevelSystem({ tankArea: 2.0, maxOutletFlow: 0.05, maxLevel: 5.0 }),
-            motor: new MotorSpeedSystem({ inertia: 0.01, friction: 0.1, torqueConstant: 0.5, maxCurrent: 10, gearRatio: 10 }),
-            pressure: new PressureControlSystem({ volume: 0.1, temperature: 293, maxInletFlow: 0.01 })
+        // Integrador compartilhado: a escolha na interface vale também para as simulações headless
+        this.odeSolver = new OdeSolver();
+        const solver = this.odeSolver;
+
+        // Semente da sessão: todo sorteio da simulação deriva dela e ela viaja no endereço da página
+        this.noiseSeed = this.readSessionSeed();
+        this.random = new SeededRandom(this.noiseSeed);
+        this.noiseSettings = {}; // chave → { enabled, params } editados na tabela
+
+        // Fábricas permitem criar cópias limpas das plantas para simulações headless
+        this.plantFactories = {
+            mechanical: () => new MechanicalSystem({ ...this.getPlantParameters('mechanical'), solver }),
+            temperature: () => new TemperatureControlSystem({ ...this.getPlantParameters('temperature'), solver }),
+            level: () => new TankLevelSystem({ ...this.getPlantParameters('level'), solver }),
+            motor: () => new MotorSpeedSystem({ ...this.getPlantParameters('motor'), solver }),
+            pressure: () => new PressureControlSystem({ ...this.getPlantParameters('pressure'), solver }),
+            pendulum: () => new InvertedPendulumSystem({ ...this.getPlantParameters('pendulum'), solver }),
+            ballBeam: () => new BallAndBeamSystem({ ...this.getPlantParameters('ballBeam'), solver }),
+            quadTank: () => new QuadrupleTankSystem({ ...this.getPlantParameters('quadTank'), flowSplit: [0.7, 0.6], solver }),
+            reactor: () => new ExothermicReactorSystem({ ...this.getPlantParameters('reactor'), solver }),
+            heatExchanger: () => new HeatExchangerSystem({ ...this.getPlantParameters('heatExchanger'), solver }),
+            cruise: () => new VehicleCruiseSystem({ ...this.getPlantParameters('cruise'), gradeProfile: this.roadGradeProfile, solver }),
+            servo: () => new ServoPositionSystem({ ...this.getPlantParameters('servo'), ...this.servoParams, solver }),
+            linear: () => new LinearSystemPlant(this.linearPlantParams)
+        };
+
+        // Valores de fábrica: padrões do esquema de cada classe
+        const withDefaults = (PlantClass) => parameterDefaults(PlantClass.parameterSchema);
+        this.defaultPlantParameters = {
+            mechanical: withDefaults(MechanicalSystem),
+            temperature: withDefaults(TemperatureControlSystem),
+            level: withDefaults(TankLevelSystem),
+            motor: withDefaults(MotorSpeedSystem),
+            pressure: withDefaults(PressureControlSystem),
+            pendulum: withDefaults(InvertedPendulumSystem),
+            ballBeam: withDefaults(BallAndBeamSystem),
+            quadTank: withDefaults(QuadrupleTankSystem),
+            reactor: withDefaults(ExothermicReactorSystem),
+            heatExchanger: withDefaults(HeatExchangerSystem),
+            cruise: withDefaults(VehicleCruiseSystem),
+            servo: withDefaults(ServoPositionSystem)
         };
+        // Parâmetros em vigor nas plantas ao vivo; o editor os altera e as fábricas sempre usam os atuais
+        this.plantParameters = {};
+        Object.entries(this.defaultPlantParameters).forEach(([type, values]) => {
+            this.plantParameters[type] = cloneParameters(values);
+        });
+        this.pendingPlantParameters = {}; // tipo → valores que entram em vigor no próximo reinício
+        this.plantVariants = new PlantVariantStore();
+
+        // Modelo da planta linear editado pelo usuário; a fábrica sempre usa o último aplicado
+        this.linearPlantParams = { type: 'tf', ...LINEAR_PLANT_EXAMPLES.thirdOrder, inputMin: -100, inputMax: 100 };
+
+        // Perfil de inclinação editado na tabela; vale para o veículo ao vivo e para as cópias headless
+        this.roadGradeProfile = ROAD_GRADE_PROFILES.rollingHills.points.map(point => ({ ...point }));
+
+        // Encoder e folga do servo editados na interface; valem também para as cópias headless
+        this.servoParams = { countsPerRev: 1024, backlash: 0.5 };
+
+        // Plantas da simulação ao vivo passam pela cadeia de atuação e medição; as headless não
+        this.plants = {};
+        Object.keys(this.plantFactories).forEach(type => {
+            this.plants[type] = this.createPipeline(this.plantFactories[type]());
+        });
+        // Cada planta guarda a própria agenda; os canais agendados no último passo voltam ao repouso quando saem dela
+        this.disturbanceSchedulers = {};
+        Object.keys(this.plantFactories).forEach(type => {
+            this.disturbanceSchedulers[type] = new DisturbanceScheduler({ seed: this.noiseSeed });
+        });
+        this.scheduledChannels = [];
+        // A faixa da planta linear depende do modelo, por isso é derivada do ganho estático
+        this.plantConfigs.linear = this.getLinearPlantConfig(this.plants.linear.plant);
 
         this.currentPlantType = 'mechanical';
         this.plant = this.plants[this.currentPlantType];
+        this.disturbanceScheduler = this.disturbanceSchedulers[this.currentPlantType];
 
         this.pid = new AdvancedPIDController(
             parseFloat(this.ui.kpSlider.value),
@@ -106,20 +569,81 @@ class SimulationApp {
             { outputMin: -100, outputMax: 100 }
         );
 
+        // Escravo da cascata; o mestre é o próprio this.pid, ligado aos sliders principais
+        this.innerPid = new AdvancedPIDController(0, 0, 0);
+        this.cascade = new CascadeController(this.pid, this.innerPid);
+        this.isCascadeActive = false;
+        this.savedSingleLoopGains = null;
+        this.savedInnerLag = null; // { key, value } do usuário, devolvido ao desligar a cascata
+
+        // Segunda malha das plantas MIMO; o desacoplador fica entre as duas saídas e as bombas
+        this.secondaryPid = new AdvancedPIDController(0, 0, 0, { outputMin: 0, outputMax: 100 });
+        this.decoupler = new Decoupler();
+        this.secondarySetpoint = 0;
+        this.heldSecondaryOutput = 0;
+
+        this.smithPredictor = new SmithPredictor(this.pid);
+        this.isSmithActive = false;
+
+        // Controlador amostrado: múltiplo inteiro do passo da planta, com retenção da MV
+        this.controllerSampleSteps = 1;
+        this.controllerStepCounter = 0;
+        this.heldOutput = 0;
+
+        this.scheduleBreakpoints = []; // [{ value, kp, ki, kd }] editados na tabela
+        this.isScheduleActive = false;
+        this.activeScheduleRegion = null;
+
         this.analyzer = new PerformanceAnalyzer();
         this.smartTips = new SmartTipsSystem();
         this.scenarios = new EducationalScenarios();
+        this.autoTuner = new RelayAutoTuner();
+        this.stepTest = new StepTestExperiment();
+        this.identifiedModel = null; // Último modelo FOPDT/SOPDT identificado
+        this.ultimatePoint = null;   // Último Ku/Tu obtido pelo ensaio de relé
+        this.operatingPoint = null;  // Último equilíbrio calculado e o modelo linearizado nele
+        this.startAtOperatingPoint = false;
+        this.gainOptimizer = null;
+        this.optimizedGains = null;
+        this.modelOverlay = null;
 
         this.setpoint = this.plantConfigs[this.currentPlantType].setpoint;
+        this.simulationTime = 0;
         this.isRunning = false;
         this.timeAccumulator = 0;
         this.lastFrameTime = null;
         this.activeScenario = null;
         this.isDisturbanceActive = false;
 
+        // Perfil de setpoint: ao executar, substitui o slider até terminar ou ser interrompido
+        this.setpointProfile = new SetpointProfile();
+        this.isProfileActive = false;
+        this.profileStartTime = 0;
+
         this.initializeChart();
         this.setupControlListeners();
+        this.setupAlgorithmForm();
+        this.setupControllerSampling();
+        this.setupIntegrator();
         this.setupScenariosSystem();
+        this.setupAutoTune();
+        this.setupStepTest();
+        this.setupTuningRules();
+        this.setupGainOptimizer();
+        this.setupCascade();
+        this.setupFeedforward();
+        this.setupSmithPredictor();
+        this.setupGainScheduling();
+        this.setupLinearPlant();
+        this.setupMeasurementNoise();
+        this.setupActuator();
+        this.setupMimo();
+        this.setupRoadProfile();
+        this.setupServo();
+        this.setupPlantParameters();
+        this.setupDisturbanceSchedule();
+        this.setupSetpointGenerator();
+        this.setupOperatingPoint();
         this.switchPlant(this.currentPlantType); // Chamar para configurar o estado inicial
     }
 
@@ -136,6 +660,16 @@ class SimulationApp {
                     { label: 'Termo P', data: [], borderColor: 'rgba(245, 158, 11, 0.7)', borderWidth: 1, pointRadius: 0, yAxisID: 'y1', borderDash: [5, 5], hidden: true },
                     { label: 'Termo I', data: [], borderColor: 'rgba(16, 185, 129, 0.7)', borderWidth: 1, pointRadius: 0, yAxisID: 'y1', borderDash: [5, 5], hidden: true },
                     { label: 'Termo D (-)', data: [], borderColor: 'rgba(239, 68, 68, 0.7)', borderWidth: 1, pointRadius: 0, yAxisID: 'y1', borderDash: [5, 5], hidden: true },
+                    { label: 'Modelo Identificado', data: [], borderColor: 'orange', borderWidth: 2, pointRadius: 0, borderDash: [8, 4], spanGaps: false },
+                    { label: 'SP Interno', data: [], borderColor: 'rgba(14, 165, 233, 0.8)', borderWidth: 1.5, pointRadius: 0, yAxisID: 'y2', borderDash: [4, 4], hidden: true },
+                    { label: 'PV Interna', data: [], borderColor: 'rgba(236, 72, 153, 0.8)', borderWidth: 1.5, pointRadius: 0, yAxisID: 'y2', hidden: true },
+                    { label: 'Termo FF', data: [], borderColor: 'rgba(99, 102, 241, 0.7)', borderWidth: 1, pointRadius: 0, yAxisID: 'y1', borderDash: [5, 5], hidden: true },
+                    { label: 'PV Prevista (Smith)', data: [], borderColor: 'rgba(20, 184, 166, 0.9)', borderWidth: 1.5, pointRadius: 0, borderDash: [6, 3], hidden: true },
+                    { label: 'Posição do Atuador', data: [], borderColor: 'rgba(168, 85, 247, 0.6)', borderWidth: 1.5, pointRadius: 0, yAxisID: 'y1', borderDash: [2, 2], hidden: true },
+                    { label: 'Setpoint 2', data: [], borderColor: 'rgba(34, 197, 94, 0.7)', borderWidth: 1.5, pointRadius: 0, borderDash: [4, 4], hidden: true },
+                    { label: 'PV 2', data: [], borderColor: 'rgba(6, 182, 212, 0.9)', borderWidth: 2, pointRadius: 0, hidden: true },
+                    { label: 'Saída 2 (MV %)', data: [], borderColor: 'rgba(217, 70, 239, 0.7)', borderWidth: 1.5, yAxisID: 'y1', pointRadius: 0, hidden: true },
+                    { label: 'Inclinação (%)', data: [], borderColor: 'rgba(120, 113, 108, 0.8)', backgroundColor: 'rgba(120, 113, 108, 0.15)', borderWidth: 1, yAxisID: 'y1', pointRadius: 0, fill: 'origin', hidden: true },
                 ]
             },
             options: {
@@ -145,22 +679,54 @@ class SimulationApp {
                 scales: {
                     x: { title: { display: true, text: 'Tempo (s)' } },
                     y: { min: 0, max: 120, title: { display: true, text: 'Valor' } },
-                    y1: { type: 'linear', position: 'right', min: -110, max: 110, title: { display: true, text: 'Saída (%)' }, grid: { drawOnChartArea: false } }
+                    y1: { type: 'linear', position: 'right', min: -110, max: 110, title: { display: true, text: 'Saída (%)' }, grid: { drawOnChartArea: false } },
+                    y2: { type: 'linear', position: 'right', display: false, title: { display: true, text: 'Malha interna' }, grid: { drawOnChartArea: false } }
                 }
-            }
+            },
+            plugins: [this.createDisturbanceBandsPlugin()]
         });
     }
 
+    // Faixas sombreadas sob as curvas nas janelas dos eventos agendados
+    createDisturbanceBandsPlugin() {
+        return {
+            id: 'disturbanceBands',
+            beforeDatasetsDraw: (chart) => {
+                const labels = chart.data.labels;
+                const events = this.disturbanceScheduler.getEvents();
+                if (events.length === 0 || labels.length < 2) return;
+
+                // Os rótulos são instantes igualmente espaçados: o tempo vira índice por interpolação
+                const firstTime = parseFloat(labels[0]);
+                const lastTime = parseFloat(labels[labels.length - 1]);
+                const { ctx, chartArea, scales } = chart;
+                const toPixel = time => scales.x.getPixelForValue((time - firstTime) / (lastTime - firstTime) * (labels.length - 1));
+                const channels = this.disturbanceChannels[this.currentPlantType].map(channel => channel.type);
+
+                ctx.save();
+                events.forEach(event => {
+                    const left = Math.max(chartArea.left, toPixel(Math.max(event.start, firstTime)));
+                    const right = Math.min(chartArea.right, toPixel(Math.min(this.disturbanceScheduler.getEnd(event), lastTime)));
+                    if (right <= left) return;
+                    ctx.fillStyle = DISTURBANCE_BAND_COLORS[Math.max(0, channels.indexOf(event.channel)) % DISTURBANCE_BAND_COLORS.length];
+                    ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+                });
+                ctx.restore();
+            }
+        };
+    }
+
     setupControlListeners() {
         // Listener para Sliders PID
         const updateFromSliders = () => {
             const kp = parseFloat(this.ui.kpSlider.value);
             const ki = parseFloat(this.ui.kiSlider.value);
             const kd = parseFloat(this.ui.kdSlider.value);
-            this.ui.kpValue.textContent = kp.toFixed(2);
-            this.ui.kiValue.textContent = ki.toFixed(2);
-            this.ui.kdValue.textContent = kd.toFixed(2);
+            this.ui.kpValue.textContent = formatGain(kp);
+            this.ui.kiValue.textContent = formatGain(ki);
+            this.ui.kdValue.textContent = formatGain(kd);
             this.pid.setGains(kp, ki, kd);
+            this.updateFormDisplay();
         };
         ['input', 'change'].forEach(evt => {
             this.ui.kpSlider.addEventListener(evt, updateFromSliders);
@@ -170,9 +736,16 @@ class SimulationApp {
 
         // ✨ CORRIGIDO: Listener para Slider de Setpoint
         this.ui.setpointSlider.addEventListener('input', () => {
+            if (this.isProfileActive) {
+                // Mover o slider retoma o controle manual a partir do valor escolhido
+                const value = this.ui.setpointSlider.value;
+                this.setProfileActive(false);
+                this.ui.setpointSlider.value = value;
+            }
             this.setpoint = parseFloat(this.ui.setpointSlider.value);
             const units = this.plantConfigs[this.currentPlantType].units;
             this.ui.setpointValue.textContent = `${this.setpoint.toFixed(1)} ${units}`;
+            if (this.setpointPreviewChart) this.updateSetpointPreview(); // A prévia parte do setpoint atual
         });
 
         // Ações dos botões
@@ -191,20 +764,146 @@ class SimulationApp {
             this.switchPlant(this.ui.plantSelector.value);
         });
 
-        // Sliders de Ruído e Atraso
+        // Sliders de Ruído, Atraso e Sensor
         this.ui.noiseSlider.addEventListener('input', () => {
             this.ui.noiseValue.textContent = this.ui.noiseSlider.value;
-            if (this.plant.sensorNoise) {
-                this.plant.sensorNoise.amplitude = parseFloat(this.ui.noiseSlider.value);
-            }
+            this.plant.sensorNoise.amplitude = this.getNoiseAmplitude(parseFloat(this.ui.noiseSlider.value));
         });
 
         this.ui.delaySlider.addEventListener('input', () => {
             this.ui.delayValue.textContent = this.ui.delaySlider.value;
-            if (this.plant.systemDelay) {
-                this.plant.systemDelay.time = parseFloat(this.ui.delaySlider.value);
-            }
+            this.plant.systemDelay.time = parseFloat(this.ui.delaySlider.value);
+        });
+
+        this.ui.sensorLagSlider.addEventListener('input', () => {
+            this.ui.sensorLagValue.textContent = parseFloat(this.ui.sensorLagSlider.value).toFixed(1);
+            this.plant.setSensorLag(parseFloat(this.ui.sensorLagSlider.value));
+        });
+        this.ui.sensorRangeButton.addEventListener('click', () => this.toggleSensorRange());
+    }
+
+    // === ALGORITMO E FORMA DO PID ===
+    setupAlgorithmForm() {
+        this.ui.pidAlgorithm.addEventListener('change', () => {
+            this.pid.setAlgorithm(this.ui.pidAlgorithm.value);
+            this.innerPid.setAlgorithm(this.ui.pidAlgorithm.value);
+            this.updateFormDisplay();
+        });
+        this.ui.pidForm.addEventListener('change', () => this.updateFormDisplay());
+        this.ui.formGainInputs.forEach(input => {
+            input.addEventListener('change', () => this.applyFormGains());
+        });
+        this.updateFormDisplay();
+    }
+
+    // Os sliders permanecem na forma paralela; os campos exibem e editam a forma escolhida
+    applyFormGains() {
+        const form = this.ui.pidForm.value;
+        const params = this.ui.formGainInputs.map((input, index) => {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) return value;
+            return form !== 'parallel' && index === 1 ? Infinity : 0; // Ti vazio = sem integral
+        });
+
+        const gains = toParallel(form, params);
+        if (![gains.kp, gains.ki, gains.kd].every(Number.isFinite) || gains.ki < 0 || gains.kd < 0) {
+            this.ui.formStatus.textContent = 'Parâmetros inválidos para esta forma.';
+            return;
+        }
+        this.setSliderGains(gains.kp, gains.ki, gains.kd);
+    }
+
+    updateFormDisplay() {
+        const { Kp, Ki, Kd } = this.pid.getConfiguration().gains;
+        const gains = { kp: Kp, ki: Ki, kd: Kd };
+        const form = this.ui.pidForm.value;
+        const format = (value) => Number.isFinite(value) ? formatGain(value) : '∞';
+        const describe = (params) => params ? params.map(format).join(' / ') : 'sem equivalente';
+
+        PID_FORMS[form].labels.forEach((label, index) => {
+            this.ui.formGainLabels[index].textContent = label;
+        });
+        this.ui.formGainInputs[1].placeholder = form === 'parallel' ? '' : '∞ (sem integral)';
+
+        const params = fromParallel(form, gains);
+        this.ui.formGainInputs.forEach((input, index) => {
+            const value = params ? params[index] : NaN;
+            input.value = Number.isFinite(value) ? parseFloat(value.toPrecision(4)) : '';
+        });
+
+        if (!params) {
+            this.ui.formStatus.textContent = form === 'series'
+                ? 'A forma série só representa zeros reais: exige Ti ≥ 4·Td.'
+                : 'A forma ideal exige Kp > 0.';
+        } else if (this.ui.pidAlgorithm.value === 'velocity' && Ki === 0) {
+            this.ui.formStatus.textContent = 'Sem ação integral a forma incremental não tem referência de saída.';
+        } else {
+            this.ui.formStatus.textContent = '';
+        }
+
+        this.ui.formParallel.textContent = describe(fromParallel('parallel', gains));
+        this.ui.formIdeal.textContent = describe(fromParallel('ideal', gains));
+        this.ui.formSeries.textContent = describe(fromParallel('series', gains));
+    }
+
+    // === AMOSTRAGEM DO CONTROLADOR ===
+    setupControllerSampling() {
+        const controllers = [this.pid, this.innerPid];
+
+        this.ui.samplePeriodSlider.addEventListener('input', () => {
+            const plantStep = this.config.SIMULATION_TIMESTEP_S;
+            this.controllerSampleSteps = Math.max(1, Math.round(parseFloat(this.ui.samplePeriodSlider.value) / plantStep));
+            const samplePeriod = this.controllerSampleSteps * plantStep;
+            this.ui.samplePeriodValue.textContent = samplePeriod.toFixed(2);
+            this.ui.plantStepValue.textContent = `${plantStep.toFixed(2)} s`;
+            this.ui.nyquistValue.textContent = `${(Math.PI / samplePeriod).toFixed(2)} rad/s`;
+        });
+
+        const applyDiscretization = () => {
+            const method = this.ui.discretizationMethod.value;
+            const isPrewarp = method === 'tustin-prewarp';
+            const frequency = parseFloat(this.ui.prewarpFrequency.value);
+            this.ui.prewarpItem.style.display = isPrewarp ? 'block' : 'none';
+            controllers.forEach(controller => controller.setDiscretization(
+                isPrewarp ? 'tustin' : method,
+                isPrewarp && frequency > 0 ? frequency : null
+            ));
+        };
+        this.ui.discretizationMethod.addEventListener('change', applyDiscretization);
+        this.ui.prewarpFrequency.addEventListener('change', applyDiscretization);
+
+        // Campo vazio mantém o filtro original, atrelado ao período de amostragem
+        this.ui.derivativeFilterTime.addEventListener('change', () => {
+            const filterTime = parseFloat(this.ui.derivativeFilterTime.value);
+            controllers.forEach(controller => controller.setDerivativeFilterTime(filterTime >= 0 ? filterTime : null));
+        });
+
+        this.ui.samplePeriodSlider.dispatchEvent(new Event('input'));
+    }
+
+    setupIntegrator() {
+        const updateStepDisplay = () => {
+            const internalStep = this.config.SIMULATION_TIMESTEP_S / this.odeSolver.substeps;
+            this.ui.integrationStepValue.textContent = this.odeSolver.method === 'rk45'
+                ? `≤ ${(internalStep * 1000).toFixed(1)} ms (adaptativo)`
+                : `${(internalStep * 1000).toFixed(1)} ms`;
+        };
+
+        this.ui.integrationMethod.addEventListener('change', () => {
+            this.odeSolver.setMethod(this.ui.integrationMethod.value);
+            this.ui.integrationToleranceItem.style.display = this.odeSolver.method === 'rk45' ? 'block' : 'none';
+            updateStepDisplay();
+        });
+        this.ui.integrationSubstepsSlider.addEventListener('input', () => {
+            this.odeSolver.setSubsteps(parseInt(this.ui.integrationSubstepsSlider.value, 10));
+            this.ui.integrationSubstepsValue.textContent = this.odeSolver.substeps;
+            updateStepDisplay();
         });
+        this.ui.integrationTolerance.addEventListener('change', () => {
+            this.odeSolver.setTolerance(parseFloat(this.ui.integrationTolerance.value));
+        });
+
+        this.ui.integrationMethod.dispatchEvent(new Event('change'));
     }
 
     // ... (o resto das funções de cenário permanecem as mesmas)
@@ -287,11 +986,13 @@ class SimulationApp {
         }
         if (config.derivativeFilter) this.pid.setDerivativeFilter(config.derivativeFilter);
         if (config.outputLimits) this.pid.setOutputLimits(config.outputLimits.min, config.outputLimits.max);
+        this.loadScenarioDisturbances(config.disturbance);
     }
 
     onScenarioComplete(scenarioInfo) {
         this.hideScenarioPanel();
         this.activeScenario = null;
+        this.loadScenarioDisturbances(null);
         this.ui.smartTip.textContent = `✅ Cenário "${scenarioInfo.scenario}" concluído!`;
     }
 
@@ -302,190 +1003,2407 @@ class SimulationApp {
         this.scenarios.stopScenario();
         this.hideScenarioPanel();
         this.activeScenario = null;
+        this.loadScenarioDisturbances(null);
         this.ui.smartTip.textContent = "Cenário interrompido. Controle manual reativado.";
     }
 
-    // ✨ MELHORADO: Lógica de troca de planta
-    switchPlant(plantType) {
-        if (!this.plants[plantType]) return;
+    // === AUTO-SINTONIA POR RELÉ ===
+    setupAutoTune() {
+        this.ui.relayAmplitudeSlider.addEventListener('input', () => {
+            this.ui.relayAmplitudeValue.textContent = this.ui.relayAmplitudeSlider.value;
+        });
+        this.ui.autoTuneButton.addEventListener('click', () => {
+            if (this.autoTuner.isRunning()) {
+                this.stopAutoTune();
+            } else {
+                this.startAutoTune();
+            }
+        });
+        this.ui.autoTuneApplyButton.addEventListener('click', () => {
+            const result = this.autoTuner.getResult();
+            if (result) this.setSliderGains(result.gains.kp, result.gains.ki, result.gains.kd);
+        });
+    }
 
-        this.stop();
-        this.currentPlantType = plantType;
-        this.plant = this.plants[plantType];
+    startAutoTune() {
+        if (this.isCascadeActive) this.setCascadeActive(false);
+        if (this.isSmithActive) this.setSmithActive(false);
 
-        const config = this.plantConfigs[plantType];
-        this.setpoint = config.setpoint;
+        const plantConfig = this.plantConfigs[this.currentPlantType];
+        const { outputMin, outputMax } = this.pid.getConfiguration().config;
 
-        // Atualiza o slider de setpoint
-        this.ui.setpointSlider.min = config.min;
-        this.ui.setpointSlider.max = config.max;
-        this.ui.setpointSlider.value = config.setpoint;
-        this.ui.setpointSlider.dispatchEvent(new Event('input')); // Força a atualização do display
+        // Histerese acima do nível de ruído evita comutações espúrias do relé
+        const span = plantConfig.max - plantConfig.min;
+        const noiseLevel = this.plant.sensorNoise.enabled ? this.plant.sensorNoise.amplitude : 0;
+        const hysteresis = Math.max(0.01 * span, 2 * noiseLevel);
 
-        // Atualiza os eixos do gráfico
-        this.chart.options.scales.y.min = config.min;
-        this.chart.options.scales.y.max = config.max;
-        this.chart.options.scales.y.title.text = `Valor (${config.units})`;
+        this.autoTuner = new RelayAutoTuner({
+            relayAmplitude: parseFloat(this.ui.relayAmplitudeSlider.value),
+            hysteresis,
+            outputMin,
+            outputMax
+        });
 
-        // Atualiza título do gráfico
-        document.querySelector('.theater-title').textContent = `${this.ui.plantSelector.options[this.ui.plantSelector.selectedIndex].text}`;
+        // O relé parte da saída média recente para manter o ponto de operação
+        const bias = this.getRecentOutputAverage();
+        this.autoTuner.start(bias);
+        this.pid.setManualMode(true, bias);
 
-        this.resetSimulation();
+        this.ui.autoTuneButton.textContent = '⏹️ Parar Ensaio';
+        this.ui.autoTuneResults.style.display = 'none';
+        this.ui.autoTuneStatus.textContent = this.autoTuner.getStatus().message;
     }
 
-    // ✨ CORRIGIDO: Lógica dos botões de toggle
-    updateToggleButtonState(button, isEnabled) {
-        const badge = button.querySelector('.status-badge');
-        if (isEnabled) {
-            button.classList.add('active');
-            badge.textContent = 'On';
-            badge.classList.replace('status-inactive', 'status-active');
-        } else {
-            button.classList.remove('active');
-            badge.textContent = 'Off';
-            badge.classList.replace('status-active', 'status-inactive');
-        }
+    stopAutoTune() {
+        this.autoTuner.stop();
+        this.finishAutoTune();
     }
 
-    toggleNoise(forceState, amplitude) {
-        const currentState = this.plant.sensorNoise ? this.plant.sensorNoise.enabled : false;
-        const newState = forceState !== undefined ? forceState : !currentState;
+    finishAutoTune() {
+        // Retorno bumpless ao automático a partir do ponto médio do relé
+        this.pid.setManualMode(true, this.autoTuner.bias);
+        this.pid.setManualMode(false);
 
-        if (newState) {
-            const noiseAmplitude = amplitude !== undefined ? amplitude : parseFloat(this.ui.noiseSlider.value);
-            this.plant.enableNoise(noiseAmplitude);
-        } else {
-            this.plant.disableNoise();
-        }
-        this.updateToggleButtonState(this.ui.noiseButton, newState);
+        this.ui.autoTuneButton.textContent = '🔁 Iniciar Ensaio de Relé';
+        this.ui.autoTuneStatus.textContent = this.autoTuner.getStatus().message;
+
+        const result = this.autoTuner.getResult();
+        if (!result) return;
+
+        this.ultimatePoint = { Ku: result.ultimateGain, Tu: result.ultimatePeriod, plantType: this.currentPlantType };
+        this.updateTuningRuleSelector();
+
+        this.ui.autoTuneKu.textContent = result.ultimateGain.toFixed(3);
+        this.ui.autoTuneTu.textContent = `${result.ultimatePeriod.toFixed(2)} s`;
+        this.ui.autoTuneKp.textContent = result.gains.kp.toFixed(3);
+        this.ui.autoTuneKi.textContent = result.gains.ki.toFixed(3);
+        this.ui.autoTuneKd.textContent = result.gains.kd.toFixed(3);
+        this.ui.autoTuneResults.style.display = 'block';
     }
 
-    toggleDelay(forceState, delayTime) {
-        const currentState = this.plant.systemDelay ? this.plant.systemDelay.enabled : false;
-        const newState = forceState !== undefined ? forceState : !currentState;
+    // === ENSAIO AO DEGRAU E IDENTIFICAÇÃO ===
+    setupStepTest() {
+        this.ui.stepSizeSlider.addEventListener('input', () => {
+            this.ui.stepSizeValue.textContent = this.ui.stepSizeSlider.value;
+        });
+        this.ui.stepTestButton.addEventListener('click', () => {
+            if (this.stepTest.isRunning()) {
+                this.stepTest.stop();
+                this.finishStepTest();
+            } else {
+                this.startStepTest();
+            }
+        });
+        this.ui.returnAutoButton.addEventListener('click', () => this.returnToAutomatic());
+    }
 
-        if (newState) {
-            const systemDelay = delayTime !== undefined ? delayTime : parseFloat(this.ui.delaySlider.value);
-            this.plant.enableDelay(systemDelay);
-        } else {
-            this.plant.disableDelay();
+    startStepTest() {
+        if (this.autoTuner.isRunning()) this.stopAutoTune();
+        if (this.isCascadeActive) this.setCascadeActive(false);
+        if (this.isSmithActive) this.setSmithActive(false);
+
+        const { outputMin, outputMax } = this.pid.getConfiguration().config;
+        this.stepTest = new StepTestExperiment({
+            stepSize: parseFloat(this.ui.stepSizeSlider.value),
+            outputMin,
+            outputMax
+        });
+        this.stepTest.start(this.getRecentOutputAverage());
+        this.stepTestStartTime = this.simulationTime;
+        this.modelOverlay = null;
+
+        this.ui.stepTestButton.textContent = '⏹️ Parar Ensaio';
+        this.ui.stepTestResults.style.display = 'none';
+        this.ui.stepTestStatus.textContent = this.stepTest.getStatus().message;
+    }
+
+    finishStepTest() {
+        this.ui.stepTestButton.textContent = '📐 Iniciar Ensaio ao Degrau';
+        this.ui.stepTestStatus.textContent = this.stepTest.getStatus().message;
+
+        const result = this.stepTest.getResult();
+        if (!result) {
+            this.returnToAutomatic();
+            return;
         }
-        this.updateToggleButtonState(this.ui.delayButton, newState);
+
+        // O controlador permanece em manual para que o modelo continue comparável à PV
+        const { fopdt, sopdt } = result;
+        this.identifiedModel = { fopdt, sopdt, plantType: this.currentPlantType };
+        this.modelOverlay = {
+            model: fopdt,
+            stepTime: this.stepTestStartTime + result.stepTime,
+            initialValue: result.initialValue,
+            stepSize: result.stepSize
+        };
+        this.fillModelOverlay();
+        this.updateTuningRuleSelector();
+        this.updateSmithModelSource();
+
+        this.ui.fopdtK.textContent = fopdt.K.toFixed(4);
+        this.ui.fopdtTau.textContent = `${fopdt.tau.toFixed(2)} s`;
+        this.ui.fopdtTheta.textContent = `${fopdt.theta.toFixed(2)} s`;
+        this.ui.fopdtR2.textContent = fopdt.r2.toFixed(4);
+        this.ui.sopdtK.textContent = sopdt.K.toFixed(4);
+        this.ui.sopdtTaus.textContent = `${sopdt.tau1.toFixed(2)} / ${sopdt.tau2.toFixed(2)} s`;
+        this.ui.sopdtTheta.textContent = `${sopdt.theta.toFixed(2)} s`;
+        this.ui.sopdtR2.textContent = sopdt.r2.toFixed(4);
+        this.ui.stepTestResults.style.display = 'block';
     }
 
-    // ✨ CORRIGIDO: Agora o botão de perturbação também é um toggle ON/OFF
-    toggleDisturbance() {
-        this.isDisturbanceActive = !this.isDisturbanceActive;
-        const disturbanceConfig = this.plantConfigs[this.currentPlantType].disturbance;
+    modelOverlayValue(time) {
+        const overlay = this.modelOverlay;
+        if (!overlay || time < overlay.stepTime) return null;
+        return overlay.initialValue + overlay.stepSize * modelStepResponse(overlay.model, time - overlay.stepTime);
+    }
+
+    // Preenche a curva do modelo sobre os pontos já exibidos no gráfico
+    fillModelOverlay() {
+        const data = this.chart.data;
+        data.datasets[6].data = data.labels.map(label => this.modelOverlayValue(parseFloat(label)));
+        this.chart.update();
+    }
+
+    returnToAutomatic() {
+        this.modelOverlay = null;
+        this.pid.setManualMode(false);
+    }
+
+    // === PONTO DE OPERAÇÃO E LINEARIZAÇÃO ===
+    setupOperatingPoint() {
+        this.ui.trimButton.addEventListener('click', () => this.computeOperatingPoint());
+        this.ui.trimStartButton.addEventListener('click', () => {
+            this.startAtOperatingPoint = !this.startAtOperatingPoint;
+            this.updateToggleButtonState(this.ui.trimStartButton, this.startAtOperatingPoint);
+            this.resetSimulation();
+        });
+        this.ui.trimUseModelsButton.addEventListener('click', () => this.useOperatingPointModels());
+        this.ui.trimCopyLinearButton.addEventListener('click', () => this.copyOperatingPointToLinearPlant());
+    }
 
+    // Cópia headless da planta atual com a perturbação do botão, se ativa; eventos agendados ficam de fora
+    createOperatingPointPlant() {
+        const plant = this.plantFactories[this.currentPlantType]();
+        if (this.isMimoPlant()) {
+            const live = this.plant.plant;
+            plant.setFlowSplit(...live.flowSplit);
+            plant.setSecondaryInput(live.secondaryInput);
+        }
         if (this.isDisturbanceActive) {
-            // Ativa a perturbação
-            if (typeof disturbanceConfig === 'object') {
-                this.plant.setDisturbance(disturbanceConfig.type, disturbanceConfig.value);
+            const config = this.plantConfigs[this.currentPlantType].disturbance;
+            if (typeof config === 'object') {
+                plant.setDisturbance(config.type, config.value);
             } else {
-                this.plant.setDisturbance(disturbanceConfig);
+                plant.setDisturbance(config);
             }
-        } else {
-            // Desativa a perturbação
-            if (typeof disturbanceConfig === 'object') {
-                this.plant.setDisturbance(disturbanceConfig.type, 0); // Usa 0 ou false para desativar
+        }
+        return plant;
+    }
+
+    computeOperatingPoint() {
+        const { outputMin, outputMax } = this.pid.getConfiguration().config;
+        const plant = this.createOperatingPointPlant();
+        const units = this.plantConfigs[this.currentPlantType].units;
+        this.operatingPoint = null;
+        this.ui.trimResults.style.display = 'none';
+
+        let trim;
+        try {
+            trim = findOperatingPoint(plant, this.setpoint, { mvMin: outputMin, mvMax: outputMax });
+        } catch (error) {
+            this.ui.trimStatus.textContent = `❌ ${error.message}`;
+            return;
+        }
+        if (!trim.converged) {
+            if (!trim.saturated) {
+                this.ui.trimStatus.textContent = `⚠️ O trim não convergiu (resíduo ${trim.residual.toExponential(1)}); ponto mais próximo com PV = ${trim.processVariable.toFixed(2)} ${units}`;
             } else {
-                this.plant.setDisturbance(0);
+                this.ui.trimStatus.textContent = trim.limitOutput !== null
+                    ? `⚠️ Setpoint fora do alcance: com a MV em ${trim.mv.toFixed(1)} a PV para em ${trim.limitOutput.toFixed(2)} ${units}`
+                    : `⚠️ Setpoint fora do alcance: nem com a MV em ${trim.mv.toFixed(1)} a planta chega a ele`;
             }
+            return;
         }
 
-        // Atualiza o estado visual do botão
-        const button = this.ui.disturbanceButton;
-        const badge = button.querySelector('.status-badge');
-        button.classList.toggle('active', this.isDisturbanceActive);
-
-        if (this.isDisturbanceActive) {
-            badge.textContent = 'Ativa';
-            badge.classList.replace('status-inactive', 'status-active');
-        } else {
-            badge.textContent = 'Inativa';
-            badge.classList.replace('status-active', 'status-inactive');
+        // O atraso de transporte da cadeia de atuação entra como tempo morto do modelo
+        const model = {
+            ...linearizePlant(plant, trim.mv, trim.state, { mvMin: outputMin, mvMax: outputMax }),
+            deadTime: (plant.deadTime || 0) + (this.plant.systemDelay.enabled ? this.plant.systemDelay.time : 0)
+        };
+        const transfer = transferFunctionFromStateSpace(model);
+        if (transfer.decoupled) {
+            this.ui.trimStatus.textContent = `⚠️ Equilíbrio com MV = ${trim.mv.toFixed(2)}, mas nele a MV não afeta a PV (folga aberta, zona morta ou saturação)`;
+            return;
         }
+
+        this.operatingPoint = {
+            plantType: this.currentPlantType,
+            trim,
+            model,
+            transfer,
+            ultimate: findUltimatePoint(model, transfer),
+            models: approximateModels(model, transfer)
+        };
+        this.showOperatingPoint();
     }
 
-    resetSimulation() {
-        this.stop();
-        this.plant.reset();
-        this.pid.reset();
-        this.analyzer.reset();
+    showOperatingPoint() {
+        const { trim, model, transfer, ultimate, models } = this.operatingPoint;
+        const units = this.plantConfigs[this.currentPlantType].units;
+        const formatRoots = (roots) => {
+            if (roots.length === 0) return '—';
+            const sorted = [...roots].sort((a, b) => Math.hypot(a.re, a.im) - Math.hypot(b.re, b.im));
+            const shown = sorted.slice(0, 6).map(root => (root.im === 0
+                ? root.re.toPrecision(3)
+                : `${root.re.toPrecision(3)}${root.im < 0 ? '−' : '+'}${Math.abs(root.im).toPrecision(3)}j`));
+            return sorted.length > 6 ? `${shown.join(', ')} … (+${sorted.length - 6})` : shown.join(', ');
+        };
 
-        // Desativa perturbação
-        if (this.isDisturbanceActive) {
-            this.toggleDisturbance();
-        }
-        // Desativa ruído e atraso
-        if (this.plant.sensorNoise && this.plant.sensorNoise.enabled) {
-            this.toggleNoise(false);
-        }
-        if (this.plant.systemDelay && this.plant.systemDelay.enabled) {
-            this.toggleDelay(false);
-        }
+        this.ui.trimMv.textContent = `${trim.mv.toFixed(2)}${trim.saturated ? ' (saturada)' : ''}`;
+        this.ui.trimGain.textContent = Number.isFinite(transfer.gain)
+            ? `${transfer.gain.toPrecision(4)} ${units}/%`
+            : `∞ (integradora, ${transfer.integrators} polo${transfer.integrators > 1 ? 's' : ''} na origem)`;
+        this.ui.trimPoles.textContent = formatRoots(transfer.poles);
+        this.ui.trimZeros.textContent = formatRoots(transfer.zeros);
+        this.ui.trimUltimate.textContent = ultimate
+            ? `${ultimate.Ku.toFixed(3)} / ${ultimate.Tu.toFixed(2)} s`
+            : (transfer.unstable ? 'planta instável no ponto' : 'a fase não cruza −180°');
+        this.ui.trimFopdt.textContent = models
+            ? `${models.fopdt.K.toPrecision(4)} / ${models.fopdt.tau.toFixed(2)} s / ${models.fopdt.theta.toFixed(2)} s`
+            : 'só para plantas estáveis';
+        this.ui.trimUseModelsButton.disabled = !ultimate && !models;
+        this.ui.trimResults.style.display = 'block';
+
+        const deadTime = model.deadTime > 0 ? `, tempo morto ${model.deadTime.toFixed(2)} s` : '';
+        this.ui.trimStatus.textContent = `✅ Equilíbrio em ${trim.iterations} iterações: PV = ${trim.processVariable.toFixed(2)} ${units}, ` +
+            `modelo de ordem ${transfer.poles.length}${deadTime}`;
+    }
 
-        this.chart.data.labels = [];
-        this.chart.data.datasets.forEach(d => d.data = []);
-        this.chart.update();
+    useOperatingPointModels() {
+        const point = this.operatingPoint;
+        if (!point || point.plantType !== this.currentPlantType) return;
+        if (point.models) this.identifiedModel = { ...point.models, plantType: point.plantType };
+        if (point.ultimate) this.ultimatePoint = { Ku: point.ultimate.Ku, Tu: point.ultimate.Tu, plantType: point.plantType };
+        this.updateTuningRuleSelector();
+        this.updateSmithModelSource();
+    }
 
-        this.start();
+    // A planta linear recebe a função de transferência mínima e pode ser comparada à não linear
+    copyOperatingPointToLinearPlant() {
+        const point = this.operatingPoint;
+        if (!point) return;
+        const format = (coefficients) => coefficients.map(value => Number(value.toPrecision(8))).join(' ');
+        this.ui.linearExample.value = '';
+        this.ui.linearModelType.value = 'tf';
+        this.ui.linearNumerator.value = format(point.transfer.numerator);
+        this.ui.linearDenominator.value = format(point.transfer.denominator);
+        this.ui.linearDeadTime.value = Number(point.model.deadTime.toPrecision(6));
+        this.updateLinearModelInputs();
+        this.applyLinearPlant();
     }
 
-    applyPreset(presetName) {
-        const preset = this.presets[presetName];
-        if (!preset) return;
+    // O equilíbrio e o modelo valem só para a planta em que foram calculados
+    clearOperatingPoint() {
+        this.operatingPoint = null;
+        this.ui.trimResults.style.display = 'none';
+        this.ui.trimStatus.textContent = 'Resolve a MV e o estado de equilíbrio no setpoint atual e lineariza a planta nesse ponto.';
+    }
 
-        this.resetSimulation();
+    // Trim na própria planta recém-reiniciada; devolve a MV inicial (0 se não houver equilíbrio)
+    applyOperatingPointStart() {
+        const { outputMin, outputMax } = this.pid.getConfiguration().config;
+        const plant = this.plant.plant;
+        let trim = null;
+        try {
+            trim = findOperatingPoint(plant, this.setpoint, { mvMin: outputMin, mvMax: outputMax });
+        } catch (error) {
+            trim = null;
+        }
+        if (!trim || !trim.converged) {
+            plant.reset(); // A busca mexeu no estado: volta ao inicial
+            this.ui.trimStatus.textContent = '⚠️ Sem equilíbrio no setpoint atual: a simulação partiu do estado inicial';
+            return 0;
+        }
+        createPlantProbe(plant).setOperatingPoint(trim.mv, trim.state, this.config.SIMULATION_TIMESTEP_S);
+        this.ui.trimStatus.textContent = `🏁 Simulação partiu do equilíbrio: MV = ${trim.mv.toFixed(2)}`;
+        return trim.mv;
+    }
 
-        this.ui.kpSlider.value = preset.kp;
-        this.ui.kiSlider.value = preset.ki;
-        this.ui.kdSlider.value = preset.kd;
-        this.ui.kpSlider.dispatchEvent(new Event('input')); // Força atualização de valores e PID
+    // === REGRAS DE SINTONIA ===
+    setupTuningRules() {
+        this.ui.applyRuleButton.addEventListener('click', () => this.applyTuningRule(this.ui.tuningRuleSelector.value));
+        this.ui.compareRulesButton.addEventListener('click', () => this.compareTuningRules());
+        this.ui.closeComparisonModal.addEventListener('click', () => this.hideComparisonModal());
+        this.ui.comparisonModal.addEventListener('click', (e) => {
+            if (e.target === this.ui.comparisonModal) this.hideComparisonModal();
+        });
+    }
 
-        if (presetName === 'noisy_system') {
-            this.toggleNoise(true, 0.8);
+    // Modelos válidos apenas para a planta em que foram obtidos
+    getTuningModels() {
+        const models = {};
+        if (this.identifiedModel && this.identifiedModel.plantType === this.currentPlantType) {
+            models.fopdt = this.identifiedModel.fopdt;
+            models.sopdt = this.identifiedModel.sopdt;
         }
-        if (presetName === 'delayed_system') {
-            this.toggleDelay(true, 0.15);
+        if (this.ultimatePoint && this.ultimatePoint.plantType === this.currentPlantType) {
+            models.ultimate = this.ultimatePoint;
         }
+        return models;
     }
 
-    simulationLoop = (currentTime) => {
-        if (!this.isRunning) return;
-
-        if (!this.lastFrameTime) this.lastFrameTime = currentTime;
-        const deltaTime = (currentTime - this.lastFrameTime) / 1000;
-        this.lastFrameTime = currentTime;
-        this.timeAccumulator += deltaTime;
+    updateTuningRuleSelector() {
+        const models = this.getTuningModels();
+        const rules = getApplicableRules(models);
+        const selector = this.ui.tuningRuleSelector;
+
+        selector.innerHTML = '';
+        rules.forEach(rule => {
+            const option = document.createElement('option');
+            option.value = rule.id;
+            option.textContent = `${rule.name} [${rule.form}]`;
+            selector.appendChild(option);
+        });
+        if (rules.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'Nenhum modelo disponível';
+            selector.appendChild(option);
+        }
 
-        while (this.timeAccumulator >= this.config.SIMULATION_TIMESTEP_S) {
-            if (this.activeScenario) {
-                const scenarioConfig = this.scenarios.update(this.chart.data.labels.length * this.config.SIMULATION_TIMESTEP_S);
-                if (scenarioConfig && scenarioConfig.setpoint !== undefined) {
-                    this.setpoint = scenarioConfig.setpoint;
-                }
-            }
+        const hasRules = rules.length > 0;
+        selector.disabled = !hasRules;
+        this.ui.applyRuleButton.disabled = !hasRules;
+        this.ui.compareRulesButton.disabled = !hasRules;
+
+        const available = [];
+        if (models.fopdt) available.push(`FOPDT K=${models.fopdt.K.toFixed(3)} τ=${models.fopdt.tau.toFixed(2)}s θ=${models.fopdt.theta.toFixed(2)}s`);
+        if (models.ultimate) available.push(`Ku=${models.ultimate.Ku.toFixed(3)} Tu=${models.ultimate.Tu.toFixed(2)}s`);
+        this.ui.tuningModelsStatus.textContent = available.length > 0
+            ? `Modelos: ${available.join(' | ')}`
+            : 'Execute o ensaio de relé ou ao degrau para habilitar as regras.';
+    }
 
-            const plantState = this.plant.update(0, this.config.SIMULATION_TIMESTEP_S); // Update dummy
-            const pv = plantState.processVariable ?? plantState.measuredPosition ?? plantState.position;
-            const mv = this.pid.update(this.setpoint, pv, this.config.SIMULATION_TIMESTEP_S);
-            this.plant.update(mv, this.config.SIMULATION_TIMESTEP_S);
+    applyTuningRule(ruleId) {
+        const rule = getRule(ruleId);
+        if (!rule) return;
+        const gains = computeRuleGains(ruleId, this.getTuningModels());
+        if (!gains) {
+            this.ui.tuningModelsStatus.textContent = `⚠️ ${rule.name}: ganhos indefinidos para este modelo, nada foi aplicado`;
+            return;
+        }
 
-            this.updateUI(pv, mv);
-            this.timeAccumulator -= this.config.SIMULATION_TIMESTEP_S;
+        // Os sliders limitariam esses valores em silêncio: a regra é recusada e os ganhos atuais ficam.
+        // Ganho K negativo ou θ grande frente a τ (Cohen–Coon) podem dar termos negativos
+        const negative = [['Kp', gains.kp], ['Ki', gains.ki], ['Kd', gains.kd]]
+            .filter(([, value]) => value < 0)
+            .map(([name, value]) => `${name}=${value.toFixed(3)}`);
+        if (negative.length > 0) {
+            this.ui.tuningModelsStatus.textContent =
+                `⚠️ ${rule.name}: os sliders não aceitam ganho negativo (${negative.join(', ')}); nada foi aplicado`;
+            return;
         }
 
-        requestAnimationFrame(this.simulationLoop);
+        this.returnToAutomatic();
+        this.setSliderGains(gains.kp, gains.ki, gains.kd);
+        this.ui.tuningModelsStatus.textContent = `${rule.name}: Kp=${gains.kp.toFixed(3)} Ki=${gains.ki.toFixed(3)} Kd=${gains.kd.toFixed(3)}`;
     }
 
-    // ✨ MELHORADO: Centraliza todas as atualizações de UI
-    updateUI(pv, mv) {
-        const error = this.setpoint - pv;
-        const currentTime = this.chart.data.labels.length * this.config.SIMULATION_TIMESTEP_S;
+    // Planta nova atrás de uma cópia do pipeline ao vivo (atuador, atraso, sensor e ruído).
+    // A semente da sessão repete o mesmo ruído em cada simulação, e as comparações ficam justas
+    createHeadlessPlant() {
+        return this.plant.withPlant(this.plantFactories[this.currentPlantType](), new SeededRandom(this.noiseSeed));
+    }
 
-        // Análise
+    // As simulações headless cobrem só a malha simples; com cascata ou Smith avaliariam outro controlador
+    getHeadlessStructureConflict() {
+        if (this.isCascadeActive) return 'o controle em cascata';
+        if (this.isSmithActive) return 'o preditor de Smith';
+        return null;
+    }
+
+    // Duração suficiente para a resposta se acomodar, estimada pelos modelos
+    estimateComparisonDuration(models) {
+        let duration = 30;
+        if (models.fopdt) duration = Math.max(duration, 10 * (models.fopdt.tau + models.fopdt.theta));
+        if (models.ultimate) duration = Math.max(duration, 8 * models.ultimate.Tu);
+        return Math.min(duration, 600);
+    }
+
+    compareTuningRules() {
+        const conflict = this.getHeadlessStructureConflict();
+        if (conflict) {
+            this.ui.tuningModelsStatus.textContent = `⚠️ A comparação simula só a malha simples: desligue ${conflict} para comparar as regras.`;
+            return;
+        }
+
+        const models = this.getTuningModels();
+        const duration = this.estimateComparisonDuration(models);
+        const controllerConfig = this.pid.getConfiguration().config;
+
+        const rows = getApplicableRules(models).map(rule => {
+            const gains = computeRuleGains(rule.id, models);
+            if (!gains) return { rule, gains: null };
+
+            const controller = new AdvancedPIDController(gains.kp, gains.ki, gains.kd, { ...controllerConfig });
+            const { report, diverged } = simulateClosedLoop(this.createHeadlessPlant(), controller, {
+                setpoint: this.setpoint,
+                duration,
+                dt: this.config.SIMULATION_TIMESTEP_S,
+                sampleSteps: this.controllerSampleSteps
+            });
+            return { rule, gains, report, diverged };
+        });
+
+        const valid = rows.filter(row => row.report && !row.diverged);
+        const bestIAE = valid.length > 0 ? Math.min(...valid.map(row => row.report.errorMetrics.iae)) : null;
+
+        const body = this.ui.comparisonTableBody;
+        body.innerHTML = '';
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            const fmt = (value, digits = 3) => (Number.isFinite(value) ? value.toFixed(digits) : '--');
+
+            if (!row.gains || row.diverged) {
+                tr.innerHTML = `<td>${row.rule.name}</td><td colspan="8">${row.diverged ? 'Simulação divergiu' : 'Ganhos indefinidos para este modelo'}</td>`;
+            } else {
+                const { responseMetrics, errorMetrics, controlMetrics } = row.report;
+                if (errorMetrics.iae === bestIAE) tr.className = 'best-row';
+                const settling = responseMetrics.settlingTime !== null && responseMetrics.settlingTime !== undefined
+                    ? `${responseMetrics.settlingTime.toFixed(1)}s` : '--';
+                tr.innerHTML = `
+                    <td>${row.rule.name} [${row.rule.form}]</td>
+                    <td>${fmt(row.gains.kp)}</td>
+                    <td>${fmt(row.gains.ki)}</td>
+                    <td>${fmt(row.gains.kd)}</td>
+                    <td>${fmt(Math.max(responseMetrics.overshoot, responseMetrics.undershoot), 1)}%</td>
+                    <td>${settling}</td>
+                    <td>${fmt(errorMetrics.iae, 2)}</td>
+                    <td>${fmt(controlMetrics.controlEffort, 1)}</td>
+                    <td><button class="action-button btn-secondary">Aplicar</button></td>`;
+                tr.querySelector('button').addEventListener('click', () => {
+                    this.applyTuningRule(row.rule.id);
+                    this.hideComparisonModal();
+                });
+            }
+            body.appendChild(tr);
+        });
+
+        const plantName = this.ui.plantSelector.options[this.ui.plantSelector.selectedIndex].text;
+        this.ui.comparisonDescription.textContent =
+            `Degrau até o setpoint ${this.setpoint.toFixed(1)} em ${plantName} (malha simples, com o atuador, atraso, sensor e amostragem atuais), ${duration.toFixed(0)} s simulados por regra. Destaque: menor IAE.`;
+        this.ui.comparisonModal.style.display = 'flex';
+    }
+
+    hideComparisonModal() { this.ui.comparisonModal.style.display = 'none'; }
+
+    // === OTIMIZAÇÃO NUMÉRICA DE GANHOS ===
+    setupGainOptimizer() {
+        this.ui.optimizerEffortSlider.addEventListener('input', () => {
+            this.ui.optimizerEffortValue.textContent = parseFloat(this.ui.optimizerEffortSlider.value).toFixed(2);
+        });
+        this.ui.optimizerButton.addEventListener('click', () => {
+            if (this.gainOptimizer && this.gainOptimizer.isRunning()) {
+                this.gainOptimizer.stop();
+            } else {
+                this.startGainOptimization();
+            }
+        });
+        this.ui.optimizerApplyButton.addEventListener('click', () => {
+            if (this.optimizedGains) {
+                this.setSliderGains(this.optimizedGains.kp, this.optimizedGains.ki, this.optimizedGains.kd);
+            }
+        });
+    }
+
+    startGainOptimization() {
+        // Campo vazio significa restrição desativada; texto inválido ou fora da faixa impede a partida
+        const invalid = [];
+        const readLimit = (input, name, allowZero) => {
+            // Texto não numérico chega como valor vazio; só validity o distingue de um campo em branco
+            if (input.validity?.badInput) {
+                invalid.push(name);
+                return null;
+            }
+            if (input.value.trim() === '') return null;
+            const value = Number(input.value);
+            if (!Number.isFinite(value) || value < 0 || (value === 0 && !allowZero)) invalid.push(name);
+            return value;
+        };
+        const maxOvershoot = readLimit(this.ui.optimizerMaxOvershoot, 'overshoot máximo (número ≥ 0)', true);
+        const maxOutputRate = readLimit(this.ui.optimizerMaxRate, 'taxa máxima da MV (número > 0)', false);
+        if (invalid.length > 0) {
+            this.ui.optimizerStatus.textContent = `⚠️ Restrição inválida: ${invalid.join(', ')}. Corrija ou deixe o campo vazio para desativá-la.`;
+            return;
+        }
+        const conflict = this.getHeadlessStructureConflict();
+        if (conflict) {
+            this.ui.optimizerStatus.textContent = `⚠️ A otimização simula só a malha simples: desligue ${conflict} para otimizar.`;
+            return;
+        }
+
+        this.gainOptimizer = new GainOptimizer({
+            plantFactory: () => this.createHeadlessPlant(),
+            controllerConfig: this.pid.getConfiguration().config,
+            initialGains: {
+                kp: parseFloat(this.ui.kpSlider.value),
+                ki: parseFloat(this.ui.kiSlider.value),
+                kd: parseFloat(this.ui.kdSlider.value)
+            },
+            structure: this.ui.optimizerStructure.value,
+            criterion: this.ui.optimizerCriterion.value,
+            effortWeight: parseFloat(this.ui.optimizerEffortSlider.value),
+            maxOvershoot,
+            maxOutputRate,
+            setpoint: this.setpoint,
+            duration: this.estimateComparisonDuration(this.getTuningModels()),
+            dt: this.config.SIMULATION_TIMESTEP_S,
+            sampleSteps: this.controllerSampleSteps
+        });
+
+        this.ui.optimizerButton.textContent = '⏹️ Parar Otimização';
+        this.ui.optimizerResults.style.display = 'none';
+        this.ui.optimizerProgressBar.style.width = '0%';
+
+        this.gainOptimizer.start({
+            onProgress: (progress) => this.onOptimizationProgress(progress),
+            onComplete: (result) => this.onOptimizationComplete(result)
+        });
+    }
+
+    onOptimizationProgress(progress) {
+        const { iteration, maxIterations, initialCost, bestCost, bestGains } = progress;
+        this.ui.optimizerProgressBar.style.width = `${Math.min(100, (iteration / maxIterations) * 100)}%`;
+        this.ui.optimizerStatus.textContent =
+            `Iteração ${iteration}/${maxIterations} — custo ${initialCost.toFixed(4)} → ${bestCost.toFixed(4)} ` +
+            `(Kp=${bestGains.kp.toFixed(3)} Ki=${bestGains.ki.toFixed(3)} Kd=${bestGains.kd.toFixed(3)})`;
+    }
+
+    onOptimizationComplete(result) {
+        this.ui.optimizerButton.textContent = '🎯 Otimizar Ganhos';
+        this.ui.optimizerProgressBar.style.width = '100%';
+        this.optimizedGains = result.gains;
+
+        const overshoot = Math.max(result.report.responseMetrics.overshoot, result.report.responseMetrics.undershoot);
+        const costTrend = `custo ${result.initialCost.toFixed(4)} → ${result.cost.toFixed(4)}`;
+        this.ui.optimizerStatus.textContent = result.status === 'stopped'
+            ? `Interrompida após ${result.iterations}/${this.gainOptimizer.options.maxIterations} iterações — ${costTrend}`
+            : `Convergiu em ${result.iterations} iterações — ${costTrend}`;
+        this.ui.optimizerKp.textContent = result.gains.kp.toFixed(3);
+        this.ui.optimizerKi.textContent = result.gains.ki.toFixed(3);
+        this.ui.optimizerKd.textContent = result.gains.kd.toFixed(3);
+        this.ui.optimizerOvershoot.textContent = `${overshoot.toFixed(1)}%`;
+        this.ui.optimizerFeasible.textContent = result.feasible ? 'Atendidas' : 'Violadas';
+        this.ui.optimizerResults.style.display = 'block';
+    }
+
+    // Média da MV nos últimos ~2 s: ponto de operação para ensaios
+    getRecentOutputAverage() {
+        const recentOutputs = this.analyzer.data.controlOutput.slice(-50);
+        if (recentOutputs.length === 0) return this.pid.getTerms().total;
+        return recentOutputs.reduce((sum, u) => sum + u, 0) / recentOutputs.length;
+    }
+
+    // Ajusta os sliders PID, ampliando a faixa quando o ganho calculado a excede
+    setSliderGains(kp, ki, kd) {
+        setSliderValues([[this.ui.kpSlider, kp], [this.ui.kiSlider, ki], [this.ui.kdSlider, kd]]);
+        this.ui.kpSlider.dispatchEvent(new Event('input'));
+    }
+
+    // === CONTROLE EM CASCATA ===
+    setupCascade() {
+        const updateInnerGains = () => {
+            const kp = parseFloat(this.ui.innerKpSlider.value);
+            const ki = parseFloat(this.ui.innerKiSlider.value);
+            const kd = parseFloat(this.ui.innerKdSlider.value);
+            this.ui.innerKpValue.textContent = formatGain(kp);
+            this.ui.innerKiValue.textContent = formatGain(ki);
+            this.ui.innerKdValue.textContent = formatGain(kd);
+            this.innerPid.setGains(kp, ki, kd);
+        };
+        ['input', 'change'].forEach(evt => {
+            this.ui.innerKpSlider.addEventListener(evt, updateInnerGains);
+            this.ui.innerKiSlider.addEventListener(evt, updateInnerGains);
+            this.ui.innerKdSlider.addEventListener(evt, updateInnerGains);
+        });
+
+        this.ui.cascadeButton.addEventListener('click', () => this.setCascadeActive(!this.isCascadeActive));
+        this.ui.outerModeButton.addEventListener('click', () => this.toggleLoopMode(this.pid, this.ui.outerModeButton));
+        this.ui.innerModeButton.addEventListener('click', () => this.toggleLoopMode(this.innerPid, this.ui.innerModeButton));
+    }
+
+    updateCascadeAvailability() {
+        const cascadeConfig = this.cascadeConfigs[this.currentPlantType];
+        this.ui.cascadeButton.disabled = !cascadeConfig;
+        this.ui.cascadeDescription.textContent = cascadeConfig
+            ? `Mestre: ${this.ui.plantSelector.options[this.ui.plantSelector.selectedIndex].text} → Escravo: ${cascadeConfig.innerLabel} (${cascadeConfig.innerUnits})`
+            : 'Esta planta não possui medição interna para cascata.';
+    }
+
+    setCascadeActive(isActive) {
+        const cascadeConfig = this.cascadeConfigs[this.currentPlantType];
+        if (isActive && !cascadeConfig) return;
+        if (isActive === this.isCascadeActive) return;
+        if (isActive && (this.autoTuner.isRunning() || this.stepTest.isRunning())) return;
+        if (isActive && this.isSmithActive) this.setSmithActive(false);
+
+        // O mestre passa a gerar o SP interno; a saída atual vira o ponto de partida do escravo
+        const currentOutput = this.getRecentOutputAverage();
+        this.isCascadeActive = isActive;
+        this.pid.setManualMode(false);
+        this.innerPid.setManualMode(false);
+
+        if (isActive) {
+            const [spMin, spMax] = cascadeConfig.innerSetpointRange;
+            const [outMin, outMax] = cascadeConfig.innerOutputRange;
+            this.savedSingleLoopGains = this.pid.getConfiguration().gains;
+            this.setCascadeInnerLag(cascadeConfig, true);
+
+            this.pid.setOutputLimits(spMin, spMax);
+            this.pid.setAction(cascadeConfig.outerAction);
+            this.innerPid.setOutputLimits(outMin, outMax);
+            this.innerPid.reset();
+
+            const { innerGains } = cascadeConfig;
+            [[this.ui.innerKpSlider, innerGains.kp], [this.ui.innerKiSlider, innerGains.ki], [this.ui.innerKdSlider, innerGains.kd]]
+                .forEach(([slider, value]) => { slider.max = Math.max(10, Math.ceil(5 * value)); });
+            setSliderValues([[this.ui.innerKpSlider, innerGains.kp], [this.ui.innerKiSlider, innerGains.ki], [this.ui.innerKdSlider, innerGains.kd]]);
+            this.ui.innerKpSlider.dispatchEvent(new Event('input'));
+
+            const { outerGains } = cascadeConfig;
+            this.setSliderGains(outerGains.kp, outerGains.ki, outerGains.kd);
+
+            // Partida sem salto: o escravo assume a saída atual e o mestre, a medição interna
+            this.innerPid.setManualMode(true, currentOutput);
+            this.innerPid.setManualMode(false);
+            this.pid.setManualMode(true, this.plantState[cascadeConfig.innerKey]);
+            this.pid.setManualMode(false);
+
+            this.chart.options.scales.y1.min = outMin - 0.1 * (outMax - outMin);
+            this.chart.options.scales.y1.max = outMax + 0.1 * (outMax - outMin);
+            this.chart.options.scales.y2.display = true;
+            this.chart.options.scales.y2.title.text = `${cascadeConfig.innerLabel} (${cascadeConfig.innerUnits})`;
+        } else {
+            this.setCascadeInnerLag(cascadeConfig, false);
+            this.pid.setOutputLimits(-100, 100);
+            this.pid.setAction('direct');
+            if (this.savedSingleLoopGains) {
+                const { Kp, Ki, Kd } = this.savedSingleLoopGains;
+                this.setSliderGains(Kp, Ki, Kd);
+            }
+            this.pid.setManualMode(true, currentOutput);
+            this.pid.setManualMode(false);
+
+            this.chart.options.scales.y1.min = -110;
+            this.chart.options.scales.y1.max = 110;
+            this.chart.options.scales.y2.display = false;
+        }
+
+        this.cascade.isOuterTracking = false;
+        this.updateLoopModeButton(this.ui.outerModeButton, false);
+        this.updateLoopModeButton(this.ui.innerModeButton, false);
+        this.chart.data.datasets[7].hidden = !isActive;
+        this.chart.data.datasets[8].hidden = !isActive;
+        this.ui.cascadeControls.style.display = isActive ? 'block' : 'none';
+        this.updateToggleButtonState(this.ui.cascadeButton, isActive);
+    }
+
+    // Alterna Auto/Manual de uma das malhas, congelando a saída atual
+    toggleLoopMode(controller, button) {
+        if (!this.isCascadeActive) return;
+        const isManual = !controller.getConfiguration().state.isManual;
+        controller.setManualMode(isManual, controller.getTerms().total);
+        this.updateLoopModeButton(button, isManual);
+    }
+
+    updateLoopModeButton(button, isManual) {
+        const badge = button.querySelector('.status-badge');
+        badge.textContent = isManual ? 'Manual' : 'Auto';
+        badge.classList.replace(isManual ? 'status-active' : 'status-inactive', isManual ? 'status-inactive' : 'status-active');
+    }
+
+    // === FEEDFORWARD ===
+    setupFeedforward() {
+        const applySettings = () => {
+            this.pid.setFeedforward(
+                parseFloat(this.ui.feedforwardGain.value) || 0,
+                Math.max(0, parseFloat(this.ui.feedforwardLead.value) || 0),
+                Math.max(0, parseFloat(this.ui.feedforwardLag.value) || 0)
+            );
+        };
+        [this.ui.feedforwardGain, this.ui.feedforwardLead, this.ui.feedforwardLag].forEach(input => {
+            input.addEventListener('change', applySettings);
+        });
+        this.ui.feedforwardSignal.addEventListener('change', () => {
+            this.feedforwardSignal = this.ui.feedforwardSignal.value;
+        });
+        this.ui.feedforwardButton.addEventListener('click', () => {
+            const isEnabled = !this.pid.getConfiguration().config.feedforwardEnabled;
+            this.pid.enableFeedforward(isEnabled);
+            this.updateToggleButtonState(this.ui.feedforwardButton, isEnabled);
+        });
+    }
+
+    // Lista os sinais numéricos retornados pela planta, pré-selecionando o sugerido
+    updateFeedforwardSignals() {
+        const feedforwardConfig = this.feedforwardConfigs[this.currentPlantType];
+        const signals = Object.keys(this.plantState)
+            .filter(key => !['processVariable', 'trueProcessVariable', 'actualOutput', 'actuatorPosition'].includes(key));
+
+        this.ui.feedforwardSignal.innerHTML = '';
+        signals.forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key;
+            this.ui.feedforwardSignal.appendChild(option);
+        });
+        this.feedforwardSignal = signals.includes(feedforwardConfig.signal) ? feedforwardConfig.signal : signals[0];
+        this.ui.feedforwardSignal.value = this.feedforwardSignal;
+
+        this.ui.feedforwardGain.value = feedforwardConfig.gain;
+        this.ui.feedforwardGain.dispatchEvent(new Event('change'));
+    }
+
+    readDisturbanceSignal() {
+        const value = this.plantState[this.feedforwardSignal];
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    // === PREDITOR DE SMITH ===
+    setupSmithPredictor() {
+        [
+            [this.ui.smithMismatchKSlider, this.ui.smithMismatchKValue],
+            [this.ui.smithMismatchTauSlider, this.ui.smithMismatchTauValue],
+            [this.ui.smithMismatchThetaSlider, this.ui.smithMismatchThetaValue]
+        ].forEach(([slider, display]) => {
+            slider.addEventListener('input', () => {
+                display.textContent = `${parseFloat(slider.value).toFixed(2)}×`;
+                this.applySmithModel();
+            });
+        });
+        [this.ui.smithModelK, this.ui.smithModelTau, this.ui.smithModelTheta].forEach(input => {
+            input.addEventListener('change', () => this.applySmithModel());
+        });
+
+        this.ui.smithUseFopdtButton.addEventListener('click', () => {
+            if (!this.identifiedModel) return;
+            const { fopdt } = this.identifiedModel;
+            this.ui.smithModelK.value = fopdt.K.toPrecision(4);
+            this.ui.smithModelTau.value = fopdt.tau.toPrecision(4);
+            this.ui.smithModelTheta.value = fopdt.theta.toPrecision(4);
+            this.applySmithModel();
+        });
+        this.ui.smithButton.addEventListener('click', () => this.setSmithActive(!this.isSmithActive));
+        this.applySmithModel();
+    }
+
+    // Modelo interno = modelo informado × fatores de erro (1× = modelo perfeito)
+    getSmithModel() {
+        const read = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        return {
+            K: read(this.ui.smithModelK, 1) * parseFloat(this.ui.smithMismatchKSlider.value),
+            tau: Math.max(0, read(this.ui.smithModelTau, 1)) * parseFloat(this.ui.smithMismatchTauSlider.value),
+            theta: Math.max(0, read(this.ui.smithModelTheta, 0)) * parseFloat(this.ui.smithMismatchThetaSlider.value)
+        };
+    }
+
+    applySmithModel() {
+        const model = this.getSmithModel();
+        this.smithPredictor.setModel(model);
+        this.ui.smithEffectiveModel.textContent = `K=${model.K.toPrecision(3)} τ=${model.tau.toFixed(2)}s θ=${model.theta.toFixed(2)}s`;
+    }
+
+    updateSmithModelSource() {
+        const hasModel = this.identifiedModel && this.identifiedModel.plantType === this.currentPlantType;
+        this.ui.smithUseFopdtButton.disabled = !hasModel;
+    }
+
+    /**
+     * Com a inércia padrão nula a medição interna é cópia da MV do escravo e a cascata não mostra nada:
+     * ao ligar, a planta recebe a inércia da config; ao desligar, volta ao valor anterior.
+     * Uma inércia escolhida pelo usuário (não nula) é mantida.
+     */
+    setCascadeInnerLag(cascadeConfig, isActive) {
+        const lag = cascadeConfig?.innerLag;
+        if (!lag) return;
+        const type = this.currentPlantType;
+        let value;
+        if (isActive) {
+            if (this.plantParameters[type][lag.key] > 0) return;
+            this.savedInnerLag = { key: lag.key, value: this.plantParameters[type][lag.key] };
+            value = lag.value;
+        } else {
+            // Se o usuário mexeu na inércia com a cascata ligada, o valor dele fica
+            if (!this.savedInnerLag || this.plantParameters[type][lag.key] !== lag.value) {
+                this.savedInnerLag = null;
+                return;
+            }
+            value = this.savedInnerLag.value;
+            this.savedInnerLag = null;
+        }
+
+        this.plant.plant[lag.key] = value;
+        this.plantParameters[type][lag.key] = value;
+        if (this.pendingPlantParameters[type]) this.pendingPlantParameters[type][lag.key] = value;
+        this.invalidatePlantModels();
+        this.renderPlantParameters();
+    }
+
+    setSmithActive(isActive) {
+        if (isActive === this.isSmithActive) return;
+        if (isActive && (this.autoTuner.isRunning() || this.stepTest.isRunning())) return;
+        if (isActive && this.isCascadeActive) this.setCascadeActive(false);
+
+        // O modelo parte do regime da saída atual para que a correção comece nula
+        if (isActive) this.smithPredictor.initialize(this.getRecentOutputAverage());
+
+        this.isSmithActive = isActive;
+        this.chart.data.datasets[10].hidden = !isActive;
+        this.updateToggleButtonState(this.ui.smithButton, isActive);
+    }
+
+    // === ESCALONAMENTO DE GANHOS ===
+    setupGainScheduling() {
+        this.ui.scheduleButton.addEventListener('click', () => this.setScheduleActive(!this.isScheduleActive));
+        this.ui.scheduleVariable.addEventListener('change', () => this.applyGainSchedule());
+        this.ui.scheduleAddButton.addEventListener('click', () => {
+            const last = this.scheduleBreakpoints[this.scheduleBreakpoints.length - 1];
+            const gains = this.pid.getConfiguration().gains;
+            this.scheduleBreakpoints.push(last
+                ? { ...last, value: last.value + 1 }
+                : { value: this.setpoint, kp: gains.Kp, ki: gains.Ki, kd: gains.Kd });
+            this.renderScheduleTable();
+            this.applyGainSchedule();
+        });
+
+        // Delegação: a tabela é recriada ao trocar de planta ou adicionar pontos
+        this.ui.scheduleTableBody.addEventListener('change', (event) => {
+            const { index, key } = event.target.dataset;
+            const value = parseFloat(event.target.value);
+            if (index === undefined || !Number.isFinite(value)) return;
+            this.scheduleBreakpoints[index][key] = value;
+            // O controlador indexa os pontos em ordem crescente; a tabela segue a mesma ordem
+            if (key === 'value') this.sortScheduleTable();
+            this.applyGainSchedule();
+        });
+        this.ui.scheduleTableBody.addEventListener('click', (event) => {
+            if (!event.target.classList.contains('remove-breakpoint')) return;
+            this.scheduleBreakpoints.splice(parseInt(event.target.dataset.index, 10), 1);
+            this.renderScheduleTable();
+            this.applyGainSchedule();
+        });
+    }
+
+    // Tabela inicial: três pontos cobrindo a faixa da planta com os ganhos atuais
+    resetGainSchedule() {
+        const config = this.plantConfigs[this.currentPlantType];
+        const { Kp, Ki, Kd } = this.pid.getConfiguration().gains;
+        this.scheduleBreakpoints = [config.min, (config.min + config.max) / 2, config.max]
+            .map(value => ({ value, kp: Kp, ki: Ki, kd: Kd }));
+
+        const selector = this.ui.scheduleVariable;
+        selector.innerHTML = '';
+        [['setpoint', 'Setpoint'], ['pv', 'Variável de processo (PV)']]
+            .concat(Object.keys(this.plantState)
+                .filter(key => !['processVariable', 'trueProcessVariable', 'actualOutput', 'actuatorPosition'].includes(key))
+                .map(key => [`plant:${key}`, `Planta: ${key}`]))
+            .forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                selector.appendChild(option);
+            });
+
+        this.renderScheduleTable();
+    }
+
+    sortScheduleTable() {
+        const sorted = [...this.scheduleBreakpoints].sort((a, b) => a.value - b.value);
+        if (sorted.every((point, index) => point === this.scheduleBreakpoints[index])) return;
+        this.scheduleBreakpoints = sorted;
+        this.renderScheduleTable();
+    }
+
+    renderScheduleTable() {
+        const body = this.ui.scheduleTableBody;
+        body.innerHTML = '';
+        this.activeScheduleRegion = null;
+
+        this.scheduleBreakpoints.forEach((point, index) => {
+            const row = document.createElement('tr');
+            ['value', 'kp', 'ki', 'kd'].forEach(key => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = 'any';
+                input.className = 'modern-input';
+                input.value = parseFloat(point[key].toPrecision(4));
+                input.dataset.index = index;
+                input.dataset.key = key;
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+
+            const removeCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.className = 'remove-breakpoint';
+            removeButton.textContent = '✕';
+            removeButton.title = 'Remover ponto';
+            removeButton.dataset.index = index;
+            removeCell.appendChild(removeButton);
+            row.appendChild(removeCell);
+
+            body.appendChild(row);
+        });
+    }
+
+    // SP e PV são lidos pelo próprio controlador; saídas da planta são repassadas a cada passo
+    getScheduleVariable() {
+        const selected = this.ui.scheduleVariable.value;
+        return selected.startsWith('plant:') ? 'external' : selected;
+    }
+
+    applyGainSchedule() {
+        if (!this.isScheduleActive) return;
+        this.pid.setGainSchedule({ variable: this.getScheduleVariable(), breakpoints: this.scheduleBreakpoints });
+    }
+
+    setScheduleActive(isActive) {
+        if (isActive === this.isScheduleActive) return;
+        this.isScheduleActive = isActive;
+
+        if (isActive) {
+            this.applyGainSchedule();
+        } else {
+            // Volta aos ganhos fixos dos sliders
+            this.pid.setGainSchedule(null);
+            this.ui.kpSlider.dispatchEvent(new Event('input'));
+            this.ui.scheduleCurrentValue.textContent = '--';
+            this.ui.scheduleRegion.textContent = '--';
+            this.ui.scheduleGains.textContent = '--';
+            this.highlightScheduleRegion(null);
+        }
+
+        [this.ui.kpSlider, this.ui.kiSlider, this.ui.kdSlider].forEach(slider => { slider.disabled = isActive; });
+        this.updateToggleButtonState(this.ui.scheduleButton, isActive);
+    }
+
+    readScheduleInput() {
+        const selected = this.ui.scheduleVariable.value;
+        if (!selected.startsWith('plant:')) return;
+        const value = this.plantState[selected.slice('plant:'.length)];
+        if (Number.isFinite(value)) this.pid.setScheduleInput(value);
+    }
+
+    highlightScheduleRegion(status) {
+        const region = status ? `${status.lower}-${status.upper}` : null;
+        if (region === this.activeScheduleRegion) return;
+        this.activeScheduleRegion = region;
+
+        [...this.ui.scheduleTableBody.rows].forEach((row, index) => {
+            row.classList.toggle('active-row', status !== null && (index === status.lower || index === status.upper));
+        });
+    }
+
+    updateScheduleDisplay() {
+        const status = this.pid.getScheduleStatus();
+        if (!status) return;
+
+        const lastIndex = this.pid.getConfiguration().config.gainSchedule.breakpoints.length - 1;
+        let region;
+        if (status.lower !== status.upper) {
+            region = `Pontos ${status.lower + 1}–${status.upper + 1}`;
+        } else {
+            region = status.lower === 0 ? 'Abaixo do ponto 1' : `Acima do ponto ${lastIndex + 1}`;
+        }
+        if (lastIndex === 0) region = 'Ponto único';
+
+        this.ui.scheduleCurrentValue.textContent = formatGain(status.value);
+        this.ui.scheduleRegion.textContent = region;
+        this.ui.scheduleGains.textContent = `${formatGain(status.kp)} / ${formatGain(status.ki)} / ${formatGain(status.kd)}`;
+        this.highlightScheduleRegion(status);
+    }
+
+    createPipeline(plant) {
+        return new PlantPipeline(plant, { random: this.random });
+    }
+
+    // === PLANTA LINEAR ===
+    setupLinearPlant() {
+        Object.entries(LINEAR_PLANT_EXAMPLES).forEach(([key, example]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = example.name;
+            this.ui.linearExample.appendChild(option);
+        });
+        this.ui.linearExample.value = 'thirdOrder';
+
+        this.ui.linearExample.addEventListener('change', () => {
+            const example = LINEAR_PLANT_EXAMPLES[this.ui.linearExample.value];
+            if (!example) return;
+            this.ui.linearModelType.value = 'tf';
+            this.ui.linearNumerator.value = example.numerator.join(' ');
+            this.ui.linearDenominator.value = example.denominator.join(' ');
+            this.ui.linearDeadTime.value = example.deadTime;
+            this.updateLinearModelInputs();
+            this.applyLinearPlant();
+        });
+        this.ui.linearModelType.addEventListener('change', () => this.updateLinearModelInputs());
+        [this.ui.linearNumerator, this.ui.linearDenominator, this.ui.linearMatrixA, this.ui.linearMatrixB,
+            this.ui.linearMatrixC, this.ui.linearMatrixD, this.ui.linearDeadTime].forEach(input => {
+            input.addEventListener('input', () => { this.ui.linearExample.value = ''; });
+        });
+        this.ui.linearApplyButton.addEventListener('click', () => this.applyLinearPlant());
+    }
+
+    updateLinearModelInputs() {
+        const isStateSpace = this.ui.linearModelType.value === 'ss';
+        this.ui.linearTfInputs.style.display = isStateSpace ? 'none' : 'block';
+        this.ui.linearSsInputs.style.display = isStateSpace ? 'block' : 'none';
+    }
+
+    readLinearPlantParams() {
+        const params = {
+            type: this.ui.linearModelType.value,
+            deadTime: Math.max(0, parseFloat(this.ui.linearDeadTime.value) || 0),
+            inputMin: this.linearPlantParams.inputMin,
+            inputMax: this.linearPlantParams.inputMax
+        };
+        if (params.type === 'ss') {
+            params.A = parseMatrix(this.ui.linearMatrixA.value);
+            params.B = parseMatrix(this.ui.linearMatrixB.value);
+            params.C = parseMatrix(this.ui.linearMatrixC.value);
+            params.D = this.ui.linearMatrixD.value.trim() ? parseMatrix(this.ui.linearMatrixD.value) : [[0]];
+        } else {
+            params.numerator = parsePolynomial(this.ui.linearNumerator.value);
+            params.denominator = parsePolynomial(this.ui.linearDenominator.value);
+        }
+        return params;
+    }
+
+    // Faixa do gráfico = faixa de PV alcançável em regime com a MV saturada
+    getLinearPlantConfig(plant) {
+        const gain = plant.getSteadyStateGain();
+        const reach = Number.isFinite(gain) && gain !== 0
+            ? [gain * plant.inputMin, gain * plant.inputMax]
+            : [plant.inputMin, plant.inputMax];
+        const min = Math.min(0, ...reach);
+        const max = Math.max(0, ...reach);
+        return {
+            setpoint: max > 0 ? max / 2 : min / 2,
+            min,
+            max,
+            disturbance: { type: 'input', value: -0.2 * plant.inputMax },
+            units: '',
+            mvUnits: ''
+        };
+    }
+
+    applyLinearPlant() {
+        let plant;
+        try {
+            const params = this.readLinearPlantParams();
+            plant = new LinearSystemPlant(params);
+            plant.update(0, this.config.SIMULATION_TIMESTEP_S); // Valida a discretização antes de trocar a planta
+            plant.reset();
+            this.linearPlantParams = params;
+        } catch (error) {
+            this.ui.linearStatus.textContent = `❌ ${error.message}`;
+            return;
+        }
+
+        this.plants.linear = this.createPipeline(plant);
+        this.plantConfigs.linear = this.getLinearPlantConfig(plant);
+        // Modelos identificados e ponto último referem-se à planta anterior
+        if (this.identifiedModel && this.identifiedModel.plantType === 'linear') this.identifiedModel = null;
+        if (this.ultimatePoint && this.ultimatePoint.plantType === 'linear') this.ultimatePoint = null;
+
+        const gain = plant.getSteadyStateGain();
+        this.ui.linearStatus.textContent = `✅ Ordem ${plant.order}, ganho estático ${Number.isFinite(gain) ? gain.toPrecision(3) : '∞ (integradora)'}`;
+
+        this.ui.plantSelector.value = 'linear';
+        this.switchPlant('linear');
+    }
+
+    // === RUÍDO DE MEDIÇÃO ===
+    readSessionSeed() {
+        const seed = parseInt(new URLSearchParams(window.location.search).get('seed'), 10);
+        return Number.isInteger(seed) && seed >= 0 ? seed : SeededRandom.randomSeed();
+    }
+
+    setupMeasurementNoise() {
+        this.ui.noiseSeed.value = this.noiseSeed;
+        this.writeSessionSeed();
+
+        this.ui.noiseSeed.addEventListener('change', () => {
+            const seed = parseInt(this.ui.noiseSeed.value, 10);
+            if (Number.isInteger(seed) && seed >= 0) {
+                this.setNoiseSeed(seed);
+            } else {
+                this.ui.noiseSeed.value = this.noiseSeed;
+            }
+        });
+        this.ui.noiseNewSeedButton.addEventListener('click', () => this.setNoiseSeed(SeededRandom.randomSeed()));
+
+        // Delegação: a tabela é recriada ao trocar de planta
+        this.ui.noiseTableBody.addEventListener('change', (event) => {
+            const { model, param } = event.target.dataset;
+            if (!model) return;
+            const settings = this.noiseSettings[model];
+            if (param) {
+                const value = parseFloat(event.target.value);
+                if (!Number.isFinite(value) || value < 0) return;
+                settings.params[param] = value;
+            } else {
+                settings.enabled = event.target.checked;
+            }
+            this.applyNoiseModel(model);
+        });
+    }
+
+    writeSessionSeed() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.noiseSeed);
+        window.history.replaceState(null, '', url);
+    }
+
+    // A corrida recomeça para que a nova semente produza a sequência completa desde t = 0
+    setNoiseSeed(seed) {
+        this.noiseSeed = seed >>> 0;
+        this.ui.noiseSeed.value = this.noiseSeed;
+        this.writeSessionSeed();
+        this.resetSimulation();
+    }
+
+    // Parâmetros padrão proporcionais à faixa da planta; os modelos ligados continuam ligados
+    resetNoiseSettings() {
+        const config = this.plantConfigs[this.currentPlantType];
+        const span = config.max - config.min;
+        Object.entries(NOISE_MODELS).forEach(([key, definition]) => {
+            const params = {};
+            definition.params.forEach(param => {
+                params[param.key] = param.spanFraction !== undefined ? parseFloat((param.spanFraction * span).toPrecision(2)) : param.value;
+            });
+            this.noiseSettings[key] = { enabled: this.noiseSettings[key] ? this.noiseSettings[key].enabled : false, params };
+            this.applyNoiseModel(key);
+        });
+        this.renderNoiseTable();
+    }
+
+    applyNoiseModel(key) {
+        const { enabled, params } = this.noiseSettings[key];
+        this.plant.setNoiseModel(key, enabled, params);
+    }
+
+    renderNoiseTable() {
+        const body = this.ui.noiseTableBody;
+        body.innerHTML = '';
+
+        Object.entries(NOISE_MODELS).forEach(([key, definition]) => {
+            const settings = this.noiseSettings[key];
+            const row = document.createElement('tr');
+
+            const nameCell = document.createElement('td');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = settings.enabled;
+            checkbox.dataset.model = key;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(definition.name));
+            nameCell.appendChild(label);
+            row.appendChild(nameCell);
+
+            const paramsCell = document.createElement('td');
+            definition.params.forEach(param => {
+                const paramLabel = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.step = 'any';
+                input.className = 'modern-input';
+                input.value = settings.params[param.key];
+                input.dataset.model = key;
+                input.dataset.param = param.key;
+                paramLabel.appendChild(document.createTextNode(param.label));
+                paramLabel.appendChild(input);
+                paramsCell.appendChild(paramLabel);
+            });
+            row.appendChild(paramsCell);
+
+            body.appendChild(row);
+        });
+    }
+
+    // === ATUADOR ===
+    setupActuator() {
+        Object.entries(ACTUATOR_PRESETS).forEach(([key, preset]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.name;
+            this.ui.actuatorPreset.appendChild(option);
+        });
+        this.ui.actuatorPreset.value = 'ideal';
+
+        this.ui.actuatorPreset.addEventListener('change', () => {
+            const preset = ACTUATOR_PRESETS[this.ui.actuatorPreset.value];
+            if (!preset) return;
+            const params = { ...ACTUATOR_PARAMETERS, ...preset.params };
+            Object.entries(this.ui.actuatorInputs).forEach(([key, input]) => { input.value = params[key]; });
+            this.applyActuatorParams();
+        });
+        Object.values(this.ui.actuatorInputs).forEach(input => input.addEventListener('change', () => {
+            this.ui.actuatorPreset.value = '';
+            this.applyActuatorParams();
+        }));
+    }
+
+    // Campos inválidos ou negativos contam como 0 (não linearidade desligada)
+    readActuatorParams() {
+        const params = {};
+        Object.entries(this.ui.actuatorInputs).forEach(([key, input]) => {
+            const value = parseFloat(input.value);
+            params[key] = Number.isFinite(value) && value > 0 ? value : 0;
+        });
+        return params;
+    }
+
+    applyActuatorParams() {
+        this.plant.setActuatorParams(this.readActuatorParams());
+        this.chart.data.datasets[11].hidden = !this.plant.actuator.isActive();
+    }
+
+    // === MALHAS MIMO ===
+    setupMimo() {
+        this.ui.mimoConfiguration.addEventListener('change', () => {
+            const flowSplit = this.mimoConfigs.quadTank.flowSplits[this.ui.mimoConfiguration.value];
+            if (!flowSplit) return;
+            [this.ui.mimoGamma1.value, this.ui.mimoGamma2.value] = flowSplit;
+            this.applyFlowSplit();
+        });
+        [this.ui.mimoGamma1, this.ui.mimoGamma2].forEach(input => input.addEventListener('change', () => {
+            this.ui.mimoConfiguration.value = '';
+            this.applyFlowSplit();
+        }));
+
+        this.ui.mimoSetpointSlider.addEventListener('input', () => {
+            this.secondarySetpoint = parseFloat(this.ui.mimoSetpointSlider.value);
+            this.ui.mimoSetpointValue.textContent = `${this.secondarySetpoint.toFixed(1)} cm`;
+        });
+
+        const updateSecondaryGains = () => {
+            const kp = parseFloat(this.ui.mimoKpSlider.value);
+            const ki = parseFloat(this.ui.mimoKiSlider.value);
+            const kd = parseFloat(this.ui.mimoKdSlider.value);
+            this.ui.mimoKpValue.textContent = formatGain(kp);
+            this.ui.mimoKiValue.textContent = formatGain(ki);
+            this.ui.mimoKdValue.textContent = formatGain(kd);
+            this.secondaryPid.setGains(kp, ki, kd);
+        };
+        ['input', 'change'].forEach(evt => {
+            this.ui.mimoKpSlider.addEventListener(evt, updateSecondaryGains);
+            this.ui.mimoKiSlider.addEventListener(evt, updateSecondaryGains);
+            this.ui.mimoKdSlider.addEventListener(evt, updateSecondaryGains);
+        });
+
+        this.ui.mimoDecoupler.addEventListener('change', () => {
+            this.updateDecouplerModel();
+            this.decoupler.setMode(this.ui.mimoDecoupler.value);
+        });
+
+        const { secondarySetpoint, secondaryGains } = this.mimoConfigs.quadTank;
+        this.ui.mimoSetpointSlider.value = secondarySetpoint;
+        this.ui.mimoSetpointSlider.dispatchEvent(new Event('input'));
+        setSliderValues([[this.ui.mimoKpSlider, secondaryGains.kp], [this.ui.mimoKiSlider, secondaryGains.ki], [this.ui.mimoKdSlider, secondaryGains.kd]]);
+        updateSecondaryGains();
+        this.applyFlowSplit();
+    }
+
+    isMimoPlant() {
+        return Boolean(this.mimoConfigs[this.currentPlantType]);
+    }
+
+    // Valores fora de [0, 1] são limitados; a troca vale de imediato, sem reiniciar a simulação
+    applyFlowSplit() {
+        const readSplit = (input) => {
+            const value = parseFloat(input.value);
+            const gamma = Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : 0.5;
+            input.value = gamma;
+            return gamma;
+        };
+        this.plants.quadTank.plant.setFlowSplit(readSplit(this.ui.mimoGamma1), readSplit(this.ui.mimoGamma2));
+        this.updateDecouplerModel();
+    }
+
+    // Desacoplador projetado pela linearização no ponto de operação atual
+    updateDecouplerModel() {
+        const { gain, timeConstants } = this.plants.quadTank.plant.getLinearization();
+        this.decoupler.setModel({
+            d12: -gain[0][1] / gain[0][0],
+            d21: -gain[1][0] / gain[1][1],
+            lag12: timeConstants[2], // G12/G11 = tanque 3
+            lag21: timeConstants[3]  // G21/G22 = tanque 4
+        });
+    }
+
+    // Saída secundária e entradas da planta após o desacoplador; a bomba 2 segue pelo segundo canal do
+    // pipeline (atuador e atraso). Retorna a MV que segue para o canal principal
+    applySecondaryLoop(mv, dt) {
+        const [u1, u2] = this.decoupler.apply(mv, this.heldSecondaryOutput, dt);
+        this.plant.setSecondaryInput(u2);
+        return u1;
+    }
+
+    updateMimoDisplay() {
+        const mimoConfig = this.mimoConfigs[this.currentPlantType];
+        const [gamma1, gamma2] = this.plant.plant.flowSplit;
+
+        this.ui.mimoPv2.textContent = `${this.plantState[mimoConfig.secondaryKey].toFixed(2)} ${mimoConfig.secondaryUnits}`;
+        this.ui.mimoPumps.textContent = `${this.plantState.actualOutput.toFixed(1)} % / ${this.plantState[mimoConfig.secondaryOutputKey].toFixed(1)} %`;
+        const [[l11, l12], [l21, l22]] = relativeGainArray(this.plant.plant.getLinearization().gain);
+        this.ui.mimoRga.textContent = `[${formatGain(l11)} ${formatGain(l12)}; ${formatGain(l21)} ${formatGain(l22)}]`;
+        // O zero multivariável troca de semiplano quando γ1 + γ2 atravessa 1
+        const splitSum = gamma1 + gamma2;
+        this.ui.mimoPhase.textContent = splitSum > 1 ? 'Fase mínima (SPE)' : splitSum < 1 ? 'Fase não mínima (SPD)' : 'Na origem';
+    }
+
+    // === PERFIL DA ESTRADA ===
+    setupRoadProfile() {
+        Object.entries(ROAD_GRADE_PROFILES).forEach(([key, profile]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = profile.name;
+            this.ui.roadProfilePreset.appendChild(option);
+        });
+        this.ui.roadProfilePreset.value = 'rollingHills';
+
+        this.ui.roadProfilePreset.addEventListener('change', () => {
+            const profile = ROAD_GRADE_PROFILES[this.ui.roadProfilePreset.value];
+            if (!profile) return;
+            this.roadGradeProfile = profile.points.map(point => ({ ...point }));
+            this.renderRoadProfileTable();
+            this.applyRoadProfile();
+        });
+        this.ui.roadProfileAddButton.addEventListener('click', () => {
+            const last = this.roadGradeProfile[this.roadGradeProfile.length - 1];
+            this.roadGradeProfile.push(last ? { distance: last.distance + 500, grade: last.grade } : { distance: 0, grade: 0 });
+            this.ui.roadProfilePreset.value = '';
+            this.renderRoadProfileTable();
+            this.applyRoadProfile();
+        });
+
+        // Delegação: a tabela é recriada ao trocar de percurso ou adicionar pontos
+        this.ui.roadProfileBody.addEventListener('change', (event) => {
+            const { index, key } = event.target.dataset;
+            const value = parseFloat(event.target.value);
+            if (index === undefined || !Number.isFinite(value)) return;
+            this.roadGradeProfile[index][key] = value;
+            this.ui.roadProfilePreset.value = '';
+            this.applyRoadProfile();
+        });
+        this.ui.roadProfileBody.addEventListener('click', (event) => {
+            if (!event.target.classList.contains('remove-breakpoint')) return;
+            this.roadGradeProfile.splice(parseInt(event.target.dataset.index, 10), 1);
+            this.ui.roadProfilePreset.value = '';
+            this.renderRoadProfileTable();
+            this.applyRoadProfile();
+        });
+
+        this.renderRoadProfileTable();
+    }
+
+    renderRoadProfileTable() {
+        const body = this.ui.roadProfileBody;
+        body.innerHTML = '';
+
+        this.roadGradeProfile.forEach((point, index) => {
+            const row = document.createElement('tr');
+            ['distance', 'grade'].forEach(key => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = 'any';
+                input.className = 'modern-input';
+                input.value = point[key];
+                input.dataset.index = index;
+                input.dataset.key = key;
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+
+            const removeCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.className = 'remove-breakpoint';
+            removeButton.textContent = '✕';
+            removeButton.title = 'Remover ponto';
+            removeButton.dataset.index = index;
+            removeCell.appendChild(removeButton);
+            row.appendChild(removeCell);
+
+            body.appendChild(row);
+        });
+    }
+
+    // O veículo segue na posição atual; só o relevo à frente muda
+    applyRoadProfile() {
+        this.plants.cruise.plant.setGradeProfile(this.roadGradeProfile);
+    }
+
+    updateRoadDisplay() {
+        const { distance, grade, gradeForce } = this.plantState;
+        this.ui.roadDistance.textContent = `${(distance / 1000).toFixed(2)} km`;
+        this.ui.roadGrade.textContent = `${grade.toFixed(1)} %`;
+        this.ui.roadGradeForce.textContent = `${gradeForce.toFixed(0)} N`;
+    }
+
+    // === SERVO DE POSIÇÃO ===
+    setupServo() {
+        [this.ui.servoEncoderCpr, this.ui.servoBacklash].forEach(input => input.addEventListener('change', () => this.applyServoParams()));
+    }
+
+    applyServoParams() {
+        const countsPerRev = Math.max(0, Math.round(parseFloat(this.ui.servoEncoderCpr.value) || 0));
+        const backlash = Math.max(0, parseFloat(this.ui.servoBacklash.value) || 0);
+        this.ui.servoEncoderCpr.value = countsPerRev;
+        this.ui.servoBacklash.value = backlash;
+        this.servoParams = { countsPerRev, backlash };
+
+        const servo = this.plants.servo.plant;
+        servo.setEncoderResolution(countsPerRev);
+        servo.setBacklash(backlash);
+    }
+
+    updateServoDisplay() {
+        const { current, gearDeflection, atEndStop } = this.plantState;
+        this.ui.servoCurrent.textContent = `${current.toFixed(2)} A`;
+        this.ui.servoDeflection.textContent = `${gearDeflection.toFixed(2)} °`;
+        this.ui.servoEndStop.textContent = atEndStop ? 'Encostado' : 'Livre';
+    }
+
+    // === PARÂMETROS DA PLANTA ===
+    setupPlantParameters() {
+        this.ui.plantVariant.addEventListener('change', () => this.loadPlantVariant(this.ui.plantVariant.value));
+        this.ui.plantParamsApplyMode.addEventListener('change', () => this.editPlantParameters());
+        // Delegação: a tabela é recriada a cada troca de planta e a cada reinício
+        this.ui.plantParamsBody.addEventListener('change', () => {
+            this.ui.plantVariant.value = '';
+            this.editPlantParameters();
+        });
+        this.ui.plantParamsResetButton.addEventListener('click', () => this.resetSimulation());
+        this.ui.plantVariantSaveButton.addEventListener('click', () => this.savePlantVariant());
+        this.ui.plantVariantDeleteButton.addEventListener('click', () => this.deletePlantVariant());
+    }
+
+    // Cópia dos valores em vigor para as fábricas; a planta linear tem editor próprio
+    getPlantParameters(type) {
+        return cloneParameters(this.plantParameters[type] || {});
+    }
+
+    // Valores mostrados na tabela: os em vigor com as alterações que esperam o reinício
+    getEditedPlantParameters() {
+        const type = this.currentPlantType;
+        return cloneParameters(this.pendingPlantParameters[type] || this.plantParameters[type] || {});
+    }
+
+    renderPlantVariants() {
+        const select = this.ui.plantVariant;
+        select.innerHTML = '';
+        const choices = [['', 'Personalizado'], ['factory', '🏭 Valores de fábrica']];
+        this.plantVariants.list(this.currentPlantType).forEach(name => choices.push([`variant:${name}`, name]));
+        choices.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        const isFactory = JSON.stringify(this.getEditedPlantParameters()) === JSON.stringify(this.defaultPlantParameters[this.currentPlantType]);
+        select.value = isFactory ? 'factory' : '';
+    }
+
+    renderPlantParameters() {
+        const schema = getParameterSchema(this.plant.plant);
+        const values = this.getEditedPlantParameters();
+        const body = this.ui.plantParamsBody;
+        body.innerHTML = '';
+
+        schema.forEach(field => {
+            const row = document.createElement('tr');
+            row.dataset.param = parameterId(field);
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = field.apply === 'reset' ? `${field.label} ↺` : field.label;
+            nameCell.title = field.apply === 'reset' ? `${field.description} (vale a partir do próximo reinício)` : field.description;
+            row.appendChild(nameCell);
+
+            const valueCell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = field.integer ? '1' : 'any';
+            if (field.min !== undefined) input.min = field.min;
+            if (field.max !== undefined) input.max = field.max;
+            input.className = 'modern-input';
+            input.value = readParameter(values, field);
+            input.dataset.param = parameterId(field);
+            valueCell.appendChild(input);
+            row.appendChild(valueCell);
+
+            const unitsCell = document.createElement('td');
+            unitsCell.textContent = field.units;
+            row.appendChild(unitsCell);
+
+            body.appendChild(row);
+        });
+        this.updatePlantParameterStatus({});
+    }
+
+    // Campos vazios ficam como NaN para que a validação os aponte
+    readPlantParameterInputs() {
+        const schema = getParameterSchema(this.plant.plant);
+        const values = this.getEditedPlantParameters();
+        this.ui.plantParamsBody.querySelectorAll('input').forEach(input => {
+            const field = schema.find(item => parameterId(item) === input.dataset.param);
+            writeParameter(values, field, input.value.trim() === '' ? NaN : Number(input.value));
+        });
+        return values;
+    }
+
+    /**
+     * Valida a tabela inteira e aplica o que puder: ao vivo, os campos sem ↺ vão direto
+     * para a planta; o resto fica pendente até o próximo reinício.
+     */
+    editPlantParameters(values = this.readPlantParameterInputs()) {
+        const type = this.currentPlantType;
+        const plant = this.plant.plant;
+        const errors = validateParameters(plant.constructor, values);
+        if (Object.keys(errors).length > 0) {
+            this.updatePlantParameterStatus(errors);
+            return;
+        }
+
+        const applied = this.plantParameters[type];
+        const changed = getParameterSchema(plant).filter(field => readParameter(values, field) !== readParameter(applied, field));
+        const live = this.ui.plantParamsApplyMode.value === 'live' ? changed.filter(field => field.apply !== 'reset') : [];
+        if (live.length > 0) {
+            applyParameters(plant, values, live);
+            live.forEach(field => writeParameter(applied, field, readParameter(values, field)));
+            this.invalidatePlantModels();
+        }
+        if (changed.length > live.length) {
+            this.pendingPlantParameters[type] = values;
+        } else {
+            delete this.pendingPlantParameters[type];
+        }
+        this.updatePlantParameterStatus({}, live.length);
+    }
+
+    // Chamado pelo reinício antes de plant.reset(): as alterações pendentes entram em vigor
+    applyPendingPlantParameters() {
+        const type = this.currentPlantType;
+        const pending = this.pendingPlantParameters[type];
+        if (!pending) return;
+        applyParameters(this.plant.plant, pending);
+        this.plantParameters[type] = pending;
+        delete this.pendingPlantParameters[type];
+        this.invalidatePlantModels();
+    }
+
+    // Modelos identificados, ponto último, equilíbrio e desacoplador foram obtidos com a física anterior
+    invalidatePlantModels() {
+        const type = this.currentPlantType;
+        if (this.identifiedModel && this.identifiedModel.plantType === type) this.identifiedModel = null;
+        if (this.ultimatePoint && this.ultimatePoint.plantType === type) this.ultimatePoint = null;
+        this.clearOperatingPoint();
+        this.updateTuningRuleSelector();
+        this.updateSmithModelSource();
+        if (this.isMimoPlant()) this.updateDecouplerModel();
+    }
+
+    updatePlantParameterStatus(errors, appliedCount = 0) {
+        const schema = getParameterSchema(this.plant.plant);
+        const applied = this.plantParameters[this.currentPlantType];
+        const pending = this.pendingPlantParameters[this.currentPlantType];
+        let pendingCount = 0;
+
+        this.ui.plantParamsBody.querySelectorAll('tr').forEach(row => {
+            const field = schema.find(item => parameterId(item) === row.dataset.param);
+            const isPending = Boolean(pending) && readParameter(pending, field) !== readParameter(applied, field);
+            if (isPending) pendingCount++;
+            row.classList.toggle('invalid-row', errors[row.dataset.param] !== undefined);
+            row.classList.toggle('pending-row', isPending);
+        });
+
+        const messages = Object.entries(errors).map(([id, message]) => {
+            const field = schema.find(item => parameterId(item) === id);
+            return `${field ? field.label : id}: ${message}`;
+        });
+        if (messages.length > 0) {
+            this.ui.plantParamsStatus.textContent = `❌ ${messages.join('; ')}`;
+        } else if (pendingCount > 0) {
+            this.ui.plantParamsStatus.textContent = `↺ ${pendingCount} alteração(ões) aguardando o reinício${appliedCount > 0 ? `; ${appliedCount} já em vigor` : ''}`;
+        } else if (appliedCount > 0) {
+            this.ui.plantParamsStatus.textContent = `✅ ${appliedCount} parâmetro(s) aplicado(s) com a planta rodando`;
+        } else {
+            this.ui.plantParamsStatus.textContent = 'Passe o mouse sobre um parâmetro para ver a descrição. Campos ↺ só valem a partir do reinício.';
+        }
+    }
+
+    // Variantes salvas antes de um campo existir recebem o valor de fábrica dele
+    loadPlantVariant(choice) {
+        const type = this.currentPlantType;
+        const defaults = this.defaultPlantParameters[type];
+        let values = null;
+        if (choice === 'factory') {
+            values = cloneParameters(defaults);
+        } else if (choice.startsWith('variant:')) {
+            const stored = this.plantVariants.get(type, choice.slice('variant:'.length));
+            values = stored && { ...cloneParameters(defaults), ...stored };
+        }
+        if (!values) return;
+
+        // A tabela mostra a variante mesmo quando ela é recusada, com os campos inválidos marcados
+        const schema = getParameterSchema(this.plant.plant);
+        this.ui.plantParamsBody.querySelectorAll('input').forEach(input => {
+            input.value = readParameter(values, schema.find(field => parameterId(field) === input.dataset.param));
+        });
+        this.editPlantParameters(values);
+    }
+
+    savePlantVariant() {
+        const name = this.ui.plantVariantName.value.trim();
+        if (!name) {
+            this.ui.plantParamsStatus.textContent = '⚠️ Dê um nome à variante antes de salvar';
+            return;
+        }
+        const values = this.readPlantParameterInputs();
+        const errors = validateParameters(this.plant.plant.constructor, values);
+        if (Object.keys(errors).length > 0) {
+            this.updatePlantParameterStatus(errors);
+            return;
+        }
+        this.plantVariants.save(this.currentPlantType, name, values);
+        this.renderPlantVariants();
+        this.ui.plantVariant.value = `variant:${name}`;
+        this.ui.plantParamsStatus.textContent = `💾 Variante "${name}" salva neste navegador`;
+    }
+
+    deletePlantVariant() {
+        const choice = this.ui.plantVariant.value;
+        if (!choice.startsWith('variant:')) {
+            this.ui.plantParamsStatus.textContent = '⚠️ Selecione uma variante salva para excluir';
+            return;
+        }
+        const name = choice.slice('variant:'.length);
+        this.plantVariants.remove(this.currentPlantType, name);
+        this.renderPlantVariants();
+        this.ui.plantParamsStatus.textContent = `🗑️ Variante "${name}" excluída`;
+    }
+
+    // === GERADOR DE SETPOINT ===
+    setupSetpointGenerator() {
+        Object.entries(SETPOINT_SEGMENTS).forEach(([key, definition]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = definition.name;
+            this.ui.setpointSegmentType.appendChild(option);
+        });
+        this.ui.setpointSegmentType.value = 'ramp';
+        this.ui.setpointSegmentType.addEventListener('change', () => this.renderSegmentParamInputs());
+
+        this.ui.setpointSegmentAddButton.addEventListener('click', () => this.addSetpointSegment());
+        this.ui.setpointSegmentBody.addEventListener('click', (event) => {
+            if (!event.target.classList.contains('remove-breakpoint')) return;
+            this.setpointProfile.segments.splice(parseInt(event.target.dataset.index, 10), 1);
+            this.renderSetpointSegments();
+            this.updateSetpointPreview();
+        });
+        this.ui.setpointRateLimit.addEventListener('change', () => {
+            const rateLimit = parseFloat(this.ui.setpointRateLimit.value);
+            this.setpointProfile.setRateLimit(Number.isFinite(rateLimit) ? rateLimit : 0);
+            this.ui.setpointRateLimit.value = this.setpointProfile.rateLimit;
+            this.updateSetpointPreview();
+        });
+        this.ui.setpointProfileButton.addEventListener('click', () => this.setProfileActive(!this.isProfileActive));
+
+        this.setpointPreviewChart = new Chart(this.ui.setpointPreviewCanvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    { label: 'Perfil', data: [], borderColor: 'rgba(34, 197, 94, 0.5)', borderWidth: 1, pointRadius: 0, borderDash: [4, 4] },
+                    { label: 'Setpoint aplicado', data: [], borderColor: 'green', borderWidth: 2, pointRadius: 0 }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: { legend: { display: false } },
+                scales: { x: { ticks: { maxTicksLimit: 6 } } }
+            }
+        });
+    }
+
+    // Chamado na troca de planta: os valores dos segmentos são absolutos, por isso a lista recomeça
+    resetSetpointGenerator() {
+        if (this.isProfileActive) this.setProfileActive(false);
+        this.setpointProfile.setSegments([]);
+        this.renderSegmentParamInputs();
+        this.renderSetpointSegments();
+        this.updateSetpointPreview();
+    }
+
+    // Campos do segmento escolhido, com padrões proporcionais à faixa da planta
+    renderSegmentParamInputs() {
+        const config = this.plantConfigs[this.currentPlantType];
+        const span = config.max - config.min;
+        const container = this.ui.setpointSegmentParams;
+        container.innerHTML = '';
+
+        SETPOINT_SEGMENTS[this.ui.setpointSegmentType.value].params.forEach(param => {
+            let value = param.value;
+            if (param.spanFraction !== undefined) value = parseFloat((param.spanFraction * span).toPrecision(2));
+            if (param.rangeFraction !== undefined) value = parseFloat((config.min + param.rangeFraction * span).toPrecision(3));
+            if (param.points !== undefined) {
+                value = formatWaveformPoints(param.points.map(([time, fraction]) =>
+                    ({ time, value: parseFloat((config.min + fraction * span).toPrecision(3)) })));
+            }
+
+            const item = document.createElement('div');
+            item.className = 'control-item';
+            const label = document.createElement('div');
+            label.className = 'control-label';
+            const text = document.createElement('span');
+            text.textContent = ['target', 'amplitude', 'points'].includes(param.key) ? `${param.label} (${config.units || 'PV'})` : param.label;
+            label.appendChild(text);
+            const input = document.createElement('input');
+            if (param.points !== undefined) {
+                input.type = 'text';
+            } else {
+                input.type = 'number';
+                input.step = 'any';
+            }
+            input.className = 'modern-input';
+            input.value = value;
+            input.dataset.key = param.key;
+            item.appendChild(label);
+            item.appendChild(input);
+            container.appendChild(item);
+        });
+    }
+
+    addSetpointSegment() {
+        const segment = { type: this.ui.setpointSegmentType.value };
+        this.ui.setpointSegmentParams.querySelectorAll('input').forEach(input => {
+            segment[input.dataset.key] = input.dataset.key === 'points' ? parseWaveformPoints(input.value) : parseFloat(input.value);
+        });
+
+        if (segment.points === null) {
+            this.ui.smartTip.textContent = '⚠️ Tabela inválida: use pares "t: valor" separados por ";", com tempos crescentes a partir de 0.';
+            return;
+        }
+
+        const values = Object.entries(segment).filter(([key]) => !['type', 'points'].includes(key)).map(([, value]) => value);
+        const positive = ['duration', 'period', 'bitTime'].filter(key => key in segment).every(key => segment[key] > 0);
+        const frequencies = ['startFrequency', 'endFrequency'].filter(key => key in segment).every(key => segment[key] >= 0);
+        if (!values.every(Number.isFinite) || !positive || !frequencies) {
+            this.ui.smartTip.textContent = '⚠️ Segmento inválido: duração, período e tempo de bit devem ser positivos.';
+            return;
+        }
+
+        this.setpointProfile.segments.push(segment);
+        this.renderSetpointSegments();
+        this.updateSetpointPreview();
+    }
+
+    renderSetpointSegments() {
+        const body = this.ui.setpointSegmentBody;
+        body.innerHTML = '';
+
+        this.setpointProfile.segments.forEach((segment, index) => {
+            const definition = SETPOINT_SEGMENTS[segment.type];
+            const row = document.createElement('tr');
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = definition.name;
+            row.appendChild(nameCell);
+
+            const paramsCell = document.createElement('td');
+            paramsCell.textContent = definition.params.map(param => param.key === 'points'
+                ? formatWaveformPoints(segment.points)
+                : `${param.label}: ${segment[param.key]}`).join(', ');
+            row.appendChild(paramsCell);
+
+            const removeCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.className = 'remove-breakpoint';
+            removeButton.textContent = '✕';
+            removeButton.title = 'Remover segmento';
+            removeButton.dataset.index = index;
+            removeCell.appendChild(removeButton);
+            row.appendChild(removeCell);
+
+            body.appendChild(row);
+        });
+    }
+
+    // Prévia a partir do setpoint atual, com e sem o limitador de taxa
+    updateSetpointPreview() {
+        const duration = this.setpointProfile.getDuration();
+        const samples = duration > 0
+            ? this.setpointProfile.preview(this.setpoint, Math.max(this.config.SIMULATION_TIMESTEP_S, duration / 400))
+            : [];
+        const data = this.setpointPreviewChart.data;
+        data.labels = samples.map(sample => sample.time.toFixed(1));
+        data.datasets[0].data = samples.map(sample => sample.raw);
+        data.datasets[1].data = samples.map(sample => sample.value);
+        this.setpointPreviewChart.update();
+
+        this.ui.setpointProfileDuration.textContent = duration > 0 ? `${duration.toFixed(1)} s` : '--';
+    }
+
+    // O perfil sempre parte de um sistema reiniciado, para que a resposta fique inteira no gráfico
+    setProfileActive(active) {
+        if (active && this.setpointProfile.segments.length === 0) {
+            this.ui.smartTip.textContent = '⚠️ Adicione ao menos um segmento ao perfil de setpoint.';
+            return;
+        }
+
+        if (active) {
+            this.resetSimulation();
+            this.setpointProfile.start(this.setpoint);
+            this.profileStartTime = this.simulationTime;
+        } else {
+            // O slider assume o último valor do perfil
+            this.ui.setpointSlider.value = this.setpoint;
+            this.ui.setpointProfileSegment.textContent = '--';
+        }
+        this.isProfileActive = active;
+
+        const button = this.ui.setpointProfileButton;
+        const badge = button.querySelector('.status-badge');
+        button.classList.toggle('active', active);
+        badge.textContent = active ? 'On' : 'Off';
+        badge.classList.toggle('status-active', active);
+        badge.classList.toggle('status-inactive', !active);
+
+        if (active) this.start();
+    }
+
+    updateSetpointProfile(dt) {
+        const time = this.simulationTime - this.profileStartTime;
+        this.setpoint = this.setpointProfile.update(time, dt);
+
+        const units = this.plantConfigs[this.currentPlantType].units;
+        this.ui.setpointValue.textContent = `${this.setpoint.toFixed(1)} ${units}`;
+        const index = this.setpointProfile.getSegmentIndex(time);
+        const segments = this.setpointProfile.segments;
+        this.ui.setpointProfileSegment.textContent = index >= 0
+            ? `${index + 1}/${segments.length} ${SETPOINT_SEGMENTS[segments[index].type].name}`
+            : 'Assentando (limite de taxa)';
+
+        if (this.setpointProfile.isFinished(time)) {
+            this.setProfileActive(false);
+            this.ui.smartTip.textContent = '✅ Perfil de setpoint concluído.';
+        }
+    }
+
+    // === AGENDA DE PERTURBAÇÕES ===
+    setupDisturbanceSchedule() {
+        Object.entries(DISTURBANCE_SHAPES).forEach(([key, shape]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = shape.name;
+            this.ui.disturbanceShape.appendChild(option);
+        });
+        this.ui.disturbanceShape.value = 'step';
+
+        this.ui.disturbanceChannel.addEventListener('change', () => this.selectDisturbanceChannel());
+        this.ui.disturbanceShape.addEventListener('change', () => {
+            this.ui.disturbancePeriod.disabled = !DISTURBANCE_SHAPES[this.ui.disturbanceShape.value].periodic;
+        });
+        this.ui.disturbancePeriod.disabled = true;
+
+        this.ui.disturbanceAddButton.addEventListener('click', () => this.addScheduledDisturbance());
+        this.ui.disturbanceClearButton.addEventListener('click', () => {
+            this.disturbanceScheduler.clear();
+            this.renderDisturbanceSchedule();
+            this.chart.update();
+        });
+        this.ui.disturbanceScheduleBody.addEventListener('click', (event) => {
+            if (!event.target.classList.contains('remove-breakpoint')) return;
+            this.disturbanceScheduler.removeEvent(parseInt(event.target.dataset.id, 10));
+            this.renderDisturbanceSchedule();
+            this.chart.update();
+        });
+    }
+
+    // Chamado na troca de planta: os canais e a agenda são os da nova planta
+    populateDisturbanceChannels() {
+        this.ui.disturbanceChannel.innerHTML = '';
+        this.disturbanceChannels[this.currentPlantType].forEach(channel => {
+            const option = document.createElement('option');
+            option.value = channel.type;
+            option.textContent = channel.name;
+            this.ui.disturbanceChannel.appendChild(option);
+        });
+        this.selectDisturbanceChannel();
+        this.renderDisturbanceSchedule();
+    }
+
+    selectDisturbanceChannel() {
+        const channel = this.getDisturbanceChannel(this.ui.disturbanceChannel.value);
+        const toggle = this.getToggleDisturbance();
+        this.ui.disturbanceAmplitude.value = channel.amplitude ?? (channel.type === toggle.type ? toggle.value : 0);
+        this.ui.disturbanceUnits.textContent = channel.units;
+    }
+
+    getDisturbanceChannel(type) {
+        return this.disturbanceChannels[this.currentPlantType].find(channel => channel.type === type);
+    }
+
+    // Canal e valor do botão de perturbação; a planta mecânica usa a assinatura antiga setDisturbance(valor)
+    getToggleDisturbance() {
+        const config = this.plantConfigs[this.currentPlantType].disturbance;
+        return typeof config === 'object'
+            ? { type: config.type, value: Number(config.value) }
+            : { type: this.disturbanceChannels[this.currentPlantType][0].type, value: config };
+    }
+
+    addScheduledDisturbance() {
+        const start = parseFloat(this.ui.disturbanceStart.value);
+        const duration = parseFloat(this.ui.disturbanceDuration.value);
+        const amplitude = parseFloat(this.ui.disturbanceAmplitude.value);
+        const period = parseFloat(this.ui.disturbancePeriod.value);
+        if (![start, duration, amplitude, period].every(Number.isFinite) || start < 0 || duration < 0 || period <= 0) {
+            this.ui.smartTip.textContent = '⚠️ Evento inválido: início e duração não podem ser negativos e o período deve ser positivo.';
+            return;
+        }
+
+        this.disturbanceScheduler.addEvent({
+            channel: this.ui.disturbanceChannel.value,
+            shape: this.ui.disturbanceShape.value,
+            start, duration, amplitude, period
+        });
+        this.renderDisturbanceSchedule();
+        this.chart.update();
+    }
+
+    /**
+     * Converte a perturbação de um passo de cenário em eventos da agenda.
+     * Aceita um evento ou uma lista de { time, duration, value, channel?, shape?, period? };
+     * sem canal, vale o canal do botão de perturbação da planta.
+     */
+    loadScenarioDisturbances(disturbance) {
+        this.disturbanceScheduler.clear('scenario');
+        if (disturbance) {
+            const toggle = this.getToggleDisturbance();
+            [].concat(disturbance).forEach(item => this.disturbanceScheduler.addEvent({
+                channel: item.channel ?? toggle.type,
+                shape: item.shape ?? 'step',
+                start: item.time ?? 0,
+                duration: item.duration ?? 0,
+                amplitude: item.value,
+                period: item.period ?? 2,
+                source: 'scenario'
+            }));
+        }
+        this.renderDisturbanceSchedule();
+    }
+
+    renderDisturbanceSchedule() {
+        const body = this.ui.disturbanceScheduleBody;
+        body.innerHTML = '';
+
+        this.disturbanceScheduler.getEvents().forEach(event => {
+            const channel = this.getDisturbanceChannel(event.channel);
+            const end = this.disturbanceScheduler.getEnd(event);
+            const shape = DISTURBANCE_SHAPES[event.shape];
+            const row = document.createElement('tr');
+            row.dataset.id = event.id;
+            [
+                channel ? channel.name : event.channel,
+                shape.periodic ? `${shape.name} (${event.period} s)` : shape.name,
+                `${event.start}–${Number.isFinite(end) ? end : '∞'}`,
+                `${event.amplitude} ${channel ? channel.units : ''}`
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+
+            const removeCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.className = 'remove-breakpoint';
+            removeButton.textContent = '✕';
+            removeButton.title = event.source === 'scenario' ? 'Remover evento do cenário' : 'Remover evento';
+            removeButton.dataset.id = event.id;
+            removeCell.appendChild(removeButton);
+            row.appendChild(removeCell);
+
+            body.appendChild(row);
+        });
+    }
+
+    // Destaca os eventos ativos no instante atual
+    updateDisturbanceScheduleDisplay() {
+        const events = this.disturbanceScheduler.getEvents();
+        Array.from(this.ui.disturbanceScheduleBody.children).forEach(row => {
+            const event = events.find(item => item.id === parseInt(row.dataset.id, 10));
+            row.classList.toggle('active-row', Boolean(event) && this.disturbanceScheduler.isActive(event, this.simulationTime));
+        });
+    }
+
+    /**
+     * Escreve na planta os canais controlados pela agenda: repouso + botão de perturbação + eventos.
+     * Canais que deixaram de ter eventos recebem uma última escrita sem a parcela agendada.
+     */
+    applyScheduledDisturbances(time) {
+        const values = this.disturbanceScheduler.evaluate(time);
+        const channels = new Set([...this.scheduledChannels, ...Object.keys(values)]);
+        channels.forEach(type => this.setDisturbanceChannel(type, values[type] || 0));
+        this.scheduledChannels = Object.keys(values);
+    }
+
+    setDisturbanceChannel(type, scheduledValue) {
+        const channel = this.getDisturbanceChannel(type);
+        if (!channel) return;
+        const toggle = this.getToggleDisturbance();
+        const manualValue = this.isDisturbanceActive && toggle.type === type ? toggle.value : 0;
+        const value = (channel.baseline ?? 0) + manualValue + scheduledValue;
+        const applied = channel.binary ? value !== 0 : value;
+
+        if (typeof this.plantConfigs[this.currentPlantType].disturbance === 'object') {
+            this.plant.setDisturbance(type, applied);
+        } else {
+            this.plant.setDisturbance(applied);
+        }
+    }
+
+    // ✨ MELHORADO: Lógica de troca de planta
+    switchPlant(plantType) {
+        if (!this.plants[plantType]) return;
+
+        this.stop();
+        if (this.isCascadeActive) this.setCascadeActive(false);
+        if (this.isSmithActive) this.setSmithActive(false);
+        if (this.isScheduleActive) this.setScheduleActive(false);
+        if (this.gainOptimizer && this.gainOptimizer.isRunning()) this.gainOptimizer.stop();
+        this.currentPlantType = plantType;
+        this.plant = this.plants[plantType];
+        this.disturbanceScheduler = this.disturbanceSchedulers[plantType];
+        this.populateDisturbanceChannels();
+        this.resetSetpointGenerator();
+        this.clearOperatingPoint();
+
+        const config = this.plantConfigs[plantType];
+        this.setpoint = config.setpoint;
+
+        // Opções de sensor valem para qualquer planta; a faixa do transmissor é a da planta
+        this.plant.setSensorRange(config.min, config.max, this.ui.sensorRangeButton.classList.contains('active'));
+        this.plant.setSensorLag(parseFloat(this.ui.sensorLagSlider.value));
+        this.applyActuatorParams();
+
+        // Atualiza o slider de setpoint
+        this.ui.setpointSlider.min = config.min;
+        this.ui.setpointSlider.max = config.max;
+        this.ui.setpointSlider.value = config.setpoint;
+        this.ui.setpointSlider.dispatchEvent(new Event('input')); // Força a atualização do display
+
+        // Atualiza os eixos do gráfico
+        this.chart.options.scales.y.min = config.min;
+        this.chart.options.scales.y.max = config.max;
+        this.chart.options.scales.y.title.text = `Valor (${config.units})`;
+
+        // Atualiza título do gráfico
+        document.querySelector('.theater-title').textContent = `${this.ui.plantSelector.options[this.ui.plantSelector.selectedIndex].text}`;
+        this.ui.linearPlantCluster.style.display = plantType === 'linear' ? 'block' : 'none';
+        this.ui.mimoCluster.style.display = this.isMimoPlant() ? 'block' : 'none';
+        [12, 13, 14].forEach(index => { this.chart.data.datasets[index].hidden = !this.isMimoPlant(); });
+        this.ui.roadProfileCluster.style.display = plantType === 'cruise' ? 'block' : 'none';
+        this.ui.servoCluster.style.display = plantType === 'servo' ? 'block' : 'none';
+        this.ui.plantParamsCluster.style.display = getParameterSchema(this.plant.plant).length > 0 ? 'block' : 'none';
+        this.renderPlantVariants();
+        this.chart.data.datasets[15].hidden = plantType !== 'cruise';
+        this.updateTuningRuleSelector();
+        this.updateCascadeAvailability();
+        this.updateSmithModelSource();
+
+        this.resetNoiseSettings();
+        this.resetSimulation();
+        this.updateFeedforwardSignals();
+        this.resetGainSchedule();
+    }
+
+    // ✨ CORRIGIDO: Lógica dos botões de toggle
+    updateToggleButtonState(button, isEnabled) {
+        const badge = button.querySelector('.status-badge');
+        if (isEnabled) {
+            button.classList.add('active');
+            badge.textContent = 'On';
+            badge.classList.replace('status-inactive', 'status-active');
+        } else {
+            button.classList.remove('active');
+            badge.textContent = 'Off';
+            badge.classList.replace('status-active', 'status-inactive');
+        }
+    }
+
+    // Amplitude do ruído em % da faixa da planta, convertida para unidades da PV
+    getNoiseAmplitude(percent) {
+        const config = this.plantConfigs[this.currentPlantType];
+        return percent / 100 * (config.max - config.min);
+    }
+
+    toggleNoise(forceState, amplitude) {
+        const currentState = this.plant.sensorNoise.enabled;
+        const newState = forceState !== undefined ? forceState : !currentState;
+
+        if (newState) {
+            const noisePercent = amplitude !== undefined ? amplitude : parseFloat(this.ui.noiseSlider.value);
+            this.plant.enableNoise(this.getNoiseAmplitude(noisePercent));
+        } else {
+            this.plant.disableNoise();
+        }
+        this.updateToggleButtonState(this.ui.noiseButton, newState);
+    }
+
+    toggleDelay(forceState, delayTime) {
+        const currentState = this.plant.systemDelay.enabled;
+        const newState = forceState !== undefined ? forceState : !currentState;
+
+        if (newState) {
+            const systemDelay = delayTime !== undefined ? delayTime : parseFloat(this.ui.delaySlider.value);
+            this.plant.enableDelay(systemDelay);
+        } else {
+            this.plant.disableDelay();
+        }
+        this.updateToggleButtonState(this.ui.delayButton, newState);
+    }
+
+    toggleSensorRange() {
+        const { min, max, enabled } = this.plant.sensorRange;
+        this.plant.setSensorRange(min, max, !enabled);
+        this.updateToggleButtonState(this.ui.sensorRangeButton, !enabled);
+    }
+
+    // ✨ CORRIGIDO: Agora o botão de perturbação também é um toggle ON/OFF
+    toggleDisturbance() {
+        this.isDisturbanceActive = !this.isDisturbanceActive;
+        const disturbanceConfig = this.plantConfigs[this.currentPlantType].disturbance;
+
+        if (this.isDisturbanceActive) {
+            // Ativa a perturbação
+            if (typeof disturbanceConfig === 'object') {
+                this.plant.setDisturbance(disturbanceConfig.type, disturbanceConfig.value);
+            } else {
+                this.plant.setDisturbance(disturbanceConfig);
+            }
+        } else {
+            // Desativa a perturbação
+            if (typeof disturbanceConfig === 'object') {
+                this.plant.setDisturbance(disturbanceConfig.type, 0); // Usa 0 ou false para desativar
+            } else {
+                this.plant.setDisturbance(0);
+            }
+        }
+
+        // Atualiza o estado visual do botão
+        const button = this.ui.disturbanceButton;
+        const badge = button.querySelector('.status-badge');
+        button.classList.toggle('active', this.isDisturbanceActive);
+
+        if (this.isDisturbanceActive) {
+            badge.textContent = 'Ativa';
+            badge.classList.replace('status-inactive', 'status-active');
+        } else {
+            badge.textContent = 'Inativa';
+            badge.classList.replace('status-active', 'status-inactive');
+        }
+    }
+
+    resetSimulation() {
+        this.stop();
+        if (this.isProfileActive) this.setProfileActive(false);
+        if (this.autoTuner.isRunning()) {
+            this.stopAutoTune();
+        }
+        if (this.stepTest.isRunning()) {
+            this.stepTest.stop();
+            this.finishStepTest();
+        }
+        this.modelOverlay = null;
+        this.simulationTime = 0;
+        this.controllerStepCounter = 0;
+        // Desativa ruído e atraso
+        if (this.plant.sensorNoise.enabled) {
+            this.toggleNoise(false);
+        }
+        if (this.plant.systemDelay.enabled) {
+            this.toggleDelay(false);
+        }
+        this.random.reseed(this.noiseSeed);
+        this.disturbanceScheduler.reseed(this.noiseSeed);
+        this.applyPendingPlantParameters();
+        this.renderPlantParameters();
+        this.plant.reset();
+        this.scheduledChannels = []; // reset() já devolveu os canais ao repouso
+
+        // Desativa perturbação antes do trim, que parte da planta sem ela
+        if (this.isDisturbanceActive) {
+            this.toggleDisturbance();
+        }
+        this.heldOutput = this.startAtOperatingPoint ? this.applyOperatingPointStart() : 0;
+        this.plantState = this.plant.update(this.heldOutput, 0); // Leitura inicial sem avançar o tempo
+        if (this.isMimoPlant()) {
+            // A segunda malha parte sem salto da entrada nominal da planta
+            this.heldSecondaryOutput = this.plant.plant.secondaryInput;
+            this.secondaryPid.reset();
+            this.secondaryPid.setManualMode(true, this.heldSecondaryOutput);
+            this.secondaryPid.setManualMode(false);
+            this.decoupler.reset();
+            this.updateDecouplerModel();
+        }
+        this.smithPredictor.reset();
+        this.innerPid.reset();
+        this.cascade.isOuterTracking = false;
+        if (this.isCascadeActive) {
+            this.updateLoopModeButton(this.ui.outerModeButton, false);
+            this.updateLoopModeButton(this.ui.innerModeButton, false);
+        }
+        if (this.startAtOperatingPoint) {
+            // Depois dos resets acima (o Smith reinicia o PID): o PID assume a MV de equilíbrio sem salto
+            this.pid.setManualMode(true, this.heldOutput);
+            this.pid.setManualMode(false);
+        }
+        this.analyzer.reset();
+
+        this.chart.data.labels = [];
+        this.chart.data.datasets.forEach(d => d.data = []);
+        this.chart.update();
+
+        this.start();
+    }
+
+    applyPreset(presetName) {
+        const preset = this.presets[presetName];
+        if (!preset) return;
+
+        this.resetSimulation();
+
+        this.ui.kpSlider.value = preset.kp;
+        this.ui.kiSlider.value = preset.ki;
+        this.ui.kdSlider.value = preset.kd;
+        this.ui.kpSlider.dispatchEvent(new Event('input')); // Força atualização de valores e PID
+
+        if (presetName === 'noisy_system') {
+            this.toggleNoise(true, 0.8);
+        }
+        if (presetName === 'delayed_system') {
+            this.toggleDelay(true, 0.15);
+        }
+    }
+
+    simulationLoop = (currentTime) => {
+        if (!this.isRunning) return;
+
+        if (!this.lastFrameTime) this.lastFrameTime = currentTime;
+        const deltaTime = (currentTime - this.lastFrameTime) / 1000;
+        this.lastFrameTime = currentTime;
+        this.timeAccumulator += deltaTime;
+
+        while (this.timeAccumulator >= this.config.SIMULATION_TIMESTEP_S) {
+            if (this.activeScenario) {
+                const scenarioConfig = this.scenarios.update(this.simulationTime);
+                if (scenarioConfig && scenarioConfig.setpoint !== undefined) {
+                    this.setpoint = scenarioConfig.setpoint;
+                }
+            }
+            if (this.isProfileActive) {
+                this.updateSetpointProfile(this.config.SIMULATION_TIMESTEP_S);
+            }
+
+            const pv = this.readProcessVariable(this.plantState);
+
+            // Controlador amostrado: a MV é recalculada a cada Ts e retida entre amostras (ZOH)
+            if (this.controllerStepCounter % this.controllerSampleSteps === 0) {
+                const sampleTime = this.controllerSampleSteps * this.config.SIMULATION_TIMESTEP_S;
+                this.heldOutput = this.computeControllerOutput(pv, sampleTime);
+                if (this.isMimoPlant()) {
+                    const mimoConfig = this.mimoConfigs[this.currentPlantType];
+                    this.heldSecondaryOutput = this.secondaryPid.update(this.secondarySetpoint, this.plantState[mimoConfig.secondaryKey], sampleTime);
+                }
+            }
+            this.controllerStepCounter++;
+            const mv = this.heldOutput;
+            const plantInput = this.isMimoPlant() ? this.applySecondaryLoop(mv, this.config.SIMULATION_TIMESTEP_S) : mv;
+
+            if (this.disturbanceScheduler.hasEvents() || this.scheduledChannels.length > 0) {
+                this.applyScheduledDisturbances(this.simulationTime);
+            }
+            this.plantState = this.plant.update(plantInput, this.config.SIMULATION_TIMESTEP_S);
+
+            this.simulationTime += this.config.SIMULATION_TIMESTEP_S;
+            this.updateUI(pv, mv);
+            this.timeAccumulator -= this.config.SIMULATION_TIMESTEP_S;
+
+            const failure = this.plant.getFailure();
+            if (failure) {
+                this.handlePlantFailure(failure);
+                return;
+            }
+        }
+
+        requestAnimationFrame(this.simulationLoop);
+    }
+
+    // Plantas instáveis podem falhar fisicamente; a simulação para até o reinício
+    handlePlantFailure(message) {
+        this.stop();
+        this.ui.controlQuality.textContent = 'Falha';
+        this.ui.smartTip.textContent = `⚠️ ${message}. Reinicie a simulação para tentar novamente.`;
+    }
+
+    computeControllerOutput(pv, dt) {
+        const disturbance = this.readDisturbanceSignal();
+        if (this.isScheduleActive) this.readScheduleInput();
+
+        let mv;
+        if (this.autoTuner.isRunning()) {
+            mv = this.autoTuner.update(this.setpoint, pv, dt);
+            this.ui.autoTuneStatus.textContent = this.autoTuner.getStatus().message;
+            if (!this.autoTuner.isRunning()) this.finishAutoTune();
+        } else if (this.stepTest.isRunning()) {
+            // Ensaio em malha aberta: o PID fica em manual com a saída do ensaio
+            const manualOutput = this.stepTest.update(this.setpoint, pv, dt);
+            this.pid.setManualMode(true, manualOutput);
+            mv = this.pid.update(this.setpoint, pv, dt, disturbance);
+            this.ui.stepTestStatus.textContent = this.stepTest.getStatus().message;
+            if (!this.stepTest.isRunning()) this.finishStepTest();
+        } else if (this.isCascadeActive) {
+            const innerPV = this.plantState[this.cascadeConfigs[this.currentPlantType].innerKey];
+            mv = this.cascade.update(this.setpoint, pv, innerPV, dt, disturbance);
+        } else if (this.isSmithActive) {
+            mv = this.smithPredictor.update(this.setpoint, pv, dt, disturbance);
+        } else {
+            mv = this.pid.update(this.setpoint, pv, dt, disturbance);
+        }
+        return mv;
+    }
+
+    // As plantas industriais retornam processVariable; o sistema mecânico, a posição medida
+    readProcessVariable(plantState) {
+        return plantState.processVariable;
+    }
+
+    // ✨ MELHORADO: Centraliza todas as atualizações de UI
+    updateUI(pv, mv) {
+        const error = this.setpoint - pv;
+        const currentTime = this.simulationTime;
+
+        // Análise
         this.analyzer.update(currentTime, this.setpoint, pv, mv);
         const report = this.analyzer.generateReport();
         const terms = this.pid.getTerms();
@@ -508,6 +3426,15 @@ class SimulationApp {
 
         // ✨ CORRIGIDO: Atualização dinâmica do painel de status
         this.ui.disturbanceStatus.textContent = this.isDisturbanceActive ? 'Ativa' : 'Inativa';
+        if (this.autoTuner.isRunning()) {
+            this.ui.controlModeStatus.textContent = 'Relé (Auto-Sintonia)';
+        } else if (this.isCascadeActive) {
+            this.ui.controlModeStatus.textContent = 'Cascata';
+        } else if (this.isSmithActive) {
+            this.ui.controlModeStatus.textContent = 'Preditor de Smith';
+        } else {
+            this.ui.controlModeStatus.textContent = this.pid.getConfiguration().state.isManual ? 'Manual' : 'Automático';
+        }
         const units = this.plantConfigs[this.currentPlantType].units;
         // Para atualizar o painel, você precisará adicionar um ID ao span do setpoint no HTML
         // Ex: <span id="status-setpoint-value" ...>
@@ -516,6 +3443,31 @@ class SimulationApp {
         }
 
 
+        this.ui.feedforwardDisturbance.textContent = formatGain(this.readDisturbanceSignal());
+        this.ui.feedforwardTerm.textContent = terms.feedforward.toFixed(2);
+        if (this.isScheduleActive) this.updateScheduleDisplay();
+        this.ui.smithPredictedPv.textContent = this.isSmithActive ? this.smithPredictor.getPredictedPV().toFixed(2) : '--';
+        if (this.isMimoPlant()) this.updateMimoDisplay();
+        if (this.currentPlantType === 'cruise') this.updateRoadDisplay();
+        if (this.currentPlantType === 'servo') this.updateServoDisplay();
+        if (this.disturbanceScheduler.hasEvents()) this.updateDisturbanceScheduleDisplay();
+        const actuatorPosition = this.plantState.actuatorPosition;
+        const mvUnits = this.plantConfigs[this.currentPlantType].mvUnits;
+        this.ui.actuatorPosition.textContent = `${actuatorPosition.toFixed(2)} ${mvUnits}`;
+        this.ui.actuatorError.textContent = `${(mv - actuatorPosition).toFixed(2)} ${mvUnits}`;
+        // A planta linear é discretizada exatamente e não passa pelo integrador
+        const { steps, rejected } = this.odeSolver.stats;
+        this.ui.integrationStatsValue.textContent = this.currentPlantType === 'linear' ? 'Exata (ZOH)' : `${steps} / ${rejected}`;
+
+        let innerPV = null;
+        if (this.isCascadeActive) {
+            const cascadeConfig = this.cascadeConfigs[this.currentPlantType];
+            innerPV = this.plantState[cascadeConfig.innerKey];
+            this.ui.cascadeInnerSp.textContent = `${formatGain(this.cascade.getInnerSetpoint())} ${cascadeConfig.innerUnits}`;
+            this.ui.cascadeInnerPv.textContent = `${formatGain(innerPV)} ${cascadeConfig.innerUnits}`;
+            this.ui.cascadeSaturation.textContent = this.innerPid.getSaturation() && !this.innerPid.getConfiguration().state.isManual ? 'Sim' : 'Não';
+        }
+
         // Gráfico
         const data = this.chart.data;
         data.labels.push(currentTime.toFixed(1));
@@ -525,6 +3477,17 @@ class SimulationApp {
         data.datasets[3].data.push(terms.proportional);
         data.datasets[4].data.push(terms.integral);
         data.datasets[5].data.push(terms.derivative);
+        data.datasets[6].data.push(this.modelOverlayValue(currentTime));
+        data.datasets[7].data.push(this.isCascadeActive ? this.cascade.getInnerSetpoint() : null);
+        data.datasets[8].data.push(this.isCascadeActive ? innerPV : null);
+        data.datasets[9].data.push(terms.feedforward);
+        data.datasets[10].data.push(this.isSmithActive ? this.smithPredictor.getPredictedPV() : null);
+        data.datasets[11].data.push(this.plant.actuator.isActive() ? actuatorPosition : null);
+        const mimoConfig = this.mimoConfigs[this.currentPlantType];
+        data.datasets[12].data.push(mimoConfig ? this.secondarySetpoint : null);
+        data.datasets[13].data.push(mimoConfig ? this.plantState[mimoConfig.secondaryKey] : null);
+        data.datasets[14].data.push(mimoConfig ? this.heldSecondaryOutput : null);
+        data.datasets[15].data.push(this.currentPlantType === 'cruise' ? this.plantState.grade : null);
 
         if (data.labels.length > this.config.MAX_DATA_POINTS) {
             data.labels.shift();
@@ -535,7 +3498,7 @@ class SimulationApp {
     }
 
     start() {
-        if (this.isRunning) return;
+        if (this.isRunning || this.plant.getFailure()) return;
         this.isRunning = true;
         this.lastFrameTime = null;
         requestAnimationFrame(this.simulationLoop);
@@ -0,0 +1,78 @@
+/**
+ * Ferramentas para malhas 2×2: desacoplador e matriz de ganhos relativos (RGA)
+ */
+
+/**
+ * RGA de Bristol para um ganho estático 2×2: λ11 = K11⋅K22 / (K11⋅K22 − K12⋅K21).
+ * λ11 próximo de 1 favorece o pareamento diagonal; λ11 < 0 indica pareamento com sinal trocado.
+ * @param {number[][]} gain Matriz de ganhos estáticos [[K11, K12], [K21, K22]].
+ * @returns {number[][]} [[λ11, 1 − λ11], [1 − λ11, λ11]]
+ */
+export function relativeGainArray(gain) {
+    const [[k11, k12], [k21, k22]] = gain;
+    const lambda = k11 * k22 / (k11 * k22 - k12 * k21);
+    return [[lambda, 1 - lambda], [1 - lambda, lambda]];
+}
+
+/**
+ * Desacoplador simplificado u = D⋅v, com D = [[1, D12], [D21, 1]].
+ * Estático: D12 = −K12/K11 e D21 = −K21/K22.
+ * Dinâmico: os mesmos ganhos seguidos de um atraso de primeira ordem, que é o desacoplador
+ * ideal −G12/G11 quando os termos cruzados têm um polo a mais que os diretos (quatro tanques).
+ * Atua sobre desvios em relação às saídas do instante de ativação, para partir sem salto.
+ */
+export class Decoupler {
+    constructor() {
+        this.mode = 'off'; // 'off' | 'static' | 'dynamic'
+        this.model = { d12: 0, d21: 0, lag12: 0, lag21: 0 };
+        this.reset();
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+        this.mode = mode;
+        this.reset();
+    }
+
+    isActive() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * @param {object} model d12, d21 (ganhos cruzados) e lag12, lag21 (s) para o modo dinâmico.
+     */
+    setModel(model) {
+        this.model = { ...this.model, ...model };
+    }
+
+    /**
+     * @param {number} v1 Saída da malha 1.
+     * @param {number} v2 Saída da malha 2.
+     * @param {number} dt Passo de tempo (s).
+     * @returns {number[]} Entradas [u1, u2] da planta.
+     */
+    apply(v1, v2, dt) {
+        if (!this.isActive()) return [v1, v2];
+        if (this.reference === null) this.reference = [v1, v2];
+
+        const { d12, d21, lag12, lag21 } = this.model;
+        const target12 = d12 * (v2 - this.reference[1]);
+        const target21 = d21 * (v1 - this.reference[0]);
+
+        if (this.mode === 'dynamic') {
+            this.cross12 += (target12 - this.cross12) * (lag12 > 0 ? 1 - Math.exp(-dt / lag12) : 1);
+            this.cross21 += (target21 - this.cross21) * (lag21 > 0 ? 1 - Math.exp(-dt / lag21) : 1);
+        } else {
+            this.cross12 = target12;
+            this.cross21 = target21;
+        }
+
+        return [v1 + this.cross12, v2 + this.cross21];
+    }
+
+    reset() {
+        this.reference = null;
+        this.cross12 = 0;
+        this.cross21 = 0;
+    }
+}
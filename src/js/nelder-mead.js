@@ -0,0 +1,123 @@
+/**
+ * Otimizador simplex de Nelder–Mead (sem derivadas)
+ * Usado no ajuste de modelos e na otimização de ganhos
+ */
+
+// Coeficientes padrão: reflexão, expansão, contração e encolhimento
+const ALPHA = 1;
+const GAMMA = 2;
+const RHO = 0.5;
+const SIGMA = 0.5;
+
+/**
+ * Versão iterativa do simplex, para execuções que precisam
+ * ser fatiadas (ex.: exibir o progresso sem travar a interface).
+ */
+export class NelderMeadOptimizer {
+    /**
+     * @param {function(number[]): number} costFunction Função a minimizar.
+     * @param {number[]} initialPoint Ponto inicial.
+     * @param {object} options step (tamanho inicial do simplex), maxIterations, tolerance.
+     */
+    constructor(costFunction, initialPoint, options = {}) {
+        this.costFunction = costFunction;
+        this.n = initialPoint.length;
+        this.maxIterations = options.maxIterations ?? 200 * this.n;
+        this.tolerance = options.tolerance ?? 1e-8;
+        this.iterations = 0;
+        this.evaluations = 0;
+
+        const steps = Array.isArray(options.step)
+            ? options.step
+            : initialPoint.map(x => options.step ?? (x !== 0 ? 0.1 * Math.abs(x) : 0.1));
+
+        this.simplex = [this.evaluate([...initialPoint])];
+        for (let i = 0; i < this.n; i++) {
+            const vertex = [...initialPoint];
+            vertex[i] += steps[i];
+            this.simplex.push(this.evaluate(vertex));
+        }
+        this.sortSimplex();
+    }
+
+    evaluate(point) {
+        this.evaluations++;
+        const value = this.costFunction(point);
+        return { point, value: Number.isFinite(value) ? value : Infinity };
+    }
+
+    sortSimplex() {
+        this.simplex.sort((a, b) => a.value - b.value);
+    }
+
+    hasConverged() {
+        const best = this.simplex[0].value;
+        const worst = this.simplex[this.n].value;
+        return Math.abs(worst - best) <= this.tolerance * (Math.abs(best) + this.tolerance);
+    }
+
+    isDone() {
+        return this.iterations >= this.maxIterations || this.hasConverged();
+    }
+
+    /**
+     * Executa uma iteração do simplex.
+     * @returns {boolean} true enquanto houver iterações a executar.
+     */
+    iterate() {
+        if (this.isDone()) return false;
+        this.iterations++;
+
+        const n = this.n;
+        const best = this.simplex[0];
+        const worst = this.simplex[n];
+
+        // Centroide de todos os vértices exceto o pior
+        const centroid = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) centroid[j] += this.simplex[i].point[j] / n;
+        }
+        const along = (coef) => this.evaluate(centroid.map((c, j) => c + coef * (worst.point[j] - c)));
+
+        const reflected = along(-ALPHA);
+        if (reflected.value < best.value) {
+            const expanded = along(-GAMMA);
+            this.simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+        } else if (reflected.value < this.simplex[n - 1].value) {
+            this.simplex[n] = reflected;
+        } else {
+            const contracted = reflected.value < worst.value ? along(-RHO) : along(RHO);
+            if (contracted.value < Math.min(reflected.value, worst.value)) {
+                this.simplex[n] = contracted;
+            } else {
+                this.simplex = this.simplex.map((vertex, i) => i === 0 ? vertex :
+                    this.evaluate(vertex.point.map((x, j) => best.point[j] + SIGMA * (x - best.point[j]))));
+            }
+        }
+
+        this.sortSimplex();
+        return !this.isDone();
+    }
+
+    getBest() {
+        return { point: [...this.simplex[0].point], value: this.simplex[0].value, iterations: this.iterations };
+    }
+}
+
+/**
+ * Minimiza uma função escalar de n variáveis.
+ * @param {function(number[]): number} costFunction Função a minimizar.
+ * @param {number[]} initialPoint Ponto inicial.
+ * @param {object} options step (tamanho inicial do simplex), maxIterations, tolerance, onIteration.
+ * @returns {{ point: number[], value: number, iterations: number }}
+ */
+export function nelderMead(costFunction, initialPoint, options = {}) {
+    const optimizer = new NelderMeadOptimizer(costFunction, initialPoint, options);
+    // A última iteração (a que converge) também é reportada
+    let hasMore = !optimizer.isDone();
+    while (hasMore) {
+        hasMore = optimizer.iterate();
+        if (options.onIteration) options.onIteration(optimizer.iterations, optimizer.getBest());
+    }
+    return optimizer.getBest();
+}
@@ -0,0 +1,194 @@
+/**
+ * Geração de ruído reprodutível para a medição das plantas
+ * Todo o sorteio passa por um gerador pseudoaleatório com semente, de modo que
+ * a mesma semente reproduz exatamente a mesma corrida.
+ */
+
+// === GERADOR PSEUDOALEATÓRIO ===
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.reseed(seed);
+    }
+
+    // Semente nova para sessões sem semente definida
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x7fffffff);
+    }
+
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        this.spareGaussian = null;
+    }
+
+    // Mulberry32: período 2³², suficiente para sinais de simulação
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    uniform(min = 0, max = 1) {
+        return min + (max - min) * this.next();
+    }
+
+    // Box-Muller; o segundo valor do par fica guardado para a próxima chamada
+    gaussian() {
+        if (this.spareGaussian !== null) {
+            const value = this.spareGaussian;
+            this.spareGaussian = null;
+            return value;
+        }
+        const u1 = 1 - this.next(); // (0, 1]: evita log(0)
+        const u2 = this.next();
+        const radius = Math.sqrt(-2 * Math.log(u1));
+        this.spareGaussian = radius * Math.sin(2 * Math.PI * u2);
+        return radius * Math.cos(2 * Math.PI * u2);
+    }
+}
+
+// === MODELOS DE RUÍDO ===
+// Cada modelo transforma a medição limpa: apply(valor, dt) → valor medido
+
+class WhiteGaussianNoise {
+    constructor(random, { sigma }) {
+        this.random = random;
+        this.sigma = sigma;
+    }
+
+    apply(value) {
+        return value + this.sigma * this.random.gaussian();
+    }
+
+    reset() {}
+}
+
+// Ruído colorido: branco filtrado por primeira ordem (Ornstein-Uhlenbeck, discretização exata)
+class ColoredNoise {
+    constructor(random, { sigma, bandwidth }) {
+        this.random = random;
+        this.sigma = sigma;         // Desvio-padrão estacionário
+        this.bandwidth = bandwidth; // rad/s
+        this.state = 0;
+    }
+
+    apply(value, dt) {
+        const a = Math.exp(-this.bandwidth * dt);
+        this.state = a * this.state + this.sigma * Math.sqrt(1 - a * a) * this.random.gaussian();
+        return value + this.state;
+    }
+
+    reset() {
+        this.state = 0;
+    }
+}
+
+// Picos esporádicos (outliers) com taxa média de ocorrência
+class SpikeNoise {
+    constructor(random, { rate, amplitude }) {
+        this.random = random;
+        this.rate = rate;           // picos por segundo
+        this.amplitude = amplitude;
+    }
+
+    apply(value, dt) {
+        if (this.random.next() >= 1 - Math.exp(-this.rate * dt)) return value;
+        const sign = this.random.next() < 0.5 ? -1 : 1;
+        return value + sign * this.amplitude * this.random.uniform(0.5, 1);
+    }
+
+    reset() {}
+}
+
+// Deriva lenta do sensor: passeio aleatório com intensidade por √s
+class DriftNoise {
+    constructor(random, { rate }) {
+        this.random = random;
+        this.rate = rate;
+        this.offset = 0;
+    }
+
+    apply(value, dt) {
+        this.offset += this.rate * Math.sqrt(dt) * this.random.gaussian();
+        return value + this.offset;
+    }
+
+    reset() {
+        this.offset = 0;
+    }
+}
+
+// Quantização do conversor A/D: resolução em unidades da PV
+class QuantizationNoise {
+    constructor(random, { resolution }) {
+        this.resolution = resolution;
+    }
+
+    apply(value) {
+        return this.resolution > 0 ? Math.round(value / this.resolution) * this.resolution : value;
+    }
+
+    reset() {}
+}
+
+/**
+ * Modelos disponíveis, na ordem em que são aplicados (a quantização é sempre a última).
+ * Os valores padrão são frações da faixa da PV, convertidas em unidades pela aplicação.
+ */
+export const NOISE_MODELS = {
+    white: {
+        name: 'Branco gaussiano', model: WhiteGaussianNoise,
+        params: [{ key: 'sigma', label: 'σ', spanFraction: 0.005 }]
+    },
+    colored: {
+        name: 'Colorido (banda limitada)', model: ColoredNoise,
+        params: [{ key: 'sigma', label: 'σ', spanFraction: 0.005 }, { key: 'bandwidth', label: 'ω (rad/s)', value: 2 }]
+    },
+    drift: {
+        name: 'Deriva lenta', model: DriftNoise,
+        params: [{ key: 'rate', label: 'por √s', spanFraction: 0.001 }]
+    },
+    spikes: {
+        name: 'Picos (outliers)', model: SpikeNoise,
+        params: [{ key: 'rate', label: 'por s', value: 0.2 }, { key: 'amplitude', label: 'amplitude', spanFraction: 0.1 }]
+    },
+    quantization: {
+        name: 'Quantização', model: QuantizationNoise,
+        params: [{ key: 'resolution', label: 'resolução', spanFraction: 0.002 }]
+    }
+};
+
+/**
+ * Cadeia de ruídos aplicada à medição de qualquer planta.
+ */
+export class MeasurementNoise {
+    constructor(random) {
+        this.random = random;
+        this.models = {}; // chave → instância ativa
+    }
+
+    setModel(key, enabled, params = {}) {
+        if (!NOISE_MODELS[key]) return;
+        if (enabled) {
+            this.models[key] = new NOISE_MODELS[key].model(this.random, params);
+        } else {
+            delete this.models[key];
+        }
+    }
+
+    isActive() {
+        return Object.keys(this.models).length > 0;
+    }
+
+    apply(value, dt) {
+        return Object.keys(NOISE_MODELS)
+            .filter(key => this.models[key])
+            .reduce((measured, key) => this.models[key].apply(measured, dt), value);
+    }
+
+    reset() {
+        Object.values(this.models).forEach(model => model.reset());
+    }
+}
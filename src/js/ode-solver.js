@@ -0,0 +1,147 @@
+/**
+ * Integradores numéricos compartilhados pelas plantas
+ * Cada planta descreve sua dinâmica como dx/dt = f(x) sobre um vetor de estados;
+ * o solver avança o vetor por um passo de simulação, dividido em subpassos.
+ */
+
+export const INTEGRATION_METHODS = {
+    euler: { name: 'Euler explícito', order: 1 },
+    rk4: { name: 'Runge-Kutta 4', order: 4 },
+    rk45: { name: 'RK45 adaptativo (Dormand-Prince)', order: 5 }
+};
+
+// Tabela de Butcher de Dormand-Prince 5(4); os nós c_i não são usados pois f não depende de t
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+// Limite de passos por intervalo: evita travar a interface com modelos muito rígidos
+const MAX_ADAPTIVE_STEPS = 1000;
+
+function addScaled(x, terms, h) {
+    return x.map((value, i) => value + h * terms.reduce((sum, [weight, k]) => sum + weight * k[i], 0));
+}
+
+export class OdeSolver {
+    /**
+     * @param {object} options
+     *   method: chave de INTEGRATION_METHODS,
+     *   substeps: subpassos por passo de simulação,
+     *   tolerance: tolerância relativa do RK45.
+     */
+    constructor(options = {}) {
+        this.method = options.method || 'rk4';
+        this.substeps = options.substeps || 1;
+        this.tolerance = options.tolerance || 1e-6;
+
+        // Estatísticas da última chamada (para exibição)
+        this.stats = { steps: 0, rejected: 0 };
+    }
+
+    setMethod(method) {
+        if (INTEGRATION_METHODS[method]) this.method = method;
+    }
+
+    setSubsteps(substeps) {
+        this.substeps = Math.max(1, Math.round(substeps));
+    }
+
+    setTolerance(tolerance) {
+        if (tolerance > 0) this.tolerance = tolerance;
+    }
+
+    /**
+     * Avança o estado por dt.
+     * @param {(x: number[]) => number[]} derivative Dinâmica dx/dt = f(x), com a entrada mantida constante no passo.
+     * @param {number[]} x Estado inicial.
+     * @param {number} dt Passo de simulação (s).
+     * @returns {number[]} Estado em t + dt.
+     */
+    integrate(derivative, x, dt) {
+        this.stats = { steps: 0, rejected: 0 };
+        if (dt <= 0) return [...x];
+
+        const h = dt / this.substeps;
+        let state = [...x];
+        for (let i = 0; i < this.substeps; i++) {
+            if (this.method === 'euler') {
+                state = this.eulerStep(derivative, state, h);
+            } else if (this.method === 'rk45') {
+                state = this.adaptiveInterval(derivative, state, h);
+            } else {
+                state = this.rk4Step(derivative, state, h);
+            }
+        }
+        return state;
+    }
+
+    eulerStep(f, x, h) {
+        this.stats.steps++;
+        return addScaled(x, [[1, f(x)]], h);
+    }
+
+    rk4Step(f, x, h) {
+        this.stats.steps++;
+        const k1 = f(x);
+        const k2 = f(addScaled(x, [[0.5, k1]], h));
+        const k3 = f(addScaled(x, [[0.5, k2]], h));
+        const k4 = f(addScaled(x, [[1, k3]], h));
+        return addScaled(x, [[1 / 6, k1], [1 / 3, k2], [1 / 3, k3], [1 / 6, k4]], h);
+    }
+
+    // Passo de Dormand-Prince: solução de 5ª ordem e estimativa de erro pela de 4ª
+    dormandPrinceStep(f, x, h) {
+        const k = [];
+        for (let stage = 0; stage < DP_A.length; stage++) {
+            k.push(f(addScaled(x, DP_A[stage].map((weight, j) => [weight, k[j]]), h)));
+        }
+        const next = addScaled(x, DP_B5.map((weight, j) => [weight, k[j]]), h);
+        const lower = addScaled(x, DP_B4.map((weight, j) => [weight, k[j]]), h);
+
+        // Norma RMS do erro escalada pela tolerância mista (absoluta + relativa)
+        const error = Math.sqrt(next.reduce((sum, value, i) => {
+            const scale = this.tolerance * (1e-3 + Math.max(Math.abs(x[i]), Math.abs(value)));
+            return sum + Math.pow((value - lower[i]) / scale, 2);
+        }, 0) / Math.max(1, next.length));
+
+        return { next, error };
+    }
+
+    // Cobre o intervalo com passos adaptativos, terminando exatamente no seu fim
+    adaptiveInterval(f, x, interval) {
+        let state = x;
+        let elapsed = 0;
+        let h = interval;
+        let steps = 0;
+
+        while (interval - elapsed > interval * 1e-12 && steps < MAX_ADAPTIVE_STEPS) {
+            h = Math.min(h, interval - elapsed);
+            const { next, error } = this.dormandPrinceStep(f, state, h);
+            steps++;
+
+            if (error <= 1) {
+                state = next;
+                elapsed += h;
+                this.stats.steps++;
+            } else {
+                this.stats.rejected++;
+            }
+
+            // Controlador de passo clássico com fator de segurança e limites de variação
+            const factor = error > 0 ? 0.9 * Math.pow(error, -1 / 5) : 5;
+            h *= Math.min(5, Math.max(0.2, factor));
+        }
+
+        // Esgotado o limite, completa o intervalo com um passo fixo de RK4
+        if (interval - elapsed > interval * 1e-12) state = this.rk4Step(f, state, interval - elapsed);
+        return state;
+    }
+}
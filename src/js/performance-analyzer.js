@@ -4,7 +4,7 @@
  */
 
 export class PerformanceAnalyzer {
-    constructor() {
+    constructor(options = {}) {
         this.data = {
             time: [],
             setpoint: [],
@@ -41,6 +41,7 @@ export class PerformanceAnalyzer {
             robustness: 0          // Índice de robustez
         };
         
+        this.maxPoints = options.maxPoints ?? 1000; // Tamanho máximo do histórico
         this.analysisWindow = 200; // Pontos para análise de regime permanente
         this.settlingBand = 0.02;  // 2% para critério de acomodação
         this.isStepResponse = false;
@@ -58,8 +59,7 @@ export class PerformanceAnalyzer {
         this.data.error.push(setpoint - pv);
         
         // Limita o tamanho do histórico
-        const maxPoints = 1000;
-        if (this.data.time.length > maxPoints) {
+        if (this.data.time.length > this.maxPoints) {
             Object.keys(this.data).forEach(key => {
                 this.data[key].shift();
             });
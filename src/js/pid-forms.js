@@ -0,0 +1,85 @@
+/**
+ * Formas de parametrização do PID e conversões de ganhos
+ * Internamente o AdvancedPIDController usa a forma paralela (Kp, Ki, Kd);
+ * as formas ideal (ISA) e série (interativa) usam (Kc, Ti, Td) em segundos.
+ * Ti = Infinity representa ausência de ação integral.
+ */
+
+export const PID_FORMS = {
+    parallel: { name: 'Paralela', labels: ['Kp', 'Ki', 'Kd'] },
+    ideal: { name: 'ISA / Ideal', labels: ['Kc', 'Ti (s)', 'Td (s)'] },
+    series: { name: 'Série / Interativa', labels: ['Kc', 'Ti (s)', 'Td (s)'] }
+};
+
+function hasIntegral(Ti) {
+    return Ti > 0 && Number.isFinite(Ti);
+}
+
+// Ideal: C(s) = Kc·(1 + 1/(Ti·s) + Td·s)
+export function idealToParallel(Kc, Ti, Td = 0) {
+    return {
+        kp: Kc,
+        ki: hasIntegral(Ti) ? Kc / Ti : 0,
+        kd: Kc * Td
+    };
+}
+
+export function parallelToIdeal({ kp, ki, kd }) {
+    if (kp === 0) return null; // Sem ganho proporcional a forma ideal não é definida
+    return { Kc: kp, Ti: ki !== 0 ? kp / ki : Infinity, Td: kd / kp };
+}
+
+// Série: C(s) = Kc'·(1 + 1/(Ti'·s))·(1 + Td'·s)
+export function seriesToIdeal(Kc, Ti, Td = 0) {
+    const factor = hasIntegral(Ti) ? 1 + Td / Ti : 1;
+    return { Kc: Kc * factor, Ti: hasIntegral(Ti) ? Ti * factor : Infinity, Td: Td / factor };
+}
+
+export function seriesToParallel(Kc, Ti, Td = 0) {
+    const ideal = seriesToIdeal(Kc, Ti, Td);
+    return idealToParallel(ideal.Kc, ideal.Ti, ideal.Td);
+}
+
+/**
+ * A forma série só representa zeros reais: exige Ti ≥ 4·Td na forma ideal.
+ * @returns {{ Kc: number, Ti: number, Td: number } | null} null se não houver equivalente.
+ */
+export function idealToSeries(Kc, Ti, Td = 0) {
+    if (!hasIntegral(Ti)) return { Kc, Ti: Infinity, Td };
+    const discriminant = 1 - 4 * Td / Ti;
+    if (discriminant < 0) return null;
+
+    const root = Math.sqrt(discriminant);
+    return {
+        Kc: Kc * (1 + root) / 2,
+        Ti: Ti * (1 + root) / 2,
+        Td: Ti * (1 - root) / 2
+    };
+}
+
+/**
+ * Converte ganhos paralelos para a forma pedida.
+ * @param {'parallel'|'ideal'|'series'} form
+ * @returns {number[] | null} Parâmetros na ordem de PID_FORMS[form].labels, ou null se não houver equivalente.
+ */
+export function fromParallel(form, gains) {
+    if (form === 'parallel') return [gains.kp, gains.ki, gains.kd];
+
+    const ideal = parallelToIdeal(gains);
+    if (!ideal) return null;
+    if (form === 'ideal') return [ideal.Kc, ideal.Ti, ideal.Td];
+
+    const series = idealToSeries(ideal.Kc, ideal.Ti, ideal.Td);
+    return series ? [series.Kc, series.Ti, series.Td] : null;
+}
+
+/**
+ * Converte parâmetros da forma indicada para ganhos paralelos.
+ * @param {'parallel'|'ideal'|'series'} form
+ * @param {number[]} params Na ordem de PID_FORMS[form].labels.
+ */
+export function toParallel(form, [a, b, c]) {
+    if (form === 'parallel') return { kp: a, ki: b, kd: c };
+    if (form === 'ideal') return idealToParallel(a, b, c);
+    return seriesToParallel(a, b, c);
+}
@@ -1,3 +1,5 @@
+import { OdeSolver } from './ode-solver.js';
+
 export class MechanicalSystem {
     // Parâmetros Físicos
     _inertia; // Equivalente à massa do objeto
@@ -13,133 +15,283 @@ export class MechanicalSystem {
     // Perturbações externas
     _disturbance = 0;
 
-    // ✨ NOVOS: Características mais realísticas
-    sensorNoise = {
-        enabled: false,
-        amplitude: 0.5
-    };
-
-    systemDelay = {
-        enabled: false,
-        time: 0.1,
-        buffer: []
-    };
-
+    // Ruído e atraso ficam na PlantPipeline, comum a todas as plantas
     simulationTime = 0;
 
+    static parameterSchema = [
+        { key: 'inertia', property: '_inertia', label: 'Massa', units: 'kg', min: 0, exclusiveMin: true, default: 1.0, description: 'Massa movida pela força aplicada' },
+        { key: 'friction', property: '_friction', label: 'Atrito viscoso', units: 'N⋅s/m', min: 0, default: 0.2, description: 'Força de atrito por unidade de velocidade' },
+        { key: 'load', property: '_load', label: 'Carga', units: 'N', default: 20.0, description: 'Força constante contra o movimento (ex.: peso); negativa empurra a favor' }
+    ];
+
     constructor(params) {
         this._inertia = params.inertia;
         this._friction = params.friction;
         this._load = params.load;
+        this.solver = params.solver || new OdeSolver();
 
-        // ✨ NOVO: Configurações opcionais
-        this.sensorNoise.enabled = params.noiseEnabled || false;
-        this.sensorNoise.amplitude = params.noiseAmplitude || 0.5;
-        this.systemDelay.enabled = params.delayEnabled || false;
-        this.systemDelay.time = params.delayTime || 0.1;
-
-        if (params.autoEquilibrium) {
-            this.state.position = params.initialPosition ?? 0;
-        } else {
-            this.state.position = params.initialPosition || 0;
-        }
+        // O equilíbrio para um setpoint é calculado pelo trim (linearization.js), não aqui
+        this.state.position = params.initialPosition ?? 0;
+        this._initialPosition = this.state.position;
     }
 
     update(controlOutput, dt) {
         this.simulationTime += dt;
-        
-        // ✨ NOVO: Aplica atraso no sistema se habilitado
-        let actualOutput = controlOutput;
-        if (this.systemDelay.enabled) {
-            actualOutput = this._applyDelay(controlOutput, dt);
-        }
 
-        // Física original (não mudou)
-        const frictionForce = -this._friction * this.state.velocity;
+        const appliedForce = controlOutput + this._disturbance;
+        [this.state.position, this.state.velocity] = this.solver.integrate(
+            x => this.derivatives(x, appliedForce),
+            [this.state.position, this.state.velocity],
+            dt
+        );
+
+        return {
+            ...this.state,
+            processVariable: this.state.position,
+            actualOutput: controlOutput,
+            disturbanceForce: this._disturbance
+        };
+    }
+
+    // Física original: m·dv/dt = F − b·v − carga
+    derivatives([position, velocity], appliedForce) {
+        const frictionForce = -this._friction * velocity;
         const loadForce = -this._load;
-        const netForce = actualOutput + this._disturbance + frictionForce + loadForce;
-        const acceleration = netForce / this._inertia;
+        const netForce = appliedForce + frictionForce + loadForce;
+        return [velocity, netForce / this._inertia];
+    }
+
+    setDisturbance(value) {
+        this._disturbance = value;
+    }
+
+    reset() {
+        this.state.position = this._initialPosition; // Corridas reprodutíveis partem do mesmo estado
+        this.state.velocity = 0;
+        this._disturbance = 0;
+        this.simulationTime = 0;      // ✨ NOVO
+    }
+}
+
+const DEG = Math.PI / 180;
+const GRAVITY = 9.81; // m/s²
+
+/**
+ * Pêndulo invertido sobre carrinho: instável em malha aberta.
+ * A MV é a força no carrinho (N); a PV é o ângulo da haste em graus,
+ * medido a partir da vertical e positivo quando a haste tomba para o lado −x.
+ */
+export class InvertedPendulumSystem {
+    static parameterSchema = [
+        { key: 'cartMass', label: 'Massa do carrinho', units: 'kg', min: 0, exclusiveMin: true, default: 1.0, description: 'Massa do carrinho que a força empurra' },
+        { key: 'pendulumMass', label: 'Massa da haste', units: 'kg', min: 0, exclusiveMin: true, default: 0.2, description: 'Massa concentrada na ponta da haste' },
+        { key: 'pendulumLength', label: 'Comprimento da haste', units: 'm', min: 0, exclusiveMin: true, default: 1.0, description: 'Do pivô até a massa; hastes curtas caem mais depressa' },
+        { key: 'cartFriction', label: 'Atrito do carrinho', units: 'N⋅s/m', min: 0, default: 0.1, description: 'Atrito viscoso das rodas no trilho' },
+        { key: 'trackLength', label: 'Comprimento do trilho', units: 'm', min: 0, exclusiveMin: true, default: 4, description: 'O carrinho parte do centro e para nos fins de curso' },
+        { key: 'maxForce', label: 'Força máxima', units: 'N', min: 0, exclusiveMin: true, default: 20, description: 'Força do acionamento com a MV em ±100%' },
+        { key: 'fallAngle', label: 'Ângulo de queda', units: '°', min: 0, exclusiveMin: true, max: 90, default: 45, description: 'Inclinação além da qual a haste é dada como caída' },
+        { key: 'initialAngle', label: 'Inclinação inicial', units: '°', default: 3, apply: 'reset', description: 'Tira a haste do equilíbrio no início da corrida' }
+    ];
+
+    static validateParameters(values) {
+        return Math.abs(values.initialAngle) < values.fallAngle ? {} : { initialAngle: 'deve ficar abaixo do ângulo de queda, senão a haste começa caída' };
+    }
+
+    constructor(params = {}) {
+        this.cartMass = params.cartMass ?? 1.0;             // kg
+        this.pendulumMass = params.pendulumMass ?? 0.2;     // kg (massa concentrada na ponta)
+        this.pendulumLength = params.pendulumLength ?? 1.0; // m
+        this.cartFriction = params.cartFriction ?? 0.1;     // N⋅s/m
+        this.trackLength = params.trackLength ?? 4;         // m (carrinho parte do centro)
+        this.maxForce = params.maxForce ?? 20;              // N
+        this.fallAngle = params.fallAngle ?? 45;            // ° além do qual a haste é dada como caída
+        this.initialAngle = params.initialAngle ?? 3;       // ° (inclinação inicial tira o sistema do equilíbrio)
+        this.solver = params.solver || new OdeSolver();
+        // Qualquer posição do carrinho é equilíbrio: o trim a mantém fixa
+        this.driftStates = [0];
+
+        this.disturbances = {
+            cartForce: 0 // N (empurrão no carrinho)
+        };
+
+        this.reset();
+    }
+
+    update(force, dt) {
+        this.simulationTime += dt;
 
-        this.state.velocity += acceleration * dt;
-        this.state.position += this.state.velocity * dt;
+        const appliedForce = Math.max(-this.maxForce, Math.min(this.maxForce, force));
 
-        // ✨ NOVO: Adiciona ruído no sensor se habilitado
-        let measuredPosition = this.state.position;
-        if (this.sensorNoise.enabled) {
-            measuredPosition = this._addSensorNoise(this.state.position);
+        // Depois da falha o sistema fica congelado até o reinício
+        if (!this.failure) {
+            const { cartPosition, cartVelocity, angle, angularVelocity } = this.state;
+            [this.state.cartPosition, this.state.cartVelocity, this.state.angle, this.state.angularVelocity] = this.solver.integrate(
+                x => this.derivatives(x, appliedForce + this.disturbances.cartForce),
+                [cartPosition, cartVelocity, angle, angularVelocity],
+                dt
+            );
+            this.checkFailure();
         }
 
         return {
-            ...this.state,
-            measuredPosition: measuredPosition // ✨ Novo campo
+            processVariable: this.state.angle / DEG,
+            actualOutput: appliedForce,
+            cartPosition: this.state.cartPosition,
+            cartVelocity: this.state.cartVelocity,
+            angularVelocity: this.state.angularVelocity / DEG,
+            cartDisturbance: this.disturbances.cartForce
         };
     }
 
-    // ✨ NOVO: Implementa atraso no sistema
-    _applyDelay(input, dt) {
-        this.systemDelay.buffer.push({
-            value: input,
-            time: this.simulationTime
-        });
+    /**
+     * Equações de Lagrange com o ângulo φ (rad) e a massa na ponta da haste:
+     * (M + m sin²φ)·ẍ = F − b·ẋ + m·g·sinφ·cosφ − m·l·φ̇²·sinφ
+     * l·φ̈ = g·sinφ + ẍ·cosφ
+     */
+    derivatives([cartPosition, cartVelocity, angle, angularVelocity], force) {
+        const m = this.pendulumMass;
+        const l = this.pendulumLength;
+        const sin = Math.sin(angle);
+        const cos = Math.cos(angle);
 
-        // Remove dados muito antigos
-        const cutoffTime = this.simulationTime - this.systemDelay.time * 3;
-        this.systemDelay.buffer = this.systemDelay.buffer.filter(
-            item => item.time > cutoffTime
-        );
+        const cartAcceleration = (force - this.cartFriction * cartVelocity + m * GRAVITY * sin * cos - m * l * angularVelocity ** 2 * sin) /
+            (this.cartMass + m * sin ** 2);
+        const angularAcceleration = (GRAVITY * sin + cartAcceleration * cos) / l;
 
-        // Busca valor com atraso
-        const targetTime = this.simulationTime - this.systemDelay.time;
-        let output = input; // Fallback
+        return [cartVelocity, cartAcceleration, angularVelocity, angularAcceleration];
+    }
 
-        for (let i = this.systemDelay.buffer.length - 1; i >= 0; i--) {
-            if (this.systemDelay.buffer[i].time <= targetTime) {
-                output = this.systemDelay.buffer[i].value;
-                break;
-            }
+    checkFailure() {
+        if (Math.abs(this.state.angle) > this.fallAngle * DEG) {
+            this.failure = `O pêndulo caiu (|θ| > ${this.fallAngle}°) em t = ${this.simulationTime.toFixed(1)} s`;
+        } else if (Math.abs(this.state.cartPosition) > this.trackLength / 2) {
+            // Batente: o carrinho para no fim do trilho
+            this.state.cartPosition = Math.sign(this.state.cartPosition) * this.trackLength / 2;
+            this.state.cartVelocity = 0;
+            this.failure = `O carrinho atingiu o fim do trilho (±${(this.trackLength / 2).toFixed(1)} m) em t = ${this.simulationTime.toFixed(1)} s`;
         }
+    }
 
-        return output;
+    // Mensagem da falha ou null enquanto o sistema está íntegro
+    getFailure() {
+        return this.failure;
     }
 
-    // ✨ NOVO: Adiciona ruído realístico
-    _addSensorNoise(cleanSignal) {
-        const sinusoidalNoise = Math.sin(this.simulationTime * 8) * 0.4 +
-                               Math.sin(this.simulationTime * 20.3) * 0.15;
-        const randomNoise = (Math.random() - 0.5) * 0.5;
-        
-        const totalNoise = (sinusoidalNoise + randomNoise) * this.sensorNoise.amplitude;
-        return cleanSignal + totalNoise;
+    setDisturbance(type, value) {
+        if (type === 'push') {
+            this.disturbances.cartForce = value;
+        }
     }
 
-    // ✨ NOVOS: Métodos para controlar características em tempo real
-    enableNoise(amplitude = 0.5) {
-        this.sensorNoise.enabled = true;
-        this.sensorNoise.amplitude = amplitude;
+    reset() {
+        this.state = {
+            cartPosition: 0,
+            cartVelocity: 0,
+            angle: this.initialAngle * DEG,
+            angularVelocity: 0
+        };
+        this.disturbances.cartForce = 0;
+        this.failure = null;
+        this.simulationTime = 0;
     }
+}
+
+/**
+ * Bola e viga: a MV comanda o ângulo da viga por um servo de primeira ordem;
+ * a PV é a posição da bola em cm, medida a partir da extremidade esquerda.
+ * Duplo integrador em malha aberta: qualquer inclinação acelera a bola.
+ */
+export class BallAndBeamSystem {
+    static parameterSchema = [
+        { key: 'beamLength', label: 'Comprimento da viga', units: 'm', min: 0, exclusiveMin: true, default: 1.0, description: 'Viga apoiada no centro; a PV vai de 0 a 100 cm ao longo dela' },
+        { key: 'maxBeamAngle', label: 'Ângulo máximo', units: '°', min: 0, exclusiveMin: true, max: 90, default: 15, description: 'Batentes mecânicos do servo da viga' },
+        { key: 'servoTimeConstant', label: 'Constante do servo', units: 's', min: 0, default: 0.05, description: 'Atraso do servo até o ângulo comandado (0 = imediato)' },
+        { key: 'initialPosition', label: 'Posição inicial', units: 'cm', min: 0, default: 25, apply: 'reset', description: 'Onde a bola é solta, medido a partir da ponta da viga' }
+    ];
 
-    disableNoise() {
-        this.sensorNoise.enabled = false;
+    static validateParameters(values) {
+        return values.initialPosition <= values.beamLength * 100 ? {} : { initialPosition: 'deve ficar sobre a viga (no máximo o comprimento dela)' };
     }
 
-    enableDelay(delayTime = 0.1) {
-        this.systemDelay.enabled = true;
-        this.systemDelay.time = delayTime;
+    constructor(params = {}) {
+        this.beamLength = params.beamLength ?? 1.0;               // m (pivô no centro)
+        this.maxBeamAngle = params.maxBeamAngle ?? 15;            // ° (batentes mecânicos do servo)
+        this.servoTimeConstant = params.servoTimeConstant ?? 0.05; // s
+        this.initialPosition = params.initialPosition ?? 25;      // cm
+        this.solver = params.solver || new OdeSolver();
+
+        this.disturbances = {
+            baseTilt: 0 // ° (base desnivelada soma-se ao ângulo da viga)
+        };
+
+        this.reset();
     }
 
-    disableDelay() {
-        this.systemDelay.enabled = false;
-        this.systemDelay.buffer = [];
+    update(angleCommand, dt) {
+        this.simulationTime += dt;
+
+        // MV de ±100% corresponde ao ângulo máximo da viga
+        const commandedAngle = Math.max(-100, Math.min(100, angleCommand)) / 100 * this.maxBeamAngle * DEG;
+
+        if (!this.failure) {
+            // Sem dinâmica do servo a viga assume o ângulo comandado
+            if (this.servoTimeConstant <= 0) this.state.beamAngle = commandedAngle;
+            const { ballPosition, ballVelocity, beamAngle } = this.state;
+            [this.state.ballPosition, this.state.ballVelocity, this.state.beamAngle] = this.solver.integrate(
+                x => this.derivatives(x, commandedAngle),
+                [ballPosition, ballVelocity, beamAngle],
+                dt
+            );
+            this.checkFailure();
+        }
+
+        return {
+            processVariable: (this.state.ballPosition + this.beamLength / 2) * 100,
+            actualOutput: commandedAngle / DEG / this.maxBeamAngle * 100,
+            ballVelocity: this.state.ballVelocity * 100,
+            beamAngle: this.state.beamAngle / DEG,
+            baseTilt: this.disturbances.baseTilt
+        };
     }
 
-    setDisturbance(value) {
-        this._disturbance = value;
+    /**
+     * Bola maciça rolando sem deslizar (J = 2/5·m·R²):
+     * r̈ = 5/7·(r·α̇² + g·sin(α + inclinação da base)); o termo centrífugo sempre empurra a bola
+     * para longe do pivô. Inclinação positiva faz a bola rolar para +r (PV maior), por isso a
+     * gravidade entra com sinal positivo. O servo segue o comando com constante τ.
+     */
+    derivatives([ballPosition, ballVelocity, beamAngle], commandedAngle) {
+        const beamRate = this.servoTimeConstant > 0 ? (commandedAngle - beamAngle) / this.servoTimeConstant : 0;
+        const inclination = beamAngle + this.disturbances.baseTilt * DEG;
+        const ballAcceleration = 5 / 7 * (ballPosition * beamRate ** 2 + GRAVITY * Math.sin(inclination));
+        return [ballVelocity, ballAcceleration, beamRate];
+    }
+
+    checkFailure() {
+        if (Math.abs(this.state.ballPosition) > this.beamLength / 2) {
+            this.failure = `A bola saiu da viga pelo lado ${this.state.ballPosition < 0 ? 'esquerdo' : 'direito'} em t = ${this.simulationTime.toFixed(1)} s`;
+        }
+    }
+
+    // Mensagem da falha ou null enquanto o sistema está íntegro
+    getFailure() {
+        return this.failure;
+    }
+
+    setDisturbance(type, value) {
+        if (type === 'tilt') {
+            this.disturbances.baseTilt = value;
+        }
     }
 
     reset() {
-        this.state.velocity = 0;
-        this._disturbance = 0;
-        this.systemDelay.buffer = []; // ✨ NOVO
-        this.simulationTime = 0;      // ✨ NOVO
+        this.state = {
+            ballPosition: this.initialPosition / 100 - this.beamLength / 2,
+            ballVelocity: 0,
+            beamAngle: 0
+        };
+        this.disturbances.baseTilt = 0;
+        this.failure = null;
+        this.simulationTime = 0;
     }
-}
\ No newline at end of file
+}
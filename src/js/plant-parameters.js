@@ -0,0 +1,142 @@
+/**
+ * Parâmetros físicos editáveis das plantas
+ * Cada classe de planta declara `static parameterSchema`, uma lista de campos
+ * { key, index, property, label, units, min, max, exclusiveMin, integer, default, description, apply }:
+ * key é a chave do construtor; index aponta o elemento quando o parâmetro é um vetor;
+ * property é o atributo da planta quando difere da chave; apply: 'reset' marca os campos
+ * que só valem a partir do estado inicial. Os demais podem mudar com a planta rodando.
+ * Restrições entre campos ficam em `static validateParameters(values)` da classe.
+ */
+
+export function getParameterSchema(plant) {
+    return plant.constructor.parameterSchema || [];
+}
+
+// Identificador único do campo, também usado nos atributos data- da tabela
+export function parameterId(field) {
+    return field.index === undefined ? field.key : `${field.key}[${field.index}]`;
+}
+
+export function readParameter(values, field) {
+    const value = values[field.key];
+    return field.index === undefined ? value : value?.[field.index];
+}
+
+export function writeParameter(values, field, value) {
+    if (field.index === undefined) {
+        values[field.key] = value;
+    } else {
+        values[field.key] = [...(values[field.key] || [])];
+        values[field.key][field.index] = value;
+    }
+}
+
+// Cópia com vetores próprios: a planta pode alterá-los sem mexer nos valores guardados
+export function cloneParameters(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, Array.isArray(value) ? [...value] : value]));
+}
+
+export function parameterDefaults(schema) {
+    const values = {};
+    schema.forEach(field => writeParameter(values, field, field.default));
+    return values;
+}
+
+/**
+ * @param {Function} PlantClass Classe com parameterSchema.
+ * @param {object} values Valores no formato do construtor.
+ * @returns {object} id do campo → mensagem; vazio quando tudo é fisicamente possível.
+ */
+export function validateParameters(PlantClass, values) {
+    const errors = {};
+    (PlantClass.parameterSchema || []).forEach(field => {
+        const value = readParameter(values, field);
+        const units = field.units ? ` ${field.units}` : '';
+        if (!Number.isFinite(value)) {
+            errors[parameterId(field)] = 'valor numérico obrigatório';
+        } else if (field.integer && !Number.isInteger(value)) {
+            errors[parameterId(field)] = 'deve ser um número inteiro';
+        } else if (field.min !== undefined && (field.exclusiveMin ? value <= field.min : value < field.min)) {
+            errors[parameterId(field)] = `deve ser ${field.exclusiveMin ? 'maior que' : 'no mínimo'} ${field.min}${units}`;
+        } else if (field.max !== undefined && value > field.max) {
+            errors[parameterId(field)] = `deve ser no máximo ${field.max}${units}`;
+        }
+    });
+    // As restrições entre campos só fazem sentido com cada campo válido
+    if (Object.keys(errors).length === 0 && PlantClass.validateParameters) {
+        Object.assign(errors, PlantClass.validateParameters(values));
+    }
+    return errors;
+}
+
+// Grava os campos na planta; os vetores são copiados antes da escrita
+export function applyParameters(plant, values, fields = getParameterSchema(plant)) {
+    fields.forEach(field => {
+        const property = field.property || field.key;
+        const value = readParameter(values, field);
+        if (field.index === undefined) {
+            plant[property] = value;
+        } else {
+            plant[property] = [...plant[property]];
+            plant[property][field.index] = value;
+        }
+    });
+}
+
+/**
+ * Variantes nomeadas de cada planta guardadas no armazenamento do navegador.
+ * Sem armazenamento disponível (modo privado, arquivo local bloqueado) as variantes
+ * valem só para a sessão.
+ */
+export class PlantVariantStore {
+    constructor(storageKey = 'pidSimulator.plantVariants') {
+        this.storageKey = storageKey;
+        this.variants = this.load();
+    }
+
+    // O próprio acesso ao localStorage lança exceção quando o navegador o bloqueia
+    getStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(this.getStorage()?.getItem(this.storageKey) ?? '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    persist() {
+        try {
+            this.getStorage()?.setItem(this.storageKey, JSON.stringify(this.variants));
+        } catch (error) {
+            // Cota cheia ou armazenamento bloqueado: a variante continua disponível nesta sessão
+        }
+    }
+
+    list(plantType) {
+        return Object.keys(this.variants[plantType] || {}).sort((a, b) => a.localeCompare(b));
+    }
+
+    get(plantType, name) {
+        const values = this.variants[plantType]?.[name];
+        return values ? cloneParameters(values) : null;
+    }
+
+    save(plantType, name, values) {
+        this.variants[plantType] = { ...this.variants[plantType], [name]: cloneParameters(values) };
+        this.persist();
+    }
+
+    remove(plantType, name) {
+        if (!this.variants[plantType]) return;
+        delete this.variants[plantType][name];
+        this.persist();
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * Cadeia de atuação e medição que envolve qualquer planta
+ * Atuação: não linearidades do atuador → atraso de transporte.
+ * Medição: atraso do sensor (primeira ordem) → ruído → modelos de ruído/quantização → faixa do transmissor.
+ * A planta envolvida só descreve a física; as opções de realismo valem para todas.
+ * Plantas com segunda entrada (setSecondaryInput) ganham um segundo canal, com atuador,
+ * atraso e sensor próprios e as mesmas opções do canal principal.
+ */
+
+import { SeededRandom, MeasurementNoise } from './noise-models.js';
+import { ActuatorModel } from './actuator-models.js';
+
+export class PlantPipeline {
+    /**
+     * @param {object} plant Planta com update(mv, dt), setDisturbance(...) e reset().
+     * @param {object} options
+     *   random: SeededRandom compartilhado da sessão,
+     *   range: { min, max } do transmissor.
+     */
+    constructor(plant, options = {}) {
+        this.plant = plant;
+        this.random = options.random || new SeededRandom();
+
+        // Estado de cada canal; o principal também fica exposto como actuator e measurementNoise
+        this.primary = this.createChannel();
+        this.secondary = typeof plant.setSecondaryInput === 'function' ? this.createChannel() : null;
+        this.actuator = this.primary.actuator;
+        this.measurementNoise = this.primary.measurementNoise;
+        this.noiseModels = {}; // chave → parâmetros dos modelos de ruído ligados
+
+        // Atraso de transporte entre o atuador e a planta
+        this.systemDelay = {
+            enabled: false,
+            time: 0.1
+        };
+
+        // Dinâmica do sensor: y_medido segue a PV com constante de tempo
+        this.sensorLag = {
+            timeConstant: 0
+        };
+
+        // Ruído clássico do sensor (senoides de interferência + aleatório), em unidades da PV
+        this.sensorNoise = {
+            enabled: false,
+            amplitude: 0.5
+        };
+
+        // Faixa calibrada do transmissor: a medição satura fora dela
+        this.sensorRange = {
+            enabled: false,
+            min: options.range ? options.range.min : -Infinity,
+            max: options.range ? options.range.max : Infinity
+        };
+
+        this.simulationTime = 0;
+    }
+
+    // Estado dinâmico de um canal: o comando (só no secundário), o histórico do atraso e o sensor
+    createChannel() {
+        return {
+            command: 0,
+            actuator: new ActuatorModel(),
+            delayBuffer: [],
+            lagState: null,
+            measurementNoise: new MeasurementNoise(this.random)
+        };
+    }
+
+    update(controlOutput, dt) {
+        this.simulationTime += dt;
+
+        const primary = this.actuate(this.primary, controlOutput, dt);
+        const secondary = this.secondary ? this.actuate(this.secondary, this.secondary.command, dt) : null;
+        if (secondary) this.plant.setSecondaryInput(secondary.applied);
+        const plantState = this.plant.update(primary.applied, dt);
+        const trueValue = plantState.processVariable ?? plantState.position;
+
+        const state = {
+            ...plantState,
+            actuatorPosition: primary.position,
+            processVariable: this.measure(this.primary, trueValue, dt),
+            trueProcessVariable: trueValue
+        };
+        if (secondary) {
+            state.secondaryActuatorPosition = secondary.position;
+            state.secondaryProcessVariable = this.measure(this.secondary, plantState.secondaryProcessVariable, dt);
+            state.trueSecondaryProcessVariable = plantState.secondaryProcessVariable;
+        }
+        return state;
+    }
+
+    // MV da segunda malha; entra na planta no próximo update, depois do atuador e do atraso
+    setSecondaryInput(command) {
+        if (this.secondary) this.secondary.command = command;
+    }
+
+    // Atuador seguido do atraso de transporte: posição do atuador e valor que chega à planta
+    actuate(channel, command, dt) {
+        const position = channel.actuator.update(command, dt);
+        const applied = this.systemDelay.enabled && dt > 0 ? this.applyDelay(channel.delayBuffer, position) : position;
+        return { position, applied };
+    }
+
+    // Busca no histórico o último valor com idade ≥ tempo de atraso
+    applyDelay(buffer, input) {
+        buffer.push({ value: input, time: this.simulationTime });
+
+        const targetTime = this.simulationTime - this.systemDelay.time;
+        // Sem histórico suficiente (atraso recém-ligado) mantém o valor mais antigo disponível
+        let output = buffer[0].value;
+        while (buffer.length > 1 && buffer[1].time <= targetTime) {
+            buffer.shift();
+            output = buffer[0].value;
+        }
+        return output;
+    }
+
+    measure(channel, value, dt) {
+        // Leituras sem avanço de tempo (dt = 0) não sorteiam ruído nem movem o sensor
+        if (channel.lagState === null || dt <= 0) {
+            channel.lagState = value;
+            return this.clampToRange(value);
+        }
+
+        const tau = this.sensorLag.timeConstant;
+        channel.lagState = tau > 0 ? channel.lagState + (value - channel.lagState) * (1 - Math.exp(-dt / tau)) : value;
+
+        let measured = channel.lagState;
+        if (this.sensorNoise.enabled) measured += this.sensorNoiseSample();
+        measured = channel.measurementNoise.apply(measured, dt);
+        return this.clampToRange(measured);
+    }
+
+    // Ruído realístico original do sistema mecânico, agora com sorteio reprodutível
+    sensorNoiseSample() {
+        const sinusoidalNoise = Math.sin(this.simulationTime * 8) * 0.4 +
+            Math.sin(this.simulationTime * 20.3) * 0.15;
+        const randomNoise = (this.random.next() - 0.5) * 0.5;
+        return (sinusoidalNoise + randomNoise) * this.sensorNoise.amplitude;
+    }
+
+    clampToRange(value) {
+        if (!this.sensorRange.enabled) return value;
+        return Math.max(this.sensorRange.min, Math.min(this.sensorRange.max, value));
+    }
+
+    // === CONFIGURAÇÃO EM TEMPO REAL ===
+    getChannels() {
+        return this.secondary ? [this.primary, this.secondary] : [this.primary];
+    }
+
+    setActuatorParams(params) {
+        this.getChannels().forEach(channel => channel.actuator.setParams(params));
+    }
+
+    setNoiseModel(key, enabled, params = {}) {
+        this.getChannels().forEach(channel => channel.measurementNoise.setModel(key, enabled, params));
+        if (enabled) {
+            this.noiseModels[key] = { ...params };
+        } else {
+            delete this.noiseModels[key];
+        }
+    }
+
+    enableNoise(amplitude = 0.5) {
+        this.sensorNoise.enabled = true;
+        this.sensorNoise.amplitude = amplitude;
+    }
+
+    disableNoise() {
+        this.sensorNoise.enabled = false;
+    }
+
+    enableDelay(delayTime = 0.1) {
+        this.systemDelay.enabled = true;
+        this.systemDelay.time = delayTime;
+    }
+
+    disableDelay() {
+        this.systemDelay.enabled = false;
+        this.getChannels().forEach(channel => { channel.delayBuffer = []; });
+    }
+
+    setSensorLag(timeConstant) {
+        this.sensorLag.timeConstant = Math.max(0, timeConstant);
+    }
+
+    setSensorRange(min, max, enabled = this.sensorRange.enabled) {
+        this.sensorRange = { enabled, min, max };
+    }
+
+    setDisturbance(...args) {
+        this.plant.setDisturbance(...args);
+    }
+
+    // Plantas instáveis informam falhas físicas (queda, fim de curso); as demais nunca falham
+    getFailure() {
+        return this.plant.getFailure ? this.plant.getFailure() : null;
+    }
+
+    /**
+     * Pipeline com as mesmas opções de realismo em volta de outra planta, para simulações
+     * à parte (otimização, comparação de regras) que não podem mexer no estado ao vivo.
+     * @param {object} plant Planta nova.
+     * @param {SeededRandom} random Gerador próprio: com a mesma semente, o ruído se repete a cada simulação.
+     */
+    withPlant(plant, random) {
+        const copy = new PlantPipeline(plant, { random });
+        copy.setActuatorParams(this.actuator.params);
+        copy.systemDelay = { ...this.systemDelay };
+        copy.sensorLag = { ...this.sensorLag };
+        copy.sensorNoise = { ...this.sensorNoise };
+        copy.sensorRange = { ...this.sensorRange };
+        Object.entries(this.noiseModels).forEach(([key, params]) => copy.setNoiseModel(key, true, params));
+        return copy;
+    }
+
+    reset() {
+        this.plant.reset();
+        this.getChannels().forEach(channel => {
+            channel.actuator.reset();
+            channel.delayBuffer = [];
+            channel.lagState = null;
+            channel.measurementNoise.reset();
+        });
+        // A segunda entrada parte do valor nominal que a planta definiu no reset
+        if (this.secondary) this.secondary.command = this.plant.secondaryInput ?? 0;
+        this.simulationTime = 0;
+    }
+}
@@ -0,0 +1,191 @@
+/**
+ * Auto-sintonia por realimentação a relé (método de Åström–Hägglund)
+ * Substitui o PID por um relé com histerese, detecta o ciclo-limite
+ * e estima o ganho crítico (Ku) e o período crítico (Tu) da planta.
+ */
+
+import { AdvancedPIDController } from './advanced-pid.js';
+
+export class RelayAutoTuner {
+    constructor(options = {}) {
+        this.config = {
+            relayAmplitude: options.relayAmplitude ?? 20,   // d: amplitude do relé em torno do bias (%)
+            hysteresis: options.hysteresis ?? 0.5,          // ε: histerese no erro (unidades da PV)
+            outputMin: options.outputMin ?? -100,
+            outputMax: options.outputMax ?? 100,
+            requiredCycles: options.requiredCycles ?? 4,    // Ciclos consistentes necessários
+            periodTolerance: options.periodTolerance ?? 0.05, // Variação máxima aceitável do período
+            maxAsymmetry: options.maxAsymmetry ?? 0.1,      // Diferença máxima entre semiciclos alto e baixo
+            maxDuration: options.maxDuration ?? 120         // Tempo máximo do experimento (s)
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.status = 'idle'; // 'idle' | 'running' | 'complete' | 'failed'
+        this.message = '';
+        this.bias = 0;
+        this.elapsedTime = 0;
+
+        this.state = {
+            relayHigh: true,
+            output: 0,
+            cycleMax: -Infinity,
+            cycleMin: Infinity,
+            lastRisingSwitch: null,
+            lastFallingSwitch: null
+        };
+
+        this.cycles = []; // { period, amplitude, asymmetry }
+        this.result = null;
+    }
+
+    /**
+     * Inicia o experimento a partir do ponto de operação atual.
+     * @param {number} bias Saída de equilíbrio em torno da qual o relé comuta.
+     */
+    start(bias = 0) {
+        this.reset();
+        this.bias = bias;
+        this.status = 'running';
+        this.message = 'Aguardando oscilação sustentada...';
+    }
+
+    /**
+     * Mesma assinatura de AdvancedPIDController.update para poder ocupar
+     * o lugar do controlador no laço de simulação.
+     */
+    update(setpoint, processVariable, deltaTime) {
+        if (this.status !== 'running') return this.state.output;
+
+        this.elapsedTime += deltaTime;
+        const error = setpoint - processVariable;
+
+        this.state.cycleMax = Math.max(this.state.cycleMax, processVariable);
+        this.state.cycleMin = Math.min(this.state.cycleMin, processVariable);
+
+        // Relé com histerese: só comuta quando o erro atravessa a banda ±ε
+        if (!this.state.relayHigh && error > this.config.hysteresis) {
+            this.state.relayHigh = true;
+            this.onRisingSwitch();
+        } else if (this.state.relayHigh && error < -this.config.hysteresis) {
+            this.state.relayHigh = false;
+            this.state.lastFallingSwitch = this.elapsedTime;
+        }
+
+        const d = this.config.relayAmplitude;
+        const rawOutput = this.bias + (this.state.relayHigh ? d : -d);
+        this.state.output = Math.max(this.config.outputMin, Math.min(this.config.outputMax, rawOutput));
+
+        // Sem comutação por muito tempo o relé não consegue cruzar o setpoint
+        const lastSwitch = Math.max(this.state.lastRisingSwitch ?? 0, this.state.lastFallingSwitch ?? 0);
+        if (this.status === 'running' && this.elapsedTime - lastSwitch >= this.config.maxDuration / 4) {
+            this.fail('Relé não comuta: aumente a amplitude ou aguarde o regime permanente');
+        } else if (this.status === 'running' && this.elapsedTime >= this.config.maxDuration) {
+            this.fail('Tempo máximo excedido sem ciclo-limite estável');
+        }
+
+        return this.state.output;
+    }
+
+    // Cada comutação para o nível alto fecha um ciclo completo do relé
+    onRisingSwitch() {
+        if (this.state.lastRisingSwitch !== null && this.state.lastFallingSwitch !== null) {
+            const period = this.elapsedTime - this.state.lastRisingSwitch;
+            const highTime = this.state.lastFallingSwitch - this.state.lastRisingSwitch;
+            const asymmetry = (2 * highTime - period) / period;
+
+            this.cycles.push({
+                period,
+                amplitude: (this.state.cycleMax - this.state.cycleMin) / 2,
+                asymmetry
+            });
+
+            // Semiciclos desiguais indicam bias fora do equilíbrio: recentraliza o relé
+            if (Math.abs(asymmetry) > this.config.maxAsymmetry) {
+                const correction = 0.5 * this.config.relayAmplitude * asymmetry;
+                this.bias = Math.max(this.config.outputMin, Math.min(this.config.outputMax, this.bias + correction));
+            }
+
+            this.checkConvergence();
+        }
+
+        this.state.lastRisingSwitch = this.elapsedTime;
+        this.state.cycleMax = -Infinity;
+        this.state.cycleMin = Infinity;
+    }
+
+    checkConvergence() {
+        // O primeiro ciclo ainda contém o transitório de partida e é descartado
+        const settled = this.cycles.slice(1);
+        const n = this.config.requiredCycles;
+        this.message = `Ciclo ${this.cycles.length} detectado...`;
+        if (settled.length < n) return;
+
+        const recent = settled.slice(-n);
+        if (recent.some(c => Math.abs(c.asymmetry) > this.config.maxAsymmetry)) return;
+
+        const periods = recent.map(c => c.period);
+        const meanPeriod = periods.reduce((sum, p) => sum + p, 0) / n;
+        const spread = (Math.max(...periods) - Math.min(...periods)) / meanPeriod;
+        if (spread > this.config.periodTolerance) return;
+
+        const amplitude = recent.reduce((sum, c) => sum + c.amplitude, 0) / n;
+        const eps = this.config.hysteresis;
+        if (amplitude <= eps) {
+            this.fail('Amplitude da oscilação menor que a histerese do relé');
+            return;
+        }
+
+        // Função descritiva do relé com histerese: N(a) = 4d / (π·√(a² − ε²))
+        // Amplitude efetiva considerando saturação assimétrica do relé
+        const clamp = (u) => Math.max(this.config.outputMin, Math.min(this.config.outputMax, u));
+        const d = (clamp(this.bias + this.config.relayAmplitude) - clamp(this.bias - this.config.relayAmplitude)) / 2;
+        const ultimateGain = (4 * d) / (Math.PI * Math.sqrt(amplitude * amplitude - eps * eps));
+        const ultimatePeriod = meanPeriod;
+
+        // Usa o método Z-N já existente sem alterar o controlador ativo
+        const gains = new AdvancedPIDController().autoTuneZieglerNichols(ultimateGain, ultimatePeriod);
+
+        this.result = {
+            ultimateGain,
+            ultimatePeriod,
+            amplitude,
+            relayAmplitude: d,
+            cycles: this.cycles.length,
+            gains: { kp: gains.Kp, ki: gains.Ki, kd: gains.Kd },
+            method: gains.method
+        };
+        this.status = 'complete';
+        this.message = 'Ciclo-limite identificado';
+    }
+
+    fail(reason) {
+        this.status = 'failed';
+        this.message = reason;
+    }
+
+    stop() {
+        if (this.status === 'running') {
+            this.fail('Experimento interrompido');
+        }
+    }
+
+    isRunning() {
+        return this.status === 'running';
+    }
+
+    getResult() {
+        return this.result ? { ...this.result, gains: { ...this.result.gains } } : null;
+    }
+
+    getStatus() {
+        return {
+            status: this.status,
+            message: this.message,
+            elapsedTime: this.elapsedTime,
+            cycles: this.cycles.length
+        };
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Gerador de perfis de setpoint: sequência de segmentos executada a partir do setpoint atual
+ * Rampas, degraus e patamares mudam o nível; chirp, onda quadrada e PRBS oscilam em torno
+ * do nível deixado pelo segmento anterior e terminam nele. A forma livre interpola uma
+ * tabela de pontos definida pelo usuário. Um limitador de taxa opcional suaviza a
+ * referência entregue ao controlador.
+ */
+
+// Parâmetros de cada segmento; a aplicação converte spanFraction em unidades da PV,
+// rangeFraction em um valor dentro da faixa da planta e points ([t, fração da faixa])
+// no texto inicial da tabela
+export const SETPOINT_SEGMENTS = {
+    step: {
+        name: 'Degrau',
+        params: [{ key: 'target', label: 'Valor', rangeFraction: 0.6 }, { key: 'duration', label: 'Duração (s)', value: 10 }]
+    },
+    ramp: {
+        name: 'Rampa',
+        params: [{ key: 'target', label: 'Valor final', rangeFraction: 0.6 }, { key: 'duration', label: 'Duração (s)', value: 10 }]
+    },
+    soak: {
+        name: 'Patamar',
+        params: [{ key: 'duration', label: 'Duração (s)', value: 10 }]
+    },
+    chirp: {
+        name: 'Varredura senoidal (chirp)',
+        params: [
+            { key: 'amplitude', label: 'Amplitude', spanFraction: 0.1 },
+            { key: 'startFrequency', label: 'f inicial (Hz)', value: 0.02 },
+            { key: 'endFrequency', label: 'f final (Hz)', value: 0.5 },
+            { key: 'duration', label: 'Duração (s)', value: 60 }
+        ]
+    },
+    square: {
+        name: 'Onda quadrada',
+        params: [
+            { key: 'amplitude', label: 'Amplitude', spanFraction: 0.1 },
+            { key: 'period', label: 'Período (s)', value: 20 },
+            { key: 'duration', label: 'Duração (s)', value: 60 }
+        ]
+    },
+    prbs: {
+        name: 'PRBS',
+        params: [
+            { key: 'amplitude', label: 'Amplitude', spanFraction: 0.05 },
+            { key: 'bitTime', label: 'Tempo de bit (s)', value: 1 },
+            { key: 'duration', label: 'Duração (s)', value: 60 }
+        ]
+    },
+    table: {
+        name: 'Forma livre (tabela)',
+        params: [
+            { key: 'points', label: 'Pontos t: valor; …', points: [[0, 0.5], [10, 0.8], [20, 0.3], [30, 0.6]] },
+            { key: 'duration', label: 'Duração (s)', value: 40 }
+        ]
+    }
+};
+
+/**
+ * Lê a tabela da forma livre no formato "t: valor; t: valor", com t em segundos
+ * desde o início do segmento.
+ * @returns {Array<{time: number, value: number}>|null} null se algum ponto for inválido
+ *   ou os tempos não forem crescentes a partir de zero.
+ */
+export function parseWaveformPoints(text) {
+    const entries = text.split(';').map(entry => entry.trim()).filter(entry => entry !== '');
+    const points = entries.map(entry => {
+        const parts = entry.split(':');
+        if (parts.length !== 2 || parts.some(part => part.trim() === '')) return null;
+        return { time: Number(parts[0]), value: Number(parts[1]) };
+    });
+
+    const isValid = points.length > 0 && points.every((point, i) => point !== null &&
+        Number.isFinite(point.time) && Number.isFinite(point.value) && point.time >= 0 &&
+        (i === 0 || point.time > points[i - 1].time));
+    return isValid ? points : null;
+}
+
+export function formatWaveformPoints(points) {
+    return points.map(point => `${point.time}: ${point.value}`).join('; ');
+}
+
+// Sequência de comprimento máximo (2⁷ − 1 = 127 bits) de um registrador de 7 bits, taps 7 e 6
+const PRBS_SEQUENCE = (() => {
+    const bits = [];
+    let register = 0x7f;
+    for (let i = 0; i < 127; i++) {
+        const bit = ((register >> 6) ^ (register >> 5)) & 1;
+        register = ((register << 1) | bit) & 0x7f;
+        bits.push(bit);
+    }
+    return bits;
+})();
+
+export class SetpointProfile {
+    /**
+     * @param {object} options
+     *   segments: lista de { type, ...params } (ver SETPOINT_SEGMENTS),
+     *   rateLimit: taxa máxima da referência em unidades/s (0 = sem limite).
+     */
+    constructor(options = {}) {
+        this.segments = options.segments || [];
+        this.rateLimit = options.rateLimit || 0;
+        this.start(0);
+    }
+
+    setSegments(segments) {
+        this.segments = segments;
+    }
+
+    setRateLimit(rateLimit) {
+        this.rateLimit = Math.max(0, rateLimit);
+    }
+
+    getDuration() {
+        return this.segments.reduce((total, segment) => total + Math.max(0, segment.duration), 0);
+    }
+
+    // Índice do segmento ativo no instante dado; -1 antes do primeiro ou depois do último
+    getSegmentIndex(time) {
+        let segmentStart = 0;
+        for (let i = 0; i < this.segments.length; i++) {
+            const duration = Math.max(0, this.segments[i].duration);
+            if (time >= segmentStart && time < segmentStart + duration) return i;
+            segmentStart += duration;
+        }
+        return -1;
+    }
+
+    /**
+     * Referência sem o limitador de taxa.
+     * @param {number} time Tempo desde o início do perfil (s).
+     * @param {number} initialValue Setpoint de partida.
+     */
+    valueAt(time, initialValue) {
+        let level = initialValue;
+        let segmentStart = 0;
+
+        for (const segment of this.segments) {
+            const duration = Math.max(0, segment.duration);
+            const elapsed = time - segmentStart;
+            if (elapsed < duration) return this.segmentValue(segment, Math.max(0, elapsed), level);
+            level = this.segmentEndLevel(segment, level);
+            segmentStart += duration;
+        }
+        return level;
+    }
+
+    segmentValue(segment, elapsed, level) {
+        switch (segment.type) {
+            case 'step':
+                return segment.target;
+            case 'ramp':
+                return level + (segment.target - level) * elapsed / segment.duration;
+            case 'chirp': {
+                // Frequência instantânea varre linearmente de f inicial a f final
+                const sweep = (segment.endFrequency - segment.startFrequency) / segment.duration;
+                const phase = 2 * Math.PI * (segment.startFrequency * elapsed + sweep * elapsed * elapsed / 2);
+                return level + segment.amplitude * Math.sin(phase);
+            }
+            case 'square':
+                return level + (elapsed % segment.period < segment.period / 2 ? segment.amplitude : -segment.amplitude);
+            case 'prbs': {
+                const bit = PRBS_SEQUENCE[Math.floor(elapsed / segment.bitTime) % PRBS_SEQUENCE.length];
+                return level + (bit ? segment.amplitude : -segment.amplitude);
+            }
+            case 'table': {
+                // Interpolação linear; antes do primeiro ponto parte do nível atual, depois do último o mantém
+                const points = segment.points;
+                const next = points.findIndex(point => point.time > elapsed);
+                if (next === -1) return points[points.length - 1].value;
+                const previous = next === 0 ? { time: 0, value: level } : points[next - 1];
+                return previous.value + (points[next].value - previous.value) * (elapsed - previous.time) / (points[next].time - previous.time);
+            }
+            default:
+                return level;
+        }
+    }
+
+    segmentEndLevel(segment, level) {
+        if (segment.type === 'table') return this.segmentValue(segment, segment.duration, level);
+        return segment.type === 'step' || segment.type === 'ramp' ? segment.target : level;
+    }
+
+    // === EXECUÇÃO COM LIMITADOR DE TAXA ===
+    start(initialValue) {
+        this.initialValue = initialValue;
+        this.limitedValue = initialValue;
+    }
+
+    /**
+     * @param {number} time Tempo desde o início do perfil (s).
+     * @param {number} dt Passo de tempo (s).
+     * @returns {number} Setpoint entregue ao controlador.
+     */
+    update(time, dt) {
+        const target = this.valueAt(time, this.initialValue);
+        if (this.rateLimit > 0) {
+            const maxStep = this.rateLimit * dt;
+            this.limitedValue += Math.max(-maxStep, Math.min(maxStep, target - this.limitedValue));
+        } else {
+            this.limitedValue = target;
+        }
+        return this.limitedValue;
+    }
+
+    // Terminado quando os segmentos acabaram e o limitador alcançou o nível final
+    isFinished(time) {
+        return time >= this.getDuration() && this.limitedValue === this.valueAt(time, this.initialValue);
+    }
+
+    /**
+     * Amostra o perfil completo sem alterar uma execução em andamento.
+     * @returns {Array<{time: number, value: number, raw: number}>}
+     */
+    preview(initialValue, dt) {
+        const runner = new SetpointProfile({ segments: this.segments, rateLimit: this.rateLimit });
+        runner.start(initialValue);
+        const samples = [{ time: 0, value: runner.update(0, 0), raw: runner.valueAt(0, initialValue) }];
+        // O limitador pode atrasar o fim: segue até assentar, com teto de duas vezes a duração
+        const maxTime = 2 * this.getDuration();
+        for (let time = dt; time <= maxTime + dt / 2; time += dt) {
+            samples.push({ time, value: runner.update(time, dt), raw: runner.valueAt(time, initialValue) });
+            if (runner.isFinished(time)) break;
+        }
+        return samples;
+    }
+}
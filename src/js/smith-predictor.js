@@ -0,0 +1,77 @@
+/**
+ * Preditor de Smith para malhas dominadas por tempo morto
+ * O controlador enxerga a PV prevista sem atraso: PV + ŷ(t) − ŷ(t − θ),
+ * onde ŷ é a resposta do modelo interno FOPDT sem o tempo morto.
+ */
+
+export class SmithPredictor {
+    /**
+     * @param {AdvancedPIDController} controller Controlador envolvido pelo preditor.
+     * @param {object} model Modelo interno { K, tau, theta }.
+     */
+    constructor(controller, model = { K: 1, tau: 1, theta: 0 }) {
+        this.controller = controller;
+        this.model = { ...model };
+
+        this.state = {
+            modelOutput: 0,     // ŷ(t): modelo sem atraso
+            delayBuffer: [],    // Histórico de ŷ cobrindo o tempo morto do modelo
+            predictedPV: 0
+        };
+    }
+
+    setModel(model) {
+        this.model = { ...this.model, ...model };
+    }
+
+    /**
+     * Coloca o modelo em regime para a saída atual, evitando um transitório
+     * espúrio na correção ao ligar o preditor com a planta já operando.
+     */
+    initialize(output = 0) {
+        this.state.modelOutput = this.model.K * output;
+        this.state.delayBuffer = [];
+    }
+
+    /**
+     * @param {number} setpoint
+     * @param {number} processVariable PV medida (com atraso).
+     * @param {number} deltaTime Passo de tempo (s).
+     * @param {number} disturbance Perturbação medida, repassada ao feedforward.
+     * @returns {number} MV aplicada à planta.
+     */
+    update(setpoint, processVariable, deltaTime, disturbance = 0) {
+        if (deltaTime <= 0) return this.controller.update(setpoint, this.state.predictedPV, deltaTime, disturbance);
+
+        // O buffer guarda ŷ amostra a amostra; sua profundidade define o tempo morto do modelo
+        const delaySamples = Math.max(0, Math.round(this.model.theta / deltaTime));
+        const buffer = this.state.delayBuffer;
+        while (buffer.length < delaySamples) buffer.unshift(buffer.length > 0 ? buffer[0] : this.state.modelOutput);
+        while (buffer.length > delaySamples) buffer.shift();
+        const delayedModelOutput = delaySamples > 0 ? buffer[0] : this.state.modelOutput;
+
+        this.state.predictedPV = processVariable + this.state.modelOutput - delayedModelOutput;
+        const output = this.controller.update(setpoint, this.state.predictedPV, deltaTime, disturbance);
+
+        // Avança o modelo com a MV efetivamente aplicada (discretização exata do primeiro ordem)
+        if (delaySamples > 0) {
+            buffer.push(this.state.modelOutput);
+            buffer.shift();
+        }
+        const alpha = this.model.tau > 0 ? 1 - Math.exp(-deltaTime / this.model.tau) : 1;
+        this.state.modelOutput += (this.model.K * output - this.state.modelOutput) * alpha;
+
+        return output;
+    }
+
+    getPredictedPV() {
+        return this.state.predictedPV;
+    }
+
+    reset() {
+        this.controller.reset();
+        this.state.modelOutput = 0;
+        this.state.delayBuffer = [];
+        this.state.predictedPV = 0;
+    }
+}
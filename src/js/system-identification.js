@@ -0,0 +1,278 @@
+/**
+ * Ensaio em malha aberta (degrau na MV) e identificação de modelos
+ * de primeira e segunda ordem com tempo morto (FOPDT / SOPDT)
+ */
+
+import { PerformanceAnalyzer } from './performance-analyzer.js';
+import { nelderMead } from './nelder-mead.js';
+
+// === RESPOSTAS AO DEGRAU DOS MODELOS ===
+
+/**
+ * Resposta incremental de um modelo a um degrau unitário aplicado em t = 0.
+ * @param {object} model { type: 'FOPDT' | 'SOPDT', K, tau | tau1, tau2, theta }
+ * @param {number} t Tempo desde o degrau (s).
+ */
+export function modelStepResponse(model, t) {
+    const ts = t - model.theta;
+    if (ts <= 0) return 0;
+
+    if (model.type === 'SOPDT') {
+        const { tau1, tau2 } = model;
+        if (Math.abs(tau1 - tau2) < 1e-6 * Math.max(tau1, tau2)) {
+            // Polos coincidentes: 1 − (1 + t/τ)·e^(−t/τ)
+            return model.K * (1 - (1 + ts / tau1) * Math.exp(-ts / tau1));
+        }
+        return model.K * (1 - (tau1 * Math.exp(-ts / tau1) - tau2 * Math.exp(-ts / tau2)) / (tau1 - tau2));
+    }
+
+    return model.K * (1 - Math.exp(-ts / model.tau));
+}
+
+// === AJUSTE POR MÍNIMOS QUADRADOS ===
+
+function fitQuality(samples, predict) {
+    const mean = samples.reduce((sum, s) => sum + s.y, 0) / samples.length;
+    let sse = 0;
+    let sst = 0;
+    samples.forEach(s => {
+        const residual = s.y - predict(s.t);
+        sse += residual * residual;
+        sst += (s.y - mean) * (s.y - mean);
+    });
+    return {
+        sse,
+        rmse: Math.sqrt(sse / samples.length),
+        r2: sst > 0 ? 1 - sse / sst : 0
+    };
+}
+
+// Estimativa inicial pelo método dos dois pontos (28,3% e 63,2%) de Smith
+function twoPointEstimate(samples, finalChange, stepSize) {
+    const crossing = (fraction) => {
+        const target = fraction * finalChange;
+        const point = samples.find(s => (finalChange >= 0 ? s.y >= target : s.y <= target));
+        return point ? point.t : samples[samples.length - 1].t;
+    };
+    const t28 = crossing(0.283);
+    const t63 = crossing(0.632);
+    const tau = Math.max(1.5 * (t63 - t28), 1e-3);
+    return {
+        K: finalChange / stepSize,
+        tau,
+        theta: Math.max(0, t63 - tau)
+    };
+}
+
+/**
+ * Ajusta um modelo FOPDT à resposta incremental Δy(t) a um degrau Δu.
+ * @param {Array<{t: number, y: number}>} samples Tempo desde o degrau e variação da PV.
+ * @param {number} stepSize Amplitude do degrau na MV.
+ */
+export function fitFOPDT(samples, stepSize) {
+    const tail = samples.slice(-Math.max(1, Math.floor(samples.length / 10)));
+    const finalChange = tail.reduce((sum, s) => sum + s.y, 0) / tail.length;
+    const guess = twoPointEstimate(samples, finalChange, stepSize);
+
+    // τ em escala logarítmica garante positividade; θ negativo é penalizado
+    const toModel = ([K, logTau, theta]) => ({ type: 'FOPDT', K, tau: Math.exp(logTau), theta: Math.max(0, theta) });
+    const cost = (params) => {
+        const model = toModel(params);
+        const penalty = params[2] < 0 ? params[2] * params[2] * 1e3 : 0;
+        return fitQuality(samples, t => stepSize * modelStepResponse(model, t)).sse + penalty;
+    };
+
+    const best = nelderMead(cost, [guess.K, Math.log(guess.tau), guess.theta], {
+        step: [0.2 * Math.abs(guess.K) || 0.1, 0.5, 0.2 * guess.tau + 0.1]
+    });
+    const model = toModel(best.point);
+    return { ...model, ...fitQuality(samples, t => stepSize * modelStepResponse(model, t)) };
+}
+
+/**
+ * Ajusta um modelo SOPDT (dois polos reais) à resposta incremental.
+ * Parte do FOPDT ajustado para a estimativa inicial.
+ */
+export function fitSOPDT(samples, stepSize, fopdt = fitFOPDT(samples, stepSize)) {
+    const toModel = ([K, logTau1, logTau2, theta]) => {
+        const a = Math.exp(logTau1);
+        const b = Math.exp(logTau2);
+        return { type: 'SOPDT', K, tau1: Math.max(a, b), tau2: Math.min(a, b), theta: Math.max(0, theta) };
+    };
+    const cost = (params) => {
+        const model = toModel(params);
+        const penalty = params[3] < 0 ? params[3] * params[3] * 1e3 : 0;
+        return fitQuality(samples, t => stepSize * modelStepResponse(model, t)).sse + penalty;
+    };
+
+    const initial = [fopdt.K, Math.log(0.7 * fopdt.tau), Math.log(0.3 * fopdt.tau), 0.5 * fopdt.theta];
+    const best = nelderMead(cost, initial, {
+        step: [0.2 * Math.abs(fopdt.K) || 0.1, 0.5, 0.5, 0.2 * fopdt.tau + 0.1],
+        maxIterations: 1500
+    });
+    const model = toModel(best.point);
+    return { ...model, ...fitQuality(samples, t => stepSize * modelStepResponse(model, t)) };
+}
+
+// === ENSAIO AO DEGRAU ===
+
+export class StepTestExperiment {
+    constructor(options = {}) {
+        this.config = {
+            stepSize: options.stepSize ?? 10,            // Degrau na MV (%)
+            baselineDuration: options.baselineDuration ?? 2, // Tempo em manual antes do degrau (s)
+            settleWindow: options.settleWindow ?? 5,      // Janela mínima para detectar regime permanente (s)
+            settleTolerance: options.settleTolerance ?? 0.01, // Variação relativa aceitável na janela
+            maxDuration: options.maxDuration ?? 600,      // Duração máxima do ensaio (s)
+            outputMin: options.outputMin ?? -100,
+            outputMax: options.outputMax ?? 100
+        };
+
+        // Histórico dedicado, longo o suficiente para processos lentos
+        this.analyzer = new PerformanceAnalyzer({ maxPoints: 20000 });
+        this.reset();
+    }
+
+    reset() {
+        this.status = 'idle'; // 'idle' | 'baseline' | 'step' | 'complete' | 'failed'
+        this.message = '';
+        this.elapsedTime = 0;
+        this.initialOutput = 0;
+        this.stepOutput = 0;
+        this.nextSettleCheck = 0;
+        this.result = null;
+        this.analyzer.reset();
+    }
+
+    /**
+     * Inicia o ensaio a partir do ponto de operação atual.
+     * @param {number} initialOutput MV de regime antes do degrau.
+     */
+    start(initialOutput) {
+        this.reset();
+        const clamp = (u) => Math.max(this.config.outputMin, Math.min(this.config.outputMax, u));
+        this.initialOutput = clamp(initialOutput);
+
+        // Degrau para o lado com folga quando o limite superior impede o sentido positivo
+        const up = clamp(this.initialOutput + this.config.stepSize);
+        const down = clamp(this.initialOutput - this.config.stepSize);
+        this.stepOutput = up - this.initialOutput >= this.initialOutput - down ? up : down;
+
+        this.status = 'baseline';
+        this.message = 'Registrando linha de base em manual...';
+    }
+
+    /**
+     * Registra uma amostra e retorna a saída manual a ser aplicada.
+     */
+    update(setpoint, processVariable, deltaTime) {
+        if (!this.isRunning()) return this.getOutput();
+
+        this.elapsedTime += deltaTime;
+        this.analyzer.update(this.elapsedTime, setpoint, processVariable, this.getOutput());
+
+        if (this.status === 'baseline' && this.elapsedTime >= this.config.baselineDuration) {
+            this.status = 'step';
+            this.message = `Degrau aplicado: MV ${this.initialOutput.toFixed(1)} → ${this.stepOutput.toFixed(1)}%`;
+        } else if (this.status === 'step') {
+            const stepElapsed = this.elapsedTime - this.config.baselineDuration;
+            // A janela cresce com o ensaio para acompanhar processos lentos
+            const window = Math.max(this.config.settleWindow, stepElapsed / 4);
+
+            // A verificação de regime percorre o histórico; é feita a cada 1/5 de janela
+            const checkDue = stepElapsed >= 2 * this.config.settleWindow && this.elapsedTime >= this.nextSettleCheck;
+            if (checkDue) this.nextSettleCheck = this.elapsedTime + window / 5;
+
+            if (checkDue && this.hasSettled(window)) {
+                this.identify(true);
+            } else if (this.elapsedTime >= this.config.maxDuration) {
+                this.identify(false);
+            }
+        }
+
+        return this.getOutput();
+    }
+
+    getOutput() {
+        return this.status === 'step' || this.status === 'complete' ? this.stepOutput : this.initialOutput;
+    }
+
+    // Compara as médias das duas últimas janelas com a variação total da PV
+    hasSettled(window) {
+        const { time, processVariable } = this.analyzer.data;
+        const windowStart = this.elapsedTime - window;
+        const previousStart = windowStart - window;
+
+        const mean = (from, to) => {
+            const values = processVariable.filter((_, i) => time[i] > from && time[i] <= to);
+            return values.reduce((sum, v) => sum + v, 0) / Math.max(1, values.length);
+        };
+
+        const baseline = mean(0, this.config.baselineDuration);
+        const recent = mean(windowStart, this.elapsedTime);
+        const previous = mean(previousStart, windowStart);
+        const totalChange = Math.abs(recent - baseline);
+
+        return totalChange > 0 && Math.abs(recent - previous) <= this.config.settleTolerance * totalChange;
+    }
+
+    identify(settled) {
+        const { time, processVariable } = this.analyzer.exportData().data;
+        const stepTime = this.config.baselineDuration;
+
+        const baselineValues = processVariable.filter((_, i) => time[i] <= stepTime);
+        const initialValue = baselineValues.reduce((sum, v) => sum + v, 0) / Math.max(1, baselineValues.length);
+
+        const samples = [];
+        time.forEach((t, i) => {
+            if (t > stepTime) samples.push({ t: t - stepTime, y: processVariable[i] - initialValue });
+        });
+
+        const stepSize = this.stepOutput - this.initialOutput;
+        if (samples.length < 10 || stepSize === 0) {
+            this.status = 'failed';
+            this.message = 'Dados insuficientes para identificação';
+            return;
+        }
+
+        const fopdt = fitFOPDT(samples, stepSize);
+        const sopdt = fitSOPDT(samples, stepSize, fopdt);
+
+        this.result = {
+            fopdt,
+            sopdt,
+            settled,
+            stepSize,
+            initialOutput: this.initialOutput,
+            initialValue,
+            stepTime
+        };
+        this.status = 'complete';
+        this.message = settled
+            ? 'Modelos identificados'
+            : 'Tempo máximo atingido sem regime permanente (processo integrador?)';
+    }
+
+    stop() {
+        if (this.isRunning()) {
+            this.status = 'failed';
+            this.message = 'Ensaio interrompido';
+        }
+    }
+
+    isRunning() {
+        return this.status === 'baseline' || this.status === 'step';
+    }
+
+    getResult() {
+        return this.result;
+    }
+
+    getStatus() {
+        return {
+            status: this.status,
+            message: this.message,
+            elapsedTime: this.elapsedTime
+        };
+    }
+}
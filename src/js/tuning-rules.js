@@ -0,0 +1,168 @@
+/**
+ * Biblioteca de regras de sintonia PID
+ * Cada regra declara o modelo de que precisa e retorna ganhos na forma paralela
+ * (Kp, Ki = Kp/Ti, Kd = Kp·Td), a mesma usada por AdvancedPIDController.
+ */
+
+import { AdvancedPIDController } from './advanced-pid.js';
+import { idealToParallel, seriesToParallel } from './pid-forms.js';
+
+// Modelos aceitos pelas regras
+export const MODEL_TYPES = {
+    fopdt: 'FOPDT (K, τ, θ)',
+    sopdt: 'SOPDT (K, τ1, τ2, θ)',
+    ultimate: 'Ponto crítico (Ku, Tu)'
+};
+
+// Tempo morto nulo torna várias regras singulares; limita-se a uma fração de τ
+function effectiveDeadTime(model) {
+    const tau = model.tau ?? model.tau1;
+    return Math.max(model.theta, 0.01 * tau);
+}
+
+function fromController(result) {
+    return { kp: result.Kp, ki: result.Ki, kd: result.Kd };
+}
+
+export const TUNING_RULES = [
+    {
+        id: 'zn-ultimate',
+        name: 'Ziegler–Nichols (oscilação crítica)',
+        model: 'ultimate',
+        form: 'PID',
+        compute: ({ Ku, Tu }) => fromController(new AdvancedPIDController().autoTuneZieglerNichols(Ku, Tu))
+    },
+    {
+        id: 'tyreus-luyben',
+        name: 'Tyreus–Luyben',
+        model: 'ultimate',
+        form: 'PID',
+        compute: ({ Ku, Tu }) => idealToParallel(Ku / 2.2, 2.2 * Tu, Tu / 6.3)
+    },
+    {
+        id: 'cohen-coon',
+        name: 'Cohen–Coon',
+        model: 'fopdt',
+        form: 'PID',
+        compute: (model) => fromController(
+            new AdvancedPIDController().autoTuneCohenCoon(model.K, model.tau, effectiveDeadTime(model))
+        )
+    },
+    {
+        id: 'lambda',
+        name: 'Lambda (λ = τ)',
+        model: 'fopdt',
+        form: 'PI',
+        compute: (model, options = {}) => fromController(
+            new AdvancedPIDController().autoTuneLambda(model.K, model.tau, model.theta, options.lambda ?? model.tau)
+        )
+    },
+    {
+        id: 'simc-pi',
+        name: 'SIMC PI (τc = θ)',
+        model: 'fopdt',
+        form: 'PI',
+        compute: (model, options = {}) => {
+            const theta = effectiveDeadTime(model);
+            const tauC = options.closedLoopTime ?? theta;
+            const Kc = model.tau / (model.K * (tauC + theta));
+            return idealToParallel(Kc, Math.min(model.tau, 4 * (tauC + theta)));
+        }
+    },
+    {
+        id: 'simc-pid',
+        name: 'SIMC PID (τc = θ)',
+        model: 'sopdt',
+        form: 'PID',
+        compute: (model, options = {}) => {
+            const theta = effectiveDeadTime(model);
+            const tauC = options.closedLoopTime ?? theta;
+            const Kc = model.tau1 / (model.K * (tauC + theta));
+            return seriesToParallel(Kc, Math.min(model.tau1, 4 * (tauC + theta)), model.tau2);
+        }
+    },
+    {
+        id: 'amigo-pi',
+        name: 'AMIGO PI',
+        model: 'fopdt',
+        form: 'PI',
+        compute: (model) => {
+            const { K, tau } = model;
+            const L = effectiveDeadTime(model);
+            const Kc = 0.15 / K + (0.35 - (L * tau) / ((L + tau) * (L + tau))) * tau / (K * L);
+            const Ti = 0.35 * L + (13 * L * tau * tau) / (tau * tau + 12 * L * tau + 7 * L * L);
+            return idealToParallel(Kc, Ti);
+        }
+    },
+    {
+        id: 'amigo-pid',
+        name: 'AMIGO PID',
+        model: 'fopdt',
+        form: 'PID',
+        compute: (model) => {
+            const { K, tau } = model;
+            const L = effectiveDeadTime(model);
+            const Kc = (0.2 + 0.45 * tau / L) / K;
+            const Ti = ((0.4 * L + 0.8 * tau) / (L + 0.1 * tau)) * L;
+            const Td = (0.5 * L * tau) / (0.3 * L + tau);
+            return idealToParallel(Kc, Ti, Td);
+        }
+    },
+    {
+        id: 'chr-setpoint',
+        name: 'CHR Setpoint (0% overshoot)',
+        model: 'fopdt',
+        form: 'PID',
+        compute: (model) => {
+            const L = effectiveDeadTime(model);
+            return idealToParallel(0.6 * model.tau / (model.K * L), model.tau, 0.5 * L);
+        }
+    },
+    {
+        id: 'chr-disturbance',
+        name: 'CHR Perturbação (0% overshoot)',
+        model: 'fopdt',
+        form: 'PID',
+        compute: (model) => {
+            const L = effectiveDeadTime(model);
+            return idealToParallel(0.95 * model.tau / (model.K * L), 2.4 * L, 0.42 * L);
+        }
+    },
+    {
+        id: 'imc-sopdt',
+        name: 'IMC PID (SOPDT)',
+        model: 'sopdt',
+        form: 'PID',
+        compute: (model, options = {}) => {
+            const { K, tau1, tau2 } = model;
+            const lambda = options.lambda ?? Math.max(model.theta, 0.25 * tau1);
+            const Kc = (tau1 + tau2) / (K * (lambda + model.theta));
+            return idealToParallel(Kc, tau1 + tau2, (tau1 * tau2) / (tau1 + tau2));
+        }
+    }
+];
+
+/**
+ * Retorna as regras aplicáveis aos modelos disponíveis.
+ * @param {object} models { fopdt?, sopdt?, ultimate? }
+ */
+export function getApplicableRules(models) {
+    return TUNING_RULES.filter(rule => models[rule.model]);
+}
+
+export function getRule(ruleId) {
+    return TUNING_RULES.find(rule => rule.id === ruleId) || null;
+}
+
+/**
+ * Calcula os ganhos de uma regra a partir dos modelos disponíveis.
+ * @returns {{ kp: number, ki: number, kd: number } | null}
+ */
+export function computeRuleGains(ruleId, models, options = {}) {
+    const rule = getRule(ruleId);
+    if (!rule || !models[rule.model]) return null;
+
+    const gains = rule.compute(models[rule.model], options);
+    const valid = [gains.kp, gains.ki, gains.kd].every(Number.isFinite);
+    return valid ? gains : null;
+}